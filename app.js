@@ -4,12 +4,11 @@ var favicon = require('serve-favicon');
 var logger = require('morgan');
 var cookieParser = require('cookie-parser');
 var bodyParser = require('body-parser');
-var os = require("os");
-var elasticsearch = require('elasticsearch');
-var elastic = new elasticsearch.Client({
-  host: 'localhost:9400',
-  log: 'error'
-});
+var config = require('./lib/config').get();
+var storage = require('./lib/storage');
+var store = storage.create(config.storage.backend, config.storage);
+var auth = require('./lib/auth');
+var ingest = require('./lib/ingest');
 
 /* monitoring routes */
 var routes = require('./routes/v1/index');
@@ -18,28 +17,47 @@ var experiments = require('./routes/v1/experiments');
 var metrics = require('./routes/v1/metrics');
 var profiles = require('./routes/v1/profiles');
 var runtime = require('./routes/v1/runtime');
+var critical_path = require('./routes/v1/critical_path');
+var energy = require('./routes/v1/energy');
 var statistics = require('./routes/v1/statistics');
+var compare = require('./routes/v1/compare');
+var regressions = require('./routes/v1/regressions');
+var stream = require('./routes/v1/stream');
+var prometheus = require('./routes/v1/prometheus');
 
 /* resource manager routes */
 var configs = require('./routes/v1/configs');
 var resources = require('./routes/v1/resources');
 
+/* administration routes */
+var keys = require('./routes/v1/keys');
+
 var app = express();
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
-app.set('elastic', elastic);
+app.set('config', config);
+app.set('storage', store);
+/* write buffer of single samples, flushed by bin/www on shutdown */
+app.set('ingest', new ingest.WriteBuffer(config.ingest, function(items, callback) {
+  ingest.store(store, config.experiments, items, callback);
+}));
 app.set('version', '02.02.17');
-var port = '3033',
-  hostname = os.hostname();
-// redirect backend hostname to front-end
-//hostname = hostname.replace('be.excess-project.eu', 'mf.excess-project.eu');
-app.set('mf_server', 'http://' + hostname + ':' + port + '/v1');
-//app.set('pwm_idx', 'power_dreamcloud');
+/* public URL of the server, e.g. of a reverse proxy in front of it */
+app.set('mf_server', config.server.base_url + '/v1');
 
-app.use(logger('combined', {
-  skip: function (req, res) { return res.statusCode < 400; }
-}));
+/* 'debug' and 'info' log every request, 'warn' and 'error' only failed ones */
+if (config.log.level !== 'silent') {
+  app.use(logger('combined', {
+    skip: function (req, res) {
+      return (config.log.level === 'warn' || config.log.level === 'error') && res.statusCode < 400;
+    }
+  }));
+}
 
+/* OTLP exporters send larger batches than the plug-ins */
+app.use('/v1/phantom_mf/metrics/otlp', bodyParser.json({ limit: '5mb' }));
+/* line protocol of any content type, e.g. curl's default form encoding */
+app.use('/v1/phantom_mf/metrics/write', bodyParser.text({ type: function() { return true; }, limit: '5mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(cookieParser());
@@ -48,17 +66,35 @@ app.use(express.static(path.join(__dirname, 'public')));
 /* monitoring URL paths */
 app.use('/', routes);
 app.use('/v1/phantom_mf', routes);
+/* API keys: 'read' for GET requests, 'ingest' for everything else */
+app.use('/v1/phantom_mf', auth.protect('ingest', {
+    POST: /^\/metrics(\/|$)/,
+    PATCH: /^\/experiments\/[^\/]+$/
+}));
 app.use('/v1/phantom_mf/workflows', workflows);
 app.use('/v1/phantom_mf/experiments', experiments);
 app.use('/v1/phantom_mf/metrics', metrics);
 app.use('/v1/phantom_mf/profiles', profiles);
 app.use('/v1/phantom_mf/runtime', runtime);
+app.use('/v1/phantom_mf/critical_path', critical_path);
+app.use('/v1/phantom_mf/energy', energy);
 app.use('/v1/phantom_mf/statistics', statistics);
+app.use('/v1/phantom_mf/compare', compare);
+app.use('/v1/phantom_mf/regressions', regressions);
+app.use('/v1/phantom_mf/stream', stream);
+
+/* Prometheus exposition, at the path scraped by default */
+app.use('/metrics', auth.require('read'), prometheus);
 
 /*resource manager URL paths */
+app.use('/v1/phantom_rm', auth.protect('admin'));
 app.use('/v1/phantom_rm/resources', resources);
 app.use('/v1/phantom_rm/configs', configs);
 
+/* administration URL paths */
+app.use('/v1/admin', auth.require('admin'));
+app.use('/v1/admin/keys', keys);
+
 /* catch 404 and forward to error handler */
 app.use(function(req, res, next) {
   var err = new Error('Not Found');
@@ -0,0 +1,245 @@
+var energy = require('./energy');
+var parse_cores = require('./workflow').parse_cores;
+var to_number = require('./sample').to_number;
+
+/*
+ * Attribution of node energy to the tasks of an experiment sharing nodes.
+ *
+ * Power metrics (see lib/energy) measure a whole node, so the samples of
+ * tasks running concurrently on a node carry the same node power. The power
+ * samples of all tasks of a host are merged into one series per metric (the
+ * average of the values sent at the same time), which is integrated interval
+ * by interval. The energy of an interval goes to the tasks active at its
+ * middle, i.e. between their first and last sample on the host:
+ *
+ *   exclusive    a single active task gets all of it
+ *   utilization  shared in proportion to the CPU utilization the tasks
+ *                reported last (metrics named like cpu_utilization or
+ *                CPU0:usage), if all active tasks report one
+ *   cores        shared in proportion to the number of cores of a task
+ *                (cores_nr of the workflow) if all active tasks have
+ *                cores_nr; with the RM resources of the platform, only
+ *                cores with the status 'allocated' count
+ *   equal        shared equally otherwise
+ *
+ * Energy of intervals without active task remains unattributed. The method
+ * reported for a task or host is the least precise one of its intervals.
+ */
+
+var utilization_metric = /(cpu|core).*(util|usage|load)|(util|usage|load).*(cpu|core)/i;
+
+/* from the most to the least precise */
+var methods = [ 'exclusive', 'utilization', 'cores', 'equal' ];
+
+/*
+ * Attributes the energy of the given samples ({ taskID: [ sample ] }) to
+ * the tasks; cores holds the cores_nr of the tasks ({ taskID: cores_nr }),
+ * resources the RM resources document of the platform or null. Returns
+ * { tasks: { taskID: { energy, hosts: { host: { energy, shared, method } } } },
+ *   hosts: { host: { energy, unattributed, gaps, method } } } in joules and
+ * seconds, shared being the part of the energy shared with other tasks.
+ */
+function attribute(samples, cores, resources) {
+    var hosts = collect(samples),
+        results = { tasks: {}, hosts: {} };
+
+    Object.keys(hosts).sort().forEach(function(host) {
+        var data = hosts[host],
+            names = Object.keys(data.tasks).sort(),
+            node = find_node(resources, host),
+            summary = { energy: 0, unattributed: 0, gaps: 0, method: 'exclusive' };
+
+        names.forEach(function(task) {
+            var result = results.tasks[task] = results.tasks[task] || { energy: 0, hosts: {} };
+            result.hosts[host] = { energy: 0, shared: 0, method: 'exclusive' };
+        });
+
+        Object.keys(data.power).forEach(function(name) {
+            var points = Object.keys(data.power[name]).map(function(time) {
+                var values = data.power[name][time];
+                return { time: Number(time), power: sum(values) / values.length };
+            });
+            var series = energy.series_intervals(points);
+            summary.gaps = Math.max(summary.gaps, series.gaps);
+
+            series.intervals.forEach(function(interval) {
+                var middle = (interval.from + interval.to) / 2,
+                    active = names.filter(function(task) {
+                        return data.tasks[task].start <= middle && middle <= data.tasks[task].end;
+                    });
+                summary.energy += interval.energy;
+                if (active.length === 0) {
+                    summary.unattributed += interval.energy;
+                    return;
+                }
+                var method = get_method(active, data, cores),
+                    weights = get_weights(active, method, data, cores, node, middle);
+                active.forEach(function(task, i) {
+                    var share = results.tasks[task].hosts[host],
+                        part = interval.energy * weights[i];
+                    share.energy += part;
+                    if (method !== 'exclusive') {
+                        share.shared += part;
+                    }
+                    share.method = least_precise(share.method, method);
+                });
+                summary.method = least_precise(summary.method, method);
+            });
+        });
+
+        names.forEach(function(task) {
+            results.tasks[task].energy += results.tasks[task].hosts[host].energy;
+        });
+        results.hosts[host] = summary;
+    });
+    return results;
+}
+
+/*
+ * Per host: the merged power series { metric: { time: [ value ] } } and per
+ * task its first and last sample and its utilization [ { time, value } ].
+ */
+function collect(samples) {
+    var hosts = {};
+    Object.keys(samples).forEach(function(task) {
+        samples[task].forEach(function(sample) {
+            var time = energy.to_time(sample.local_timestamp);
+            if (isNaN(time)) {
+                return;
+            }
+            var host = typeof sample.host !== 'undefined' ? String(sample.host) : '',
+                data = hosts[host] = hosts[host] || { power: {}, tasks: {} },
+                activity = data.tasks[task] = data.tasks[task] || { start: time, end: time, utilization: [] },
+                utilization = null;
+
+            activity.start = Math.min(activity.start, time);
+            activity.end = Math.max(activity.end, time);
+            Object.keys(sample).forEach(function(name) {
+                var value = to_number(sample[name]);
+                if (value === null) {
+                    return;
+                }
+                if (energy.is_power_metric(name)) {
+                    data.power[name] = data.power[name] || {};
+                    data.power[name][time] = data.power[name][time] || [];
+                    data.power[name][time].push(value);
+                } else if (utilization_metric.test(name)) {
+                    utilization = (utilization || 0) + value;
+                }
+            });
+            if (utilization !== null) {
+                activity.utilization.push({ time: time, value: utilization });
+            }
+        });
+    });
+    Object.keys(hosts).forEach(function(host) {
+        Object.keys(hosts[host].tasks).forEach(function(task) {
+            hosts[host].tasks[task].utilization.sort(function(a, b) {
+                return a.time - b.time;
+            });
+        });
+    });
+    return hosts;
+}
+
+/* the most precise method all active tasks provide the data for */
+function get_method(active, data, cores) {
+    if (active.length === 1) {
+        return 'exclusive';
+    }
+    if (active.every(function(task) { return data.tasks[task].utilization.length > 0; })) {
+        return 'utilization';
+    }
+    if (active.every(function(task) { return parse_cores(cores[task]) !== null; })) {
+        return 'cores';
+    }
+    return 'equal';
+}
+
+function least_precise(a, b) {
+    return methods.indexOf(a) > methods.indexOf(b) ? a : b;
+}
+
+/* the shares of the active tasks at the given time, summing up to 1 */
+function get_weights(active, method, data, cores, node, time) {
+    var weights = active.map(function(task) {
+        if (method === 'utilization') {
+            return Math.max(utilization_at(data.tasks[task].utilization, time), 0);
+        }
+        if (method === 'cores') {
+            return count_cores(cores[task], node);
+        }
+        return 1;
+    });
+    var total = sum(weights);
+    return weights.map(function(weight) {
+        return total > 0 ? weight / total : 1 / active.length;
+    });
+}
+
+/* the utilization last reported at the given time, or the first one */
+function utilization_at(values, time) {
+    var low = 0,
+        high = values.length - 1;
+    if (values[0].time > time) {
+        return values[0].value;
+    }
+    while (low < high) {
+        var middle = Math.ceil((low + high) / 2);
+        if (values[middle].time <= time) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return values[low].value;
+}
+
+/*
+ * Number of cores of the given cores_nr; with the node of the RM resources,
+ * only those allocated (cores are numbered across the CPUs of the node).
+ */
+function count_cores(cores_nr, node) {
+    var numbers = [];
+    parse_cores(cores_nr).forEach(function(range) {
+        for (var core = range[0]; core <= range[1]; ++core) {
+            numbers.push(core);
+        }
+    });
+    if (node === null) {
+        return numbers.length;
+    }
+    var states = [];
+    (node.cpus || []).forEach(function(cpu) {
+        (cpu.cores || []).forEach(function(core) {
+            states.push(core.status);
+        });
+    });
+    var allocated = numbers.filter(function(core) {
+        return states[core] === 'allocated';
+    }).length;
+    /* the RM does not know about the task's cores */
+    return allocated > 0 ? allocated : numbers.length;
+}
+
+/* the node of the RM resources for a host, also matching 'node01' for 'node01.example.com' */
+function find_node(resources, host) {
+    if (!resources || !Array.isArray(resources.nodes)) {
+        return null;
+    }
+    var found = null;
+    resources.nodes.forEach(function(node) {
+        if (found === null && (node.id === host || host.indexOf(node.id + '.') === 0)) {
+            found = node;
+        }
+    });
+    return found;
+}
+
+function sum(values) {
+    return values.reduce(function(total, value) {
+        return total + value;
+    }, 0);
+}
+
+exports.attribute = attribute;
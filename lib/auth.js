@@ -0,0 +1,263 @@
+var crypto = require('crypto');
+
+/*
+ * API key authentication and role-based authorization.
+ *
+ * API keys look like '<id>.<secret>' and are sent either as bearer token
+ * ('Authorization: Bearer <key>'), in the header 'X-API-Key' or, for clients
+ * that cannot set headers such as EventSource and WebSocket in browsers, as
+ * the URL parameter 'access_token'. Only a hash of the secret is stored.
+ * Every key holds a list of roles:
+ *
+ *   read    GET requests of the monitoring and resource manager APIs
+ *   ingest  registering workflows and experiments, sending metrics
+ *   admin   everything, including deletes, resource manager writes and key
+ *           management
+ *
+ * Authorization is only enforced if auth.enabled is set in the server
+ * configuration. The key given by auth.admin_key is always accepted as admin,
+ * so that the first keys can be created.
+ *
+ * Creating an experiment issues an ingest token ('mfe.<payload>.<signature>')
+ * bound to the workflow and experiment. It is signed with auth.token_secret,
+ * expires after auth.token_ttl seconds, and only grants sending metrics of
+ * that experiment and marking it as finished or failed.
+ */
+
+var roles = [ 'read', 'ingest', 'admin' ];
+
+/* successful look-ups are cached to avoid a storage request per sample */
+var cache = {},
+    cache_ttl = 60 * 1000;
+
+/* used if no auth.token_secret is configured; tokens end with the process */
+var process_secret = crypto.randomBytes(32).toString('hex');
+
+var token_prefix = 'mfe.';
+
+/*
+ * Returns a middleware permitting reads to the role 'read' and all other
+ * requests to the given role. Ingest tokens of experiments are accepted for
+ * requests whose path matches the pattern given for their method in
+ * scoped_paths, e.g. { POST: /^\/metrics/ }.
+ */
+function protect(write_role, scoped_paths) {
+    return function(req, res, next) {
+        var role = (req.method === 'GET' || req.method === 'HEAD') ? 'read' : write_role,
+            pattern = (scoped_paths || {})[req.method],
+            scoped = is_defined(pattern) && pattern.test(req.path);
+        authorize(req, res, next, role, scoped);
+    };
+}
+
+/*
+ * Returns a middleware permitting all requests to the given role only.
+ */
+function require_role(role) {
+    return function(req, res, next) {
+        authorize(req, res, next, role);
+    };
+}
+
+function authorize(req, res, next, role, scoped) {
+    var settings = req.app.get('config').auth;
+    if (!settings.enabled) {
+        return next();
+    }
+
+    var token = get_token(req),
+        json = {};
+    if (token === null) {
+        res.status(401);
+        res.set('WWW-Authenticate', 'Bearer realm="phantom"');
+        json.error = "Missing API key.";
+        return res.json(json);
+    }
+
+    authenticate(req.app.get('storage'), settings, token, function(error, key) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (key === null) {
+            res.status(401);
+            res.set('WWW-Authenticate', 'Bearer realm="phantom", error="invalid_token"');
+            json.error = "Invalid API key.";
+            return res.json(json);
+        }
+        if (key.scope && !scoped) {
+            res.status(403);
+            json.error = "Ingest tokens of experiments are only valid for sending metrics and ending the experiment.";
+            return res.json(json);
+        }
+        if (!has_role(key, role)) {
+            res.status(403);
+            json.error = "The API key '" + key.id + "' lacks the role '" + role + "'.";
+            return res.json(json);
+        }
+        req.api_key = key;
+        next();
+    });
+}
+
+function has_role(key, role) {
+    return key.roles.indexOf('admin') !== -1 || key.roles.indexOf(role) !== -1;
+}
+
+function get_token(req) {
+    var header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (req.get('X-API-Key')) {
+        return req.get('X-API-Key');
+    }
+    return (req.query && typeof req.query.access_token === 'string') ? req.query.access_token : null;
+}
+
+/*
+ * Returns the workflow and experiment ({ workflow, experiment }) the ingest
+ * token of the request is bound to, null if the request carries no ingest
+ * token, or false if the token is invalid or expired.
+ */
+function get_scope(req) {
+    if (req.api_key) {
+        return req.api_key.scope || null;
+    }
+    var token = get_token(req);
+    if (token === null || token.indexOf(token_prefix) !== 0) {
+        return null;
+    }
+    return verify_token(req.app.get('config').auth, token) || false;
+}
+
+/*
+ * Issues an ingest token for the given experiment.
+ */
+function issue_token(settings, workflow, experiment) {
+    var expires = Date.now() + settings.token_ttl * 1000,
+        payload = Buffer.from(JSON.stringify({
+            w: workflow,
+            e: experiment,
+            exp: expires
+        })).toString('base64url');
+
+    return {
+        token: token_prefix + payload + '.' + sign(settings, payload),
+        expires: new Date(expires).toISOString()
+    };
+}
+
+function verify_token(settings, token) {
+    var parts = token.substring(token_prefix.length).split('.');
+    if (parts.length !== 2 || !safe_equal(sign(settings, parts[0]), parts[1])) {
+        return null;
+    }
+    var payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!(payload.exp > Date.now())) {
+        return null;
+    }
+    return { workflow: payload.w, experiment: payload.e };
+}
+
+function sign(settings, payload) {
+    return crypto.createHmac('sha256', settings.token_secret || process_secret)
+        .update(payload).digest('base64url');
+}
+
+/*
+ * Calls back with the key document ({ id, name, roles, ... }) matching the
+ * given token, or null if the token is invalid.
+ */
+function authenticate(storage, settings, token, callback) {
+    if (settings.admin_key && safe_equal(token, settings.admin_key)) {
+        return callback(null, { id: 'admin_key', name: 'auth.admin_key', roles: [ 'admin' ] });
+    }
+    if (token.indexOf(token_prefix) === 0) {
+        var scope = verify_token(settings, token);
+        return callback(null, scope === null ? null : {
+            id: 'experiment ' + scope.experiment,
+            name: 'ingest token',
+            roles: [ 'ingest' ],
+            scope: scope
+        });
+    }
+
+    var parts = token.split('.');
+    if (parts.length !== 2) {
+        return callback(null, null);
+    }
+    var id = parts[0],
+        secret = parts[1],
+        cached = cache[id];
+
+    if (cached && cached.expires > Date.now()) {
+        return callback(null, matches(cached.key, secret) ? cached.key : null);
+    }
+    storage.getKey(id, function(error, key) {
+        if (error) {
+            return callback(error);
+        }
+        if (key === null) {
+            return callback(null, null);
+        }
+        key.id = id;
+        cache[id] = { key: key, expires: Date.now() + cache_ttl };
+        callback(null, matches(key, secret) ? key : null);
+    });
+}
+
+/*
+ * Creates a new key document and the token to hand out; the token cannot
+ * be recovered later on.
+ */
+function generate(name, key_roles) {
+    var id = crypto.randomBytes(9).toString('hex'),
+        secret = crypto.randomBytes(24).toString('hex');
+
+    return {
+        id: id,
+        token: id + '.' + secret,
+        key: {
+            name: name,
+            roles: key_roles,
+            secret_hash: hash(secret)
+        }
+    };
+}
+
+function revoke(id) {
+    delete cache[id];
+}
+
+function matches(key, secret) {
+    return safe_equal(hash(secret), key.secret_hash);
+}
+
+function hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+function safe_equal(a, b) {
+    a = Buffer.from(String(a));
+    b = Buffer.from(String(b));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+exports.roles = roles;
+exports.protect = protect;
+exports.require = require_role;
+exports.authenticate = authenticate;
+exports.generate = generate;
+exports.revoke = revoke;
+exports.issue_token = issue_token;
+exports.scope = get_scope;
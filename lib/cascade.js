@@ -0,0 +1,147 @@
+var async = require('async');
+
+/*
+ * Cascading deletes of workflows, experiments and the samples of tasks.
+ *
+ * Every function first collects what is to be deleted and calls back with
+ * this report, or with null if there is nothing to delete. Unless dry_run is
+ * set, it then deletes samples before experiments before the workflow, so
+ * that an interrupted delete leaves no orphans and can simply be repeated.
+ */
+
+/*
+ * Deletes a workflow with all its versions, experiments and samples.
+ * Report: { workflow, versions, experiments: [ experimentID ], tasks: { taskID: samples }, samples }
+ */
+function delete_workflow(storage, workflow, dry_run, callback) {
+    var report = { workflow: workflow };
+
+    storage.getWorkflow(workflow, function(error, found) {
+        if (error || found === null) {
+            return callback(error || null, null);
+        }
+        async.parallel({
+            versions: function(callback) {
+                storage.getWorkflowVersions(workflow, callback);
+            },
+            experiments: function(callback) {
+                storage.getExperiments({ workflow: workflow }, callback);
+            },
+            tasks: function(callback) {
+                storage.countSamples({ workflow: workflow }, callback);
+            }
+        }, function(error, results) {
+            if (error) {
+                return callback(error);
+            }
+            report.versions = results.versions.length;
+            report.experiments = results.experiments.map(function(experiment) {
+                return experiment.id;
+            });
+            report.tasks = results.tasks;
+            report.samples = sum(results.tasks);
+            if (dry_run) {
+                return callback(null, report);
+            }
+            async.series([
+                function(callback) {
+                    storage.deleteSamples({ workflow: workflow }, callback);
+                },
+                function(callback) {
+                    storage.deleteExperiments(workflow, callback);
+                },
+                function(callback) {
+                    storage.deleteWorkflow(workflow, callback);
+                }
+            ], function(error, deleted) {
+                if (error) {
+                    return callback(error);
+                }
+                report.samples = deleted[0];
+                callback(null, report);
+            });
+        });
+    });
+}
+
+/*
+ * Deletes an experiment with its samples of all tasks.
+ * Report: { workflow, experiment, tasks: { taskID: samples }, samples }
+ */
+function delete_experiment(storage, workflow, experiment, dry_run, callback) {
+    var report = { workflow: workflow, experiment: experiment },
+        query = { workflow: workflow, experiment: experiment };
+
+    storage.getExperiment(workflow, experiment, function(error, found) {
+        if (error || found === null) {
+            return callback(error || null, null);
+        }
+        storage.countSamples(query, function(error, tasks) {
+            if (error) {
+                return callback(error);
+            }
+            report.tasks = tasks;
+            report.samples = sum(tasks);
+            if (dry_run) {
+                return callback(null, report);
+            }
+            storage.deleteSamples(query, function(error, deleted) {
+                if (error) {
+                    return callback(error);
+                }
+                report.samples = deleted;
+                storage.deleteExperiment(workflow, experiment, function(error) {
+                    callback(error || null, report);
+                });
+            });
+        });
+    });
+}
+
+/*
+ * Deletes the samples of one task of an experiment, keeping the experiment.
+ * Report: { workflow, task, experiment, samples }
+ */
+function delete_task(storage, workflow, task, experiment, dry_run, callback) {
+    var report = { workflow: workflow, task: task, experiment: experiment },
+        query = { workflow: workflow, task: task, experiment: experiment };
+
+    storage.countSamples(query, function(error, tasks) {
+        if (error) {
+            return callback(error);
+        }
+        report.samples = sum(tasks);
+        if (report.samples === 0) {
+            return callback(null, null);
+        }
+        if (dry_run) {
+            return callback(null, report);
+        }
+        storage.deleteSamples(query, function(error, deleted) {
+            if (error) {
+                return callback(error);
+            }
+            report.samples = deleted;
+            callback(null, report);
+        });
+    });
+}
+
+/*
+ * Parses the 'dry_run' query parameter: given without a value or with any
+ * value but false, 0 or no.
+ */
+function parse_dry_run(value) {
+    return typeof value !== 'undefined' && !/^(false|0|no)$/i.test(value);
+}
+
+function sum(counts) {
+    return Object.keys(counts).reduce(function(total, key) {
+        return total + counts[key];
+    }, 0);
+}
+
+exports.delete_workflow = delete_workflow;
+exports.delete_experiment = delete_experiment;
+exports.delete_task = delete_task;
+exports.parse_dry_run = parse_dry_run;
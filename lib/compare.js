@@ -0,0 +1,80 @@
+/*
+ * Side-by-side comparison of experiments (GET /compare).
+ *
+ * Values of every experiment are compared with those of a baseline
+ * experiment: the delta is the difference to the baseline value, the
+ * relative delta that difference divided by the magnitude of the baseline
+ * value (null if the baseline value is 0 or missing).
+ */
+
+/* fields of the extended statistics compared between experiments */
+var compared_statistics = [ 'avg', 'min', 'max', 'sum', 'std_deviation' ];
+
+/*
+ * Compares the statistics of a metric ({ experimentID: extended statistics
+ * or null }) with those of the baseline; returns per experiment the compared
+ * statistics and their count, plus delta and relative_delta per statistic.
+ */
+function compare_statistics(statistics, baseline) {
+    var base = statistics[baseline],
+        results = {};
+
+    Object.keys(statistics).forEach(function(experiment) {
+        var current = statistics[experiment];
+        if (current === null) {
+            results[experiment] = null;
+            return;
+        }
+        var result = { count: current.count };
+        compared_statistics.forEach(function(field) {
+            result[field] = current[field];
+        });
+        if (experiment !== baseline && base) {
+            result.delta = {};
+            result.relative_delta = {};
+            compared_statistics.forEach(function(field) {
+                var difference = compare(current[field], base[field]);
+                result.delta[field] = difference.delta;
+                result.relative_delta[field] = difference.relative_delta;
+            });
+        }
+        results[experiment] = result;
+    });
+    return results;
+}
+
+/*
+ * Compares runtimes ({ experimentID: seconds or null }) with that of the
+ * baseline; returns per experiment { runtime, delta, relative_delta }.
+ */
+function compare_runtimes(runtimes, baseline) {
+    var results = {};
+    Object.keys(runtimes).forEach(function(experiment) {
+        var result = { runtime: runtimes[experiment] };
+        if (experiment !== baseline) {
+            var difference = compare(runtimes[experiment], runtimes[baseline]);
+            result.delta = difference.delta;
+            result.relative_delta = difference.relative_delta;
+        }
+        results[experiment] = result;
+    });
+    return results;
+}
+
+function compare(value, base) {
+    if (!is_number(value) || !is_number(base)) {
+        return { delta: null, relative_delta: null };
+    }
+    return {
+        delta: value - base,
+        relative_delta: base === 0 ? null : (value - base) / Math.abs(base)
+    };
+}
+
+function is_number(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+exports.compared_statistics = compared_statistics;
+exports.compare_statistics = compare_statistics;
+exports.compare_runtimes = compare_runtimes;
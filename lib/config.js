@@ -0,0 +1,269 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+/*
+ * Configuration of the monitoring server.
+ *
+ * Settings are read from a JSON file (config.json in the project directory,
+ * or the file given by the environment variable MF_CONFIG) and merged over
+ * the defaults below. Environment variables override single settings:
+ *
+ *   MF_HOST            server.host        address to listen on
+ *   MF_PORT            server.port        port to listen on
+ *   MF_BASE_URL        server.base_url    public URL used in every href
+ *   MF_STORAGE         storage.backend    'elasticsearch' or 'memory'
+ *   MF_STORAGE_HOSTS   storage.hosts      comma-separated Elasticsearch nodes
+ *   MF_STORAGE_FILE    storage.file       data file of the memory backend
+ *   MF_INDEX_PREFIX    storage.prefix     prefix of all Elasticsearch indices
+ *   MF_LOG_LEVEL       log.level          'debug', 'info', 'warn', 'error' or 'silent'
+ *   MF_AUTH            auth.enabled       'true' to require API keys
+ *   MF_ADMIN_KEY       auth.admin_key     key always accepted with the role admin
+ *   MF_TOKEN_SECRET    auth.token_secret  secret signing the ingest tokens of experiments
+ *   MF_TOKEN_TTL       auth.token_ttl     lifetime of ingest tokens in seconds
+ *   MF_STALE_AFTER     experiments.stale_after  seconds without samples until an experiment is stale
+ */
+
+var defaults = {
+    server: {
+        host: '0.0.0.0',
+        port: 3033,
+        /* derived from hostname and port if empty */
+        base_url: ''
+    },
+    storage: {
+        backend: 'elasticsearch',
+        hosts: [ 'localhost:9400' ],
+        prefix: 'mf',
+        file: ''
+    },
+    log: {
+        level: 'error'
+    },
+    auth: {
+        enabled: false,
+        admin_key: '',
+        /* random per process if empty */
+        token_secret: '',
+        token_ttl: 86400
+    },
+    experiments: {
+        stale_after: 3600
+    },
+    /* see lib/regression */
+    regressions: {
+        window: 10,
+        min_history: 3,
+        threshold: 3.5,
+        min_change: 0.05
+    },
+    /* see lib/prometheus */
+    prometheus: {
+        expire_after: 600
+    },
+    /* see lib/ingest */
+    ingest: {
+        max_samples: 500,
+        flush_after: 1,
+        acknowledge: 'flush'
+    }
+};
+
+var environment = {
+    MF_HOST: [ 'server', 'host' ],
+    MF_PORT: [ 'server', 'port' ],
+    MF_BASE_URL: [ 'server', 'base_url' ],
+    MF_STORAGE: [ 'storage', 'backend' ],
+    MF_STORAGE_HOSTS: [ 'storage', 'hosts' ],
+    MF_STORAGE_FILE: [ 'storage', 'file' ],
+    MF_INDEX_PREFIX: [ 'storage', 'prefix' ],
+    MF_LOG_LEVEL: [ 'log', 'level' ],
+    MF_AUTH: [ 'auth', 'enabled' ],
+    MF_ADMIN_KEY: [ 'auth', 'admin_key' ],
+    MF_TOKEN_SECRET: [ 'auth', 'token_secret' ],
+    MF_TOKEN_TTL: [ 'auth', 'token_ttl' ],
+    MF_STALE_AFTER: [ 'experiments', 'stale_after' ]
+};
+
+var levels = [ 'debug', 'info', 'warn', 'error', 'silent' ];
+
+var backends = [ 'elasticsearch', 'memory' ];
+
+var acknowledgements = [ 'flush', 'buffer' ];
+
+var current = null;
+
+/*
+ * Loads the configuration from the given file (optional) and environment.
+ */
+function load(file, env) {
+    env = env || process.env;
+    file = file || env.MF_CONFIG || path.join(__dirname, '..', 'config.json');
+
+    var config = merge(copy(defaults), read_file(file));
+
+    Object.keys(environment).forEach(function(name) {
+        if (typeof env[name] === 'undefined' || env[name] === '') {
+            return;
+        }
+        var setting = environment[name],
+            value = env[name];
+        if (setting[1] === 'hosts') {
+            value = value.split(',').map(function(host) {
+                return host.trim();
+            });
+        } else if (setting[1] === 'enabled') {
+            value = /^(true|1|yes|on)$/i.test(value);
+        } else if (setting[1] === 'token_ttl' || setting[1] === 'stale_after') {
+            value = Number(value);
+        }
+        config[setting[0]][setting[1]] = value;
+    });
+
+    config.server.port = normalize_port(config.server.port);
+    if (typeof config.storage.hosts === 'string') {
+        config.storage.hosts = [ config.storage.hosts ];
+    }
+    if (!config.server.base_url) {
+        config.server.base_url = 'http://' + os.hostname() + ':' + config.server.port;
+    }
+    config.server.base_url = String(config.server.base_url).replace(/\/+$/, '');
+    config.file = file;
+    return config;
+}
+
+/*
+ * Returns a list of human-readable problems of the given configuration.
+ */
+function validate(config) {
+    var errors = [];
+
+    if (config.server.port === false) {
+        errors.push('server.port must be a port number or a named pipe');
+    }
+    if (!/^https?:\/\/[^\/]+/.test(config.server.base_url)) {
+        errors.push("server.base_url must be an absolute http(s) URL, got '" + config.server.base_url + "'");
+    }
+    if (backends.indexOf(config.storage.backend) === -1) {
+        errors.push("storage.backend must be one of " + backends.join(', ') + ", got '" + config.storage.backend + "'");
+    }
+    if (config.storage.backend === 'elasticsearch') {
+        if (!Array.isArray(config.storage.hosts) || config.storage.hosts.length === 0) {
+            errors.push('storage.hosts must list at least one Elasticsearch node');
+        }
+        if (!/^[a-z0-9][a-z0-9_\-]*$/.test(config.storage.prefix)) {
+            errors.push("storage.prefix must be a lowercase index name, got '" + config.storage.prefix + "'");
+        }
+    }
+    if (levels.indexOf(config.log.level) === -1) {
+        errors.push("log.level must be one of " + levels.join(', ') + ", got '" + config.log.level + "'");
+    }
+    if (typeof config.auth.enabled !== 'boolean') {
+        errors.push('auth.enabled must be true or false');
+    }
+    if (config.auth.admin_key && String(config.auth.admin_key).length < 16) {
+        errors.push('auth.admin_key must have at least 16 characters');
+    }
+    if (typeof config.auth.token_ttl !== 'number' || !(config.auth.token_ttl > 0)) {
+        errors.push('auth.token_ttl must be a positive number of seconds');
+    }
+    if (typeof config.experiments.stale_after !== 'number' || !(config.experiments.stale_after > 0)) {
+        errors.push('experiments.stale_after must be a positive number of seconds');
+    }
+    if (!(config.regressions.window >= 1) || config.regressions.window % 1 !== 0) {
+        errors.push('regressions.window must be a positive number of experiments');
+    }
+    if (!(config.regressions.min_history >= 1) || config.regressions.min_history % 1 !== 0 ||
+        config.regressions.min_history > config.regressions.window) {
+        errors.push('regressions.min_history must be a positive number of experiments up to regressions.window');
+    }
+    if (typeof config.regressions.threshold !== 'number' || !(config.regressions.threshold > 0)) {
+        errors.push('regressions.threshold must be a positive number');
+    }
+    if (typeof config.regressions.min_change !== 'number' || !(config.regressions.min_change >= 0)) {
+        errors.push('regressions.min_change must be a number of at least 0');
+    }
+    if (typeof config.prometheus.expire_after !== 'number' || !(config.prometheus.expire_after > 0)) {
+        errors.push('prometheus.expire_after must be a positive number of seconds');
+    }
+    if (!(config.ingest.max_samples >= 1) || config.ingest.max_samples % 1 !== 0) {
+        errors.push('ingest.max_samples must be a positive number of samples');
+    }
+    if (typeof config.ingest.flush_after !== 'number' || !(config.ingest.flush_after >= 0)) {
+        errors.push('ingest.flush_after must be a number of seconds of at least 0');
+    }
+    if (acknowledgements.indexOf(config.ingest.acknowledge) === -1) {
+        errors.push("ingest.acknowledge must be one of " + acknowledgements.join(', ') + ", got '" + config.ingest.acknowledge + "'");
+    }
+    if (config.error) {
+        errors.push(config.error);
+    }
+    return errors;
+}
+
+/*
+ * Returns the configuration of this process, loading it on first use.
+ */
+function get() {
+    if (current === null) {
+        current = load();
+    }
+    return current;
+}
+
+function read_file(file) {
+    var content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        /* a missing configuration file means default settings */
+        return e.code === 'ENOENT' ? {} : { error: 'Could not read ' + file + ': ' + e.message };
+    }
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        return { error: 'Could not parse ' + file + ': ' + e.message };
+    }
+}
+
+function merge(target, source) {
+    Object.keys(source).forEach(function(key) {
+        var value = source[key];
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            merge(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+function copy(object) {
+    return JSON.parse(JSON.stringify(object));
+}
+
+/*
+ * Normalize a port into a number, string, or false.
+ */
+function normalize_port(val) {
+    var port = parseInt(val, 10);
+
+    if (isNaN(port)) {
+        // named pipe
+        return typeof val === 'string' && val.length > 0 ? val : false;
+    }
+
+    if (port >= 0 && port < 65536) {
+        // port number
+        return port;
+    }
+
+    return false;
+}
+
+exports.defaults = defaults;
+exports.levels = levels;
+exports.load = load;
+exports.validate = validate;
+exports.get = get;
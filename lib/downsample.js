@@ -0,0 +1,124 @@
+/*
+ * Time-bucketed downsampling of profile data (GET /profiles with interval,
+ * agg or points).
+ *
+ * The samples of the requested time range are grouped into buckets of a
+ * fixed interval per host and metric; each bucket is reduced to one value by
+ * the aggregation agg. Without an interval, the smallest interval from the
+ * list below is chosen that yields at most the target number of points.
+ */
+
+var aggregations = [ 'avg', 'min', 'max', 'sum', 'last', 'p95' ];
+
+var units = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/* intervals for the automatic selection */
+var intervals = [
+    '100ms', '250ms', '500ms', '1s', '2s', '5s', '10s', '15s', '30s',
+    '1m', '2m', '5m', '10m', '15m', '30m', '1h', '2h', '3h', '6h', '12h', '1d'
+];
+
+var default_points = 500;
+
+/* per series, also limits explicit intervals */
+var max_points = 5000;
+
+/*
+ * Returns the interval in milliseconds given as '<number><unit>', e.g. '30s',
+ * or NaN if it is malformed.
+ */
+function parse_interval(interval) {
+    var match = /^(\d+)(ms|s|m|h|d)$/.exec(String(interval));
+    if (match === null || Number(match[1]) === 0) {
+        return NaN;
+    }
+    return Number(match[1]) * units[match[2]];
+}
+
+/*
+ * Returns the interval in the largest unit that divides it, e.g. '90s'.
+ */
+function format_interval(milliseconds) {
+    var names = Object.keys(units).reverse();
+    for (var i = 0; i < names.length; ++i) {
+        if (milliseconds % units[names[i]] === 0) {
+            return (milliseconds / units[names[i]]) + names[i];
+        }
+    }
+    return milliseconds + 'ms';
+}
+
+/*
+ * Returns the smallest interval (milliseconds) splitting the time span into
+ * at most the given number of buckets.
+ */
+function choose_interval(span, points) {
+    var target = span / points;
+    for (var i = 0; i < intervals.length; ++i) {
+        var interval = parse_interval(intervals[i]);
+        if (interval >= target) {
+            return interval;
+        }
+    }
+    return Math.ceil(target / units.d) * units.d;
+}
+
+/*
+ * Validates the parameters interval, agg and points against the time range
+ * from..to; returns { interval, agg } with the interval in milliseconds, or
+ * { error } with a message for the client.
+ */
+function parse(params, from, to) {
+    var agg = is_defined(params.agg) ? String(params.agg) : 'avg',
+        span = new Date(to).getTime() - new Date(from).getTime(),
+        interval,
+        points = default_points;
+
+    if (aggregations.indexOf(agg) === -1) {
+        return { error: "The aggregation must be one of " + aggregations.join(', ') + "." };
+    }
+    if (isNaN(span) || span < 0) {
+        return { error: "The time range from " + from + " to " + to + " is invalid." };
+    }
+    if (is_defined(params.points)) {
+        points = Number(params.points);
+        if (!/^\d+$/.test(params.points) || points < 1 || points > max_points) {
+            return { error: "The number of points must be between 1 and " + max_points + "." };
+        }
+    }
+    if (is_defined(params.interval)) {
+        interval = parse_interval(params.interval);
+        if (isNaN(interval)) {
+            return { error: "The interval must be a number followed by ms, s, m, h or d, e.g. 30s." };
+        }
+        if (span / interval > max_points) {
+            return { error: "The interval " + params.interval + " yields more than " + max_points +
+                " points; choose a larger interval or a shorter time range." };
+        }
+    } else {
+        interval = choose_interval(span, points);
+    }
+    return { interval: interval, agg: agg };
+}
+
+/*
+ * Whether the request asks for downsampled data.
+ */
+function is_requested(params) {
+    return is_defined(params.interval) || is_defined(params.agg) || is_defined(params.points);
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.aggregations = aggregations;
+exports.parse = parse;
+exports.format_interval = format_interval;
+exports.is_requested = is_requested;
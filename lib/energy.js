@@ -0,0 +1,264 @@
+var async = require('async');
+var get_task_runtime = require('./runtime').get_task_runtime;
+var to_number = require('./sample').to_number;
+
+/*
+ * Energy to solution from power samples.
+ *
+ * Every numeric field named like power (e.g. device0:power of the plug-in
+ * mf_plugin_Board_power, GPU1:power) is taken as the power of one device of
+ * the sample's host in watts. Its samples are integrated over
+ * local_timestamp by the trapezoidal rule, so irregular sampling is
+ * weighted by the time between samples. Intervals longer than gap_factor
+ * times the median interval of a series are gaps: they are left out and
+ * reported, instead of interpolating over a pause of the measurements. The
+ * energy of a host is the sum over its devices, that of a task the sum over
+ * its hosts, in joules.
+ */
+
+var power_metric = /power/i;
+
+var gap_factor = 5;
+
+function is_power_metric(name) {
+    return power_metric.test(name);
+}
+
+/*
+ * Integrates the power metrics of the given samples; returns
+ * { energy, hosts: { host: { energy, average_power, gaps } } } with the
+ * average power over the time covered by samples and the gaps in seconds,
+ * or energy null without power metrics.
+ */
+function integrate(samples) {
+    return integrate_series(power_series(samples));
+}
+
+/*
+ * Integrates the given series (see power_series) as integrate() does.
+ */
+function integrate_series(series) {
+    var hosts = {},
+        energy = null;
+
+    Object.keys(series).sort().forEach(function(host) {
+        var result = { energy: 0, average_power: null, gaps: 0 };
+        Object.keys(series[host]).forEach(function(name) {
+            var device = series_intervals(series[host][name]),
+                covered = 0,
+                device_energy = 0;
+            device.intervals.forEach(function(interval) {
+                device_energy += interval.energy;
+                covered += (interval.to - interval.from) / 1000;
+            });
+            result.energy += device_energy;
+            result.gaps = Math.max(result.gaps, device.gaps);
+            if (covered > 0) {
+                result.average_power = (result.average_power || 0) + device_energy / covered;
+            }
+        });
+        hosts[host] = result;
+        energy = (energy || 0) + result.energy;
+    });
+    return { energy: energy, hosts: hosts };
+}
+
+/*
+ * Returns the power samples as series { host: { metric: [ { time, power } ] } }
+ * with times in milliseconds, added to the given series if any.
+ */
+function power_series(samples, series) {
+    series = series || {};
+    samples.forEach(function(sample) {
+        var time = to_time(sample.local_timestamp);
+        if (isNaN(time)) {
+            return;
+        }
+        Object.keys(sample).forEach(function(name) {
+            var power = to_number(sample[name]);
+            if (power === null || !is_power_metric(name)) {
+                return;
+            }
+            var host = is_defined(sample.host) ? String(sample.host) : '';
+            series[host] = series[host] || {};
+            series[host][name] = series[host][name] || [];
+            series[host][name].push({ time: time, power: power });
+        });
+    });
+    return series;
+}
+
+/*
+ * Integrates a series of points { time, power } interval by interval; returns
+ * { intervals: [ { from, to, energy } ], gaps } with times in milliseconds,
+ * energy in joules and the gaps left out in seconds.
+ */
+function series_intervals(points) {
+    var lengths = [],
+        result = { intervals: [], gaps: 0 };
+
+    points.sort(function(a, b) {
+        return a.time - b.time;
+    });
+    for (var i = 1; i < points.length; ++i) {
+        if (points[i].time > points[i - 1].time) {
+            lengths.push(points[i].time - points[i - 1].time);
+        }
+    }
+    if (lengths.length === 0) {
+        return result;
+    }
+    var max_interval = gap_factor * median(lengths);
+    for (i = 1; i < points.length; ++i) {
+        var length = points[i].time - points[i - 1].time;
+        if (length === 0) {
+            continue;
+        }
+        if (length > max_interval) {
+            result.gaps += length / 1000;
+        } else {
+            result.intervals.push({
+                from: points[i - 1].time,
+                to: points[i].time,
+                energy: (points[i].power + points[i - 1].power) / 2 * length / 1000
+            });
+        }
+    }
+    return result;
+}
+
+/*
+ * Returns the average power and the energy-delay product of the given energy
+ * (joules) spent in the given runtime (seconds).
+ */
+function derive(energy, runtime) {
+    return {
+        energy: energy,
+        average_power: (energy === null || !(runtime > 0)) ? null : energy / runtime,
+        energy_delay_product: energy === null ? null : energy * runtime
+    };
+}
+
+/*
+ * Returns the value to minimize under the optimization criterion of a
+ * workflow: the runtime for 'time', the energy for 'energy' and the
+ * energy-delay product for 'balanced'; null if unknown or not measured.
+ */
+function objective(criterion, runtime, energy) {
+    switch (criterion) {
+    case 'time':
+        return runtime;
+    case 'energy':
+        return energy;
+    case 'balanced':
+        return energy === null ? null : energy * runtime;
+    default:
+        return null;
+    }
+}
+
+/*
+ * Measures runtime and energy of a task of an experiment; returns the
+ * get_task_runtime data with energy, average_power, energy_delay_product
+ * and hosts (see integrate). The samples are scanned page by page, keeping
+ * only the points of the power series.
+ */
+function get_task_energy(storage, workflow, task, experiment, callback) {
+    var query = { workflow: workflow, task: task, experiment: experiment },
+        series = {};
+
+    get_task_runtime(storage, workflow, task, experiment, function(error, data) {
+        if (error) {
+            return callback(error);
+        }
+        storage.scanSamples(query, function(samples, next) {
+            power_series(samples, series);
+            next(null);
+        }, function(error) {
+            if (error) {
+                return callback(error);
+            }
+            var integrated = integrate_series(series);
+            callback(null, Object.assign(data, derive(integrated.energy, data.runtime), {
+                hosts: integrated.hosts
+            }));
+        });
+    });
+}
+
+/*
+ * Sums the energy of the given tasks (see get_task_energy) per host.
+ */
+function sum_hosts(tasks) {
+    var hosts = {};
+    tasks.forEach(function(task) {
+        Object.keys(task.hosts || {}).forEach(function(host) {
+            var data = task.hosts[host];
+            hosts[host] = hosts[host] || { energy: 0, gaps: 0 };
+            hosts[host].energy += data.energy;
+            hosts[host].gaps += data.gaps;
+        });
+    });
+    return hosts;
+}
+
+/*
+ * Measures every task of an experiment that has samples; returns
+ * { taskID: get_task_energy data }.
+ */
+function get_experiment_energy(storage, workflow, experiment, callback) {
+    storage.getTasks(workflow, function(error, tasks) {
+        if (error) {
+            return callback(error);
+        }
+        var results = {};
+        async.each(Object.keys(tasks).filter(function(task) {
+            return tasks[task].indexOf(experiment) !== -1;
+        }), function(task, callback) {
+            get_task_energy(storage, workflow, task, experiment, function(error, data) {
+                results[task] = data;
+                callback(error || null);
+            });
+        }, function(error) {
+            callback(error || null, error ? null : results);
+        });
+    });
+}
+
+/* local timestamps without a zone are taken as UTC, only differences matter */
+function to_time(timestamp) {
+    if (!is_defined(timestamp) || timestamp === null) {
+        return NaN;
+    }
+    if (typeof timestamp === 'number') {
+        return timestamp;
+    }
+    var value = String(timestamp).replace(/\s/g, '0');
+    if (!/(Z|[+\-]\d\d:?\d\d)$/.test(value)) {
+        value += 'Z';
+    }
+    return Date.parse(value);
+}
+
+function median(values) {
+    var sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.is_power_metric = is_power_metric;
+exports.integrate = integrate;
+exports.power_series = power_series;
+exports.series_intervals = series_intervals;
+exports.to_time = to_time;
+exports.derive = derive;
+exports.objective = objective;
+exports.get_task_energy = get_task_energy;
+exports.get_experiment_energy = get_experiment_energy;
+exports.sum_hosts = sum_hosts;
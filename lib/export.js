@@ -0,0 +1,315 @@
+var arrow = require('apache-arrow');
+var to_time = require('./energy').to_time;
+var sample = require('./sample');
+
+/*
+ * Export of profiles, metrics and statistics as CSV, newline-delimited JSON
+ * and Apache Arrow IPC streams.
+ *
+ * The format is chosen by the parameter format or else by the Accept header;
+ * JSON, the default, keeps the regular responses of the routes. The other
+ * formats write rows, given as objects keyed by column, as they are read:
+ * CSV and Arrow need the columns ({ name, type } with the type 'string',
+ * 'number' or 'timestamp') before the first row, NDJSON writes every row as
+ * it is. Metrics sent as strings holding a number count as numbers. In the
+ * wide layout (default) a row is written as is; in the long layout every
+ * numeric column becomes a row of its own holding the other columns, the
+ * name of the column (options.variable, default 'metric') and value.
+ * Timestamps without a zone are written to Arrow as UTC.
+ */
+
+var formats = {
+    json: 'application/json',
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson',
+    arrow: 'application/vnd.apache.arrow.stream'
+};
+
+var layouts = [ 'wide', 'long' ];
+
+/* fields of the samples that are timestamps */
+var timestamps = [ 'local_timestamp', 'server_timestamp', '@timestamp' ];
+
+/*
+ * Returns the requested { format, layout }, or { error } if the parameter
+ * format or layout is invalid. Accept headers without a supported type get
+ * JSON.
+ */
+function negotiate(req) {
+    var format = req.query.format,
+        layout = is_defined(req.query.layout) ? String(req.query.layout) : 'wide';
+
+    if (is_defined(format)) {
+        format = String(format).toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(formats, format)) {
+            return { error: "Unknown format '" + format + "', use " + Object.keys(formats).join(', ') + "." };
+        }
+    } else {
+        var accepted = req.accepts(Object.keys(formats).map(function(name) {
+            return formats[name];
+        }));
+        format = 'json';
+        Object.keys(formats).forEach(function(name) {
+            if (formats[name] === accepted) {
+                format = name;
+            }
+        });
+    }
+    if (layouts.indexOf(layout) === -1) {
+        return { error: "Unknown layout '" + layout + "', use " + layouts.join(' or ') + "." };
+    }
+    return { format: format, layout: layout };
+}
+
+/*
+ * Adds the fields of the given rows to types ({ name: type }): timestamps by
+ * name, numbers if all values are numbers (see is_number), strings
+ * otherwise.
+ */
+function collect_types(types, rows) {
+    rows.forEach(function(row) {
+        Object.keys(row).forEach(function(name) {
+            var value = row[name];
+            if (value === null || !is_defined(value)) {
+                types[name] = types[name] || 'number';
+            } else if (timestamps.indexOf(name) !== -1) {
+                types[name] = 'timestamp';
+            } else if (!is_number(name, value)) {
+                types[name] = 'string';
+            } else {
+                types[name] = types[name] || 'number';
+            }
+        });
+    });
+    return types;
+}
+
+/* columns of the types, those named in first in its order, the others sorted */
+function to_columns(types, first) {
+    var names = first.filter(function(name) {
+        return Object.prototype.hasOwnProperty.call(types, name);
+    });
+    return names.concat(Object.keys(types).filter(function(name) {
+        return names.indexOf(name) === -1;
+    }).sort()).map(function(name) {
+        return { name: name, type: types[name] };
+    });
+}
+
+/*
+ * Starts a response of the given format (see negotiate) and returns its
+ * writer: write(rows, callback) calls back once the response takes more
+ * data, or with an error if the client went away; end() completes the
+ * response, abort() breaks it off after an error. options holds the layout,
+ * the columns (not needed for NDJSON) and the variable of the long layout.
+ */
+function create(res, format, options) {
+    var layout = options.layout || 'wide',
+        variable = options.variable || 'metric',
+        columns = options.columns || null,
+        numeric = null,
+        closed = false,
+        output;
+
+    if (columns !== null && layout === 'long') {
+        numeric = columns.filter(function(column) {
+            return column.type === 'number';
+        }).map(function(column) {
+            return column.name;
+        });
+        columns = columns.filter(function(column) {
+            return column.type !== 'number';
+        }).concat([
+            { name: variable, type: 'string' },
+            { name: 'value', type: 'number' }
+        ]);
+    }
+    res.on('close', function() {
+        closed = true;
+    });
+    res.type(formats[format]);
+
+    switch (format) {
+    case 'csv':
+        res.write(columns.map(function(column) {
+            return csv_field(column.name);
+        }).join(',') + '\r\n');
+        output = function(rows) {
+            res.write(rows.map(function(row) {
+                return columns.map(function(column) {
+                    return csv_field(row[column.name]);
+                }).join(',') + '\r\n';
+            }).join(''));
+        };
+        break;
+    case 'ndjson':
+        output = function(rows) {
+            res.write(rows.map(function(row) {
+                return JSON.stringify(row) + '\n';
+            }).join(''));
+        };
+        break;
+    case 'arrow':
+        var schema = new arrow.Schema(columns.map(function(column) {
+                return new arrow.Field(column.name, arrow_type(column.type), true);
+            })),
+            writer = new arrow.RecordBatchStreamWriter();
+        writer.reset(res, schema);
+        output = function(rows) {
+            writer.write(record_batch(schema, columns, rows));
+        };
+        output.end = function() {
+            writer.finish();
+        };
+        break;
+    }
+
+    return {
+        write: function(rows, callback) {
+            if (closed) {
+                return callback(new Error('The client closed the connection.'));
+            }
+            if (layout === 'long') {
+                rows = melt(rows, variable, numeric);
+            }
+            if (rows.length > 0) {
+                output(rows);
+            }
+            /* let Arrow hand its data to the response before checking for backpressure */
+            setImmediate(function() {
+                if (closed) {
+                    return callback(new Error('The client closed the connection.'));
+                }
+                if (!res.writableNeedDrain) {
+                    return callback(null);
+                }
+                var resume = function() {
+                    res.removeListener('drain', resume);
+                    res.removeListener('close', resume);
+                    callback(closed ? new Error('The client closed the connection.') : null);
+                };
+                res.on('drain', resume);
+                res.on('close', resume);
+            });
+        },
+        end: function() {
+            if (is_defined(output.end)) {
+                return output.end();
+            }
+            res.end();
+        },
+        abort: function() {
+            res.destroy();
+        }
+    };
+}
+
+/* writes all rows of a response at once, see create */
+function send(res, format, options, rows) {
+    var writer = create(res, format, options);
+    writer.write(rows, function(error) {
+        if (error) {
+            return writer.abort();
+        }
+        writer.end();
+    });
+}
+
+/*
+ * One row per numeric field (the given numeric columns if known), holding
+ * the other fields.
+ */
+function melt(rows, variable, numeric) {
+    var results = [];
+    rows.forEach(function(row) {
+        var keys = {},
+            names = [];
+        Object.keys(row).forEach(function(name) {
+            if (numeric === null ? is_number(name, row[name]) : numeric.indexOf(name) !== -1) {
+                names.push(name);
+            } else {
+                keys[name] = row[name];
+            }
+        });
+        names.forEach(function(name) {
+            var value = sample.to_number(row[name]);
+            if (value === null) {
+                return;
+            }
+            var result = Object.assign({}, keys);
+            result[variable] = name;
+            result.value = value;
+            results.push(result);
+        });
+    });
+    return results;
+}
+
+function csv_field(value) {
+    if (value === null || !is_defined(value)) {
+        return '';
+    }
+    value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+}
+
+function arrow_type(type) {
+    switch (type) {
+    case 'number':
+        return new arrow.Float64();
+    case 'timestamp':
+        return new arrow.TimestampMillisecond();
+    default:
+        return new arrow.Utf8();
+    }
+}
+
+function record_batch(schema, columns, rows) {
+    var children = columns.map(function(column, i) {
+        var values = rows.map(function(row) {
+            return arrow_value(row[column.name], column.type);
+        });
+        return arrow.vectorFromArray(values, schema.fields[i].type).data[0];
+    });
+    return new arrow.RecordBatch(schema, arrow.makeData({
+        type: new arrow.Struct(schema.fields),
+        length: rows.length,
+        nullCount: 0,
+        children: children
+    }));
+}
+
+function arrow_value(value, type) {
+    if (value === null || !is_defined(value)) {
+        return null;
+    }
+    switch (type) {
+    case 'number':
+        return sample.to_number(value);
+    case 'timestamp':
+        var time = to_time(value);
+        return isNaN(time) ? null : time;
+    default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/* numbers, and strings holding one in the metrics of samples */
+function is_number(name, value) {
+    return typeof value === 'number' || (!Object.prototype.hasOwnProperty.call(sample.fields, name) && sample.to_number(value) !== null);
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.formats = formats;
+exports.timestamps = timestamps;
+exports.negotiate = negotiate;
+exports.collect_types = collect_types;
+exports.to_columns = to_columns;
+exports.create = create;
+exports.send = send;
@@ -0,0 +1,185 @@
+var lifecycle = require('./lifecycle');
+var check_ids = require('./sample').check_ids;
+var prometheus = require('./prometheus');
+var stream = require('./stream');
+
+/*
+ * Storing the samples sent to the metrics routes, and the write buffer of
+ * the single-sample route (POST /metrics/:workflowID/:taskID/:experimentID).
+ *
+ * Every stored sample is published to the live stream (see lib/stream) and
+ * recorded for Prometheus (see lib/prometheus), and its experiment marked
+ * as active (see lib/lifecycle). The bulk routes store their samples at
+ * once. Single samples, which agents send by the hundreds per second, are
+ * buffered and written in bulk once settings.max_samples are buffered or
+ * settings.flush_after seconds after the first one. With settings.acknowledge
+ * 'flush' (default) a request is answered once its sample is stored; with
+ * 'buffer' already once it is buffered, so samples buffered when the server
+ * dies are lost and failures to store them only show in the log and in
+ * mf_ingest_failed_samples_total. close() writes the buffered samples on
+ * shutdown. Elasticsearch creates the indices of the samples from the index
+ * template of the backend, so writes need not check for them.
+ */
+
+/*
+ * Stores items of storage.addSamples ({ workflow, task, experiment, sample })
+ * and calls back with their results ([ { id, error } ]); settings are those
+ * of the experiments. Items with invalid IDs are rejected without storing.
+ */
+function store(storage, settings, items, callback) {
+    var results = [],
+        valid = [];
+
+    items.forEach(function(item, i) {
+        var problem = check_ids(item);
+        if (problem !== null) {
+            prometheus.record_failure(item.workflow);
+            results[i] = { error: problem };
+        } else {
+            valid.push(i);
+        }
+    });
+    if (valid.length === 0) {
+        return setImmediate(callback, null, results);
+    }
+
+    var stored_items = valid.map(function(i) {
+        return items[i];
+    });
+    storage.addSamples(stored_items, function(error, stored) {
+        if (error) {
+            stored_items.forEach(function(item) {
+                prometheus.record_failure(item.workflow);
+            });
+            return callback(error);
+        }
+        stored_items.forEach(function(item, i) {
+            results[valid[i]] = stored[i];
+            if (stored[i].error) {
+                return prometheus.record_failure(item.workflow);
+            }
+            stream.publish(item.workflow, item.task, item.experiment, item.sample);
+            prometheus.record(item.workflow, item.task, item.sample);
+        });
+        touch(storage, settings, stored_items, function() {
+            callback(null, results);
+        });
+    });
+}
+
+/*
+ * Updates the lifecycle of the experiments the samples belong to. The samples
+ * are stored already, so a failed update is only retried with later samples.
+ */
+function touch(storage, settings, items, callback) {
+    var seen = {},
+        experiments = [];
+    items.forEach(function(item) {
+        var key = item.workflow + '/' + item.experiment;
+        if (!seen[key]) {
+            seen[key] = true;
+            experiments.push({ workflow: item.workflow, experiment: item.experiment });
+        }
+    });
+    lifecycle.touch(storage, settings, experiments, function() {
+        callback();
+    });
+}
+
+/*
+ * Buffer of single samples, written by write(items, callback) as store()
+ * does.
+ */
+function WriteBuffer(settings, write) {
+    this.settings = settings;
+    this.write = write;
+    this.queue = [];
+    this.timer = null;
+    this.writing = 0;
+    this.closed = false;
+    this.drained = [];
+}
+
+/*
+ * Buffers an item; calls back with its result ({ id, error }) once it is
+ * written, or with null once it is buffered if samples are acknowledged on
+ * buffer. Calls back with an error if the write failed, or with one of the
+ * status 503 if the server is shutting down.
+ */
+WriteBuffer.prototype.add = function(item, callback) {
+    var self = this,
+        acknowledged = self.settings.acknowledge === 'buffer';
+
+    if (self.closed) {
+        var error = new Error('The server is shutting down.');
+        error.status = 503;
+        return setImmediate(callback, error);
+    }
+    self.queue.push({ item: item, callback: acknowledged ? null : callback });
+    if (self.queue.length >= self.settings.max_samples) {
+        self.flush();
+    } else if (self.timer === null) {
+        self.timer = setTimeout(function() {
+            self.flush();
+        }, self.settings.flush_after * 1000);
+    }
+    if (acknowledged) {
+        setImmediate(callback, null, null);
+    }
+};
+
+/*
+ * Writes the buffered items.
+ */
+WriteBuffer.prototype.flush = function() {
+    var self = this,
+        entries = self.queue;
+
+    clearTimeout(self.timer);
+    self.timer = null;
+    self.queue = [];
+    if (entries.length === 0) {
+        return;
+    }
+    ++self.writing;
+    self.write(entries.map(function(entry) {
+        return entry.item;
+    }), function(error, results) {
+        var lost = 0;
+        entries.forEach(function(entry, i) {
+            if (entry.callback !== null) {
+                return entry.callback(error || null, error ? null : results[i]);
+            }
+            if (error || results[i].error) {
+                ++lost;
+            }
+        });
+        if (lost > 0) {
+            console.error('Could not store ' + lost + ' acknowledged samples: ' +
+                (error ? error.message : 'rejected by the storage'));
+        }
+        if (--self.writing === 0) {
+            var drained = self.drained;
+            self.drained = [];
+            drained.forEach(function(callback) {
+                callback();
+            });
+        }
+    });
+};
+
+/*
+ * Refuses further items, writes the buffered ones and calls back once all
+ * writes are done.
+ */
+WriteBuffer.prototype.close = function(callback) {
+    this.closed = true;
+    this.flush();
+    if (this.writing === 0) {
+        return setImmediate(callback);
+    }
+    this.drained.push(callback);
+};
+
+exports.store = store;
+exports.WriteBuffer = WriteBuffer;
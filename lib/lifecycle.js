@@ -0,0 +1,179 @@
+/*
+ * Lifecycle of experiments.
+ *
+ *   registered  created, no samples received yet
+ *   running     samples are arriving
+ *   finished    ended successfully (PATCH /experiments/:id)
+ *   failed      ended with an error (PATCH /experiments/:id)
+ *   stale       registered or running, but no samples arrived for
+ *               experiments.stale_after seconds
+ *
+ * 'stale' is never stored: it is derived from the field last_activity, so
+ * that an experiment becomes running again once samples arrive. Experiments
+ * registered before the lifecycle was introduced have no status.
+ */
+
+var statuses = [ 'registered', 'running', 'finished', 'failed', 'stale' ];
+
+var final_statuses = [ 'finished', 'failed' ];
+
+/*
+ * experiment -> time last_activity was stored, to limit updates per sample;
+ * entries are removed when the experiment ends or becomes stale
+ */
+var touched = {};
+
+/* time touched was last searched for stale experiments */
+var swept = 0;
+
+/*
+ * Returns the fields of a new experiment.
+ */
+function register() {
+    return {
+        status: 'registered',
+        last_activity: new Date().toISOString()
+    };
+}
+
+/*
+ * Returns the status of an experiment at the given time (default: now).
+ */
+function get_status(experiment, stale_after, now) {
+    var status = experiment.status;
+    if (status !== 'registered' && status !== 'running') {
+        return status;
+    }
+    if (is_stale(experiment.last_activity, stale_after, now)) {
+        return 'stale';
+    }
+    return status;
+}
+
+function is_stale(last_activity, stale_after, now) {
+    var time = new Date(last_activity).getTime();
+    return !isNaN(time) && time < (now || Date.now()) - stale_after * 1000;
+}
+
+/*
+ * Returns the time (ISO 8601) before which registered and running
+ * experiments count as stale.
+ */
+function stale_before(stale_after, now) {
+    return new Date((now || Date.now()) - stale_after * 1000).toISOString();
+}
+
+/*
+ * Records that samples of the given experiments ({ workflow, experiment })
+ * arrived: the first samples switch an experiment to running, later ones
+ * refresh last_activity, at most every tenth of the stale period.
+ */
+function touch(storage, settings, experiments, callback) {
+    var now = Date.now(),
+        interval = Math.min(settings.stale_after * 100, 60000),
+        pending = [];
+
+    if (swept <= now - interval) {
+        swept = now;
+        sweep(now - settings.stale_after * 1000);
+    }
+    experiments.forEach(function(item) {
+        var key = item.workflow + '/' + item.experiment;
+        if (is_defined(touched[key]) && touched[key] > now - interval) {
+            return;
+        }
+        touched[key] = now;
+        pending.push(item);
+    });
+    if (pending.length === 0) {
+        return callback(null);
+    }
+
+    var remaining = pending.length,
+        failure = null;
+    pending.forEach(function(item) {
+        update_activity(storage, item.workflow, item.experiment, function(error) {
+            if (error) {
+                delete touched[item.workflow + '/' + item.experiment];
+                failure = failure || error;
+            }
+            if (--remaining === 0) {
+                callback(failure);
+            }
+        });
+    });
+}
+
+/* removes the experiments without samples since the given time */
+function sweep(before) {
+    Object.keys(touched).forEach(function(key) {
+        if (touched[key] < before) {
+            delete touched[key];
+        }
+    });
+}
+
+/*
+ * Forgets the samples of an experiment that ended, so that it does not
+ * linger in touched.
+ */
+function forget(workflow, id) {
+    delete touched[workflow + '/' + id];
+}
+
+function update_activity(storage, workflow, id, callback) {
+    storage.getExperiment(workflow, id, function(error, experiment) {
+        /* samples of unknown or legacy experiments are stored anyway */
+        if (error || experiment === null || !is_defined(experiment.status)) {
+            return callback(error || null);
+        }
+        var now = new Date().toISOString(),
+            fields = { last_activity: now };
+        if (experiment.status === 'registered') {
+            fields.status = 'running';
+            fields.start_time = now;
+        }
+        storage.updateExperiment(workflow, id, fields, callback);
+    });
+}
+
+/*
+ * Returns the fields to store for a status change requested by a client, or
+ * an error message ({ error, status }) if the change is not allowed.
+ */
+function change(experiment, body) {
+    var status = body.status;
+    if (final_statuses.indexOf(status) === -1) {
+        return { status: 400, error: "The status must be one of " + final_statuses.join(', ') + "." };
+    }
+    if (!is_defined(experiment.status)) {
+        return { status: 409, error: "The experiment was registered without a lifecycle." };
+    }
+    if (final_statuses.indexOf(experiment.status) !== -1) {
+        return { status: 409, error: "The experiment is already " + experiment.status + "." };
+    }
+    var end_time = is_defined(body.end_time) ? new Date(body.end_time) : new Date();
+    if (isNaN(end_time.getTime())) {
+        return { status: 400, error: "The end_time must be a date." };
+    }
+    var fields = {
+        status: status,
+        end_time: end_time.toISOString()
+    };
+    if (typeof body.reason === 'string') {
+        fields.reason = body.reason;
+    }
+    return { fields: fields };
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.statuses = statuses;
+exports.register = register;
+exports.get_status = get_status;
+exports.stale_before = stale_before;
+exports.touch = touch;
+exports.forget = forget;
+exports.change = change;
@@ -0,0 +1,169 @@
+/*
+ * Parser of the InfluxDB line protocol, as sent by Telegraf and other
+ * agents (POST /metrics/write).
+ *
+ * Every line holds one point:
+ *
+ *   measurement[,tag=value...] field=value[,field=value...] [timestamp]
+ *
+ * Measurements escape commas and spaces with a backslash; tag keys, tag
+ * values and field keys also equal signs. Field values are floats, integers
+ * (12i), unsigned integers (12u), booleans (t, true, f, false, ...) or
+ * double-quoted strings escaping double quotes and backslashes. Timestamps
+ * are integers in the given precision, nanoseconds by default. Empty lines
+ * and lines starting with # are skipped.
+ */
+
+/* milliseconds per unit of the timestamps, by the names of InfluxDB 1.x and 2.x */
+var precisions = {
+    n: 1e-6,
+    ns: 1e-6,
+    u: 1e-3,
+    us: 1e-3,
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000
+};
+
+/*
+ * Parses the given text; returns per non-empty line { line, point } with the
+ * line number and the point ({ measurement, tags, fields, time } with the
+ * time in milliseconds or null), or { line, error }.
+ */
+function parse(text, precision) {
+    var results = [];
+    String(text).split('\n').forEach(function(line, i) {
+        line = line.replace(/\r$/, '');
+        if (/^\s*(#.*)?$/.test(line)) {
+            return;
+        }
+        try {
+            results.push({ line: i + 1, point: parse_line(line, precision) });
+        } catch (e) {
+            results.push({ line: i + 1, error: e.message });
+        }
+    });
+    return results;
+}
+
+function parse_line(line, precision) {
+    var point = { tags: {}, fields: {}, time: null },
+        token = read(line, 0, ', ', ', ');
+
+    point.measurement = token.value;
+    if (point.measurement === '') {
+        throw new Error('The measurement is missing.');
+    }
+    var pos = token.pos;
+    while (line[pos] === ',') {
+        var key = read(line, pos + 1, ',= ', ',= ');
+        if (key.value === '' || line[key.pos] !== '=') {
+            throw new Error('Invalid tag at column ' + (pos + 2) + '.');
+        }
+        var value = read(line, key.pos + 1, ', ', ',= ');
+        if (value.value === '') {
+            throw new Error("The tag '" + key.value + "' has no value.");
+        }
+        point.tags[key.value] = value.value;
+        pos = value.pos;
+    }
+    if (line[pos] !== ' ') {
+        throw new Error('The fields are missing.');
+    }
+    pos = skip_spaces(line, pos);
+    do {
+        if (line[pos] === ',') {
+            ++pos;
+        }
+        var field = read(line, pos, ',= ', ',= ');
+        if (field.value === '' || line[field.pos] !== '=') {
+            throw new Error('Invalid field at column ' + (pos + 1) + '.');
+        }
+        var parsed = read_field_value(line, field.pos + 1, field.value);
+        point.fields[field.value] = parsed.value;
+        pos = parsed.pos;
+    } while (line[pos] === ',');
+
+    if (pos < line.length) {
+        if (line[pos] !== ' ') {
+            throw new Error('Unexpected character at column ' + (pos + 1) + '.');
+        }
+        var timestamp = line.slice(skip_spaces(line, pos)).trim();
+        if (timestamp !== '') {
+            point.time = to_milliseconds(timestamp, precision);
+        }
+    }
+    return point;
+}
+
+/*
+ * Reads up to the first unescaped character of stops; a backslash escapes
+ * the characters of escaped (and itself).
+ */
+function read(line, pos, stops, escaped) {
+    var value = '';
+    while (pos < line.length && stops.indexOf(line[pos]) === -1) {
+        if (line[pos] === '\\' && pos + 1 < line.length && (escaped + '\\').indexOf(line[pos + 1]) !== -1) {
+            ++pos;
+        }
+        value += line[pos++];
+    }
+    return { value: value, pos: pos };
+}
+
+function read_field_value(line, pos, name) {
+    if (line[pos] === '"') {
+        var value = '';
+        for (++pos; pos < line.length && line[pos] !== '"'; ++pos) {
+            if (line[pos] === '\\' && (line[pos + 1] === '"' || line[pos + 1] === '\\')) {
+                ++pos;
+            }
+            value += line[pos];
+        }
+        if (pos >= line.length) {
+            throw new Error("The string of the field '" + name + "' is not terminated.");
+        }
+        return { value: value, pos: pos + 1 };
+    }
+    var token = read(line, pos, ', ', ''),
+        text = token.value;
+    if (/^[-+]?\d+i$/.test(text) || /^\d+u$/.test(text)) {
+        return { value: Number(text.slice(0, -1)), pos: token.pos };
+    }
+    if (/^(t|T|true|True|TRUE)$/.test(text)) {
+        return { value: true, pos: token.pos };
+    }
+    if (/^(f|F|false|False|FALSE)$/.test(text)) {
+        return { value: false, pos: token.pos };
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text) && isFinite(Number(text))) {
+        return { value: Number(text), pos: token.pos };
+    }
+    throw new Error("Invalid value of the field '" + name + "'.");
+}
+
+/* nanoseconds exceed the precision of numbers, so they are divided exactly */
+function to_milliseconds(timestamp, precision) {
+    if (!/^-?\d+$/.test(timestamp)) {
+        throw new Error("Invalid timestamp '" + timestamp + "'.");
+    }
+    var factor = precisions[precision],
+        time = factor < 1 ?
+            Number(BigInt(timestamp) / BigInt(Math.round(1 / factor))) :
+            Number(timestamp) * factor;
+    if (isNaN(new Date(time).getTime())) {
+        throw new Error("The timestamp '" + timestamp + "' is out of range.");
+    }
+    return time;
+}
+
+function skip_spaces(line, pos) {
+    while (line[pos] === ' ') {
+        ++pos;
+    }
+    return pos;
+}
+
+exports.precisions = precisions;
+exports.parse = parse;
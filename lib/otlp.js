@@ -0,0 +1,469 @@
+/*
+ * Receiver of OpenTelemetry metrics sent over OTLP/HTTP
+ * (POST /metrics/otlp), encoded as protobuf or JSON.
+ *
+ * Protobuf requests are decoded into the structure of the JSON encoding
+ * (fields in lowerCamelCase, 64-bit integers as strings), so both share the
+ * conversion into samples. Only the messages and fields of the metrics
+ * service needed here are known; others are skipped.
+ *
+ * The resource attributes workflow, task, experiment and host.name place
+ * the data points of a resource; data points of resources lacking one of
+ * them are rejected. Data points of a resource and scope with the same time
+ * and attributes form one sample: the scope name becomes its type, the
+ * attributes string fields and every data point a metric named after its
+ * metric. Gauges and sums keep their value, histograms give the metrics
+ * <name>:count, <name>:sum, <name>:min and <name>:max (if sent), without
+ * buckets. Exponential histograms and summaries are rejected.
+ */
+
+var content_types = {
+    protobuf: 'application/x-protobuf',
+    json: 'application/json'
+};
+
+/* resource attributes naming the workflow, task, experiment and host of the data points */
+var resource_attributes = {
+    workflow: 'workflow',
+    task: 'task',
+    experiment: 'experiment',
+    host: 'host.name'
+};
+
+/* data points flagged without a value (FLAG_NO_RECORDED_VALUE) */
+var no_recorded_value = 1;
+
+/*
+ * Protobuf schemas of the messages: field number to [ name, type, message
+ * schema, repeated ].
+ */
+var schemas = {};
+schemas.AnyValue = {
+    1: [ 'stringValue', 'string' ],
+    2: [ 'boolValue', 'bool' ],
+    3: [ 'intValue', 'int64' ],
+    4: [ 'doubleValue', 'double' ],
+    5: [ 'arrayValue', 'message', 'ArrayValue' ],
+    6: [ 'kvlistValue', 'message', 'KeyValueList' ],
+    7: [ 'bytesValue', 'bytes' ]
+};
+schemas.ArrayValue = { 1: [ 'values', 'message', 'AnyValue', true ] };
+schemas.KeyValue = {
+    1: [ 'key', 'string' ],
+    2: [ 'value', 'message', 'AnyValue' ]
+};
+schemas.KeyValueList = { 1: [ 'values', 'message', 'KeyValue', true ] };
+schemas.NumberDataPoint = {
+    2: [ 'startTimeUnixNano', 'fixed64' ],
+    3: [ 'timeUnixNano', 'fixed64' ],
+    4: [ 'asDouble', 'double' ],
+    6: [ 'asInt', 'sfixed64' ],
+    7: [ 'attributes', 'message', 'KeyValue', true ],
+    8: [ 'flags', 'uint32' ]
+};
+schemas.HistogramDataPoint = {
+    2: [ 'startTimeUnixNano', 'fixed64' ],
+    3: [ 'timeUnixNano', 'fixed64' ],
+    4: [ 'count', 'fixed64' ],
+    5: [ 'sum', 'double' ],
+    6: [ 'bucketCounts', 'fixed64', null, true ],
+    7: [ 'explicitBounds', 'double', null, true ],
+    9: [ 'attributes', 'message', 'KeyValue', true ],
+    10: [ 'flags', 'uint32' ],
+    11: [ 'min', 'double' ],
+    12: [ 'max', 'double' ]
+};
+/* only counted to report them as rejected */
+schemas.OtherDataPoint = {};
+schemas.Gauge = { 1: [ 'dataPoints', 'message', 'NumberDataPoint', true ] };
+schemas.Sum = {
+    1: [ 'dataPoints', 'message', 'NumberDataPoint', true ],
+    2: [ 'aggregationTemporality', 'uint32' ],
+    3: [ 'isMonotonic', 'bool' ]
+};
+schemas.Histogram = {
+    1: [ 'dataPoints', 'message', 'HistogramDataPoint', true ],
+    2: [ 'aggregationTemporality', 'uint32' ]
+};
+schemas.Other = { 1: [ 'dataPoints', 'message', 'OtherDataPoint', true ] };
+schemas.Metric = {
+    1: [ 'name', 'string' ],
+    2: [ 'description', 'string' ],
+    3: [ 'unit', 'string' ],
+    5: [ 'gauge', 'message', 'Gauge' ],
+    7: [ 'sum', 'message', 'Sum' ],
+    9: [ 'histogram', 'message', 'Histogram' ],
+    10: [ 'exponentialHistogram', 'message', 'Other' ],
+    11: [ 'summary', 'message', 'Other' ]
+};
+schemas.InstrumentationScope = {
+    1: [ 'name', 'string' ],
+    2: [ 'version', 'string' ]
+};
+schemas.ScopeMetrics = {
+    1: [ 'scope', 'message', 'InstrumentationScope' ],
+    2: [ 'metrics', 'message', 'Metric', true ]
+};
+schemas.Resource = { 1: [ 'attributes', 'message', 'KeyValue', true ] };
+schemas.ResourceMetrics = {
+    1: [ 'resource', 'message', 'Resource' ],
+    2: [ 'scopeMetrics', 'message', 'ScopeMetrics', true ]
+};
+schemas.ExportMetricsServiceRequest = { 1: [ 'resourceMetrics', 'message', 'ResourceMetrics', true ] };
+
+/*
+ * Decodes a protobuf ExportMetricsServiceRequest; throws an error if the
+ * buffer is no valid message.
+ */
+function decode(buffer) {
+    return decode_message(buffer, 0, buffer.length, schemas.ExportMetricsServiceRequest);
+}
+
+function decode_message(buffer, pos, end, schema) {
+    var message = {};
+    while (pos < end) {
+        var key = read_varint(buffer, pos, end),
+            number = Number(key.value >> 3n),
+            wire_type = Number(key.value & 7n),
+            field = schema[number];
+        pos = key.pos;
+
+        if (!field) {
+            pos = skip_field(buffer, pos, end, wire_type);
+            continue;
+        }
+        var name = field[0],
+            type = field[1],
+            values = [];
+        if (wire_type === 2 && type !== 'string' && type !== 'bytes' && type !== 'message') {
+            /* packed repeated scalars */
+            var length = read_varint(buffer, pos, end),
+                packed_end = length.pos + Number(length.value);
+            check_bounds(packed_end, end);
+            for (pos = length.pos; pos < packed_end;) {
+                var packed = read_scalar(buffer, pos, packed_end, type);
+                values.push(packed.value);
+                pos = packed.pos;
+            }
+        } else {
+            if (wire_type !== wire_types[type]) {
+                throw new Error("Invalid wire type of the field '" + name + "'.");
+            }
+            var scalar = type === 'message' ? read_embedded(buffer, pos, end, schemas[field[2]]) :
+                read_scalar(buffer, pos, end, type);
+            values.push(scalar.value);
+            pos = scalar.pos;
+        }
+        if (field[3]) {
+            message[name] = (message[name] || []).concat(values);
+        } else {
+            message[name] = values[values.length - 1];
+        }
+    }
+    if (pos !== end) {
+        throw new Error('Truncated protobuf message.');
+    }
+    return message;
+}
+
+var wire_types = {
+    bool: 0,
+    int64: 0,
+    uint32: 0,
+    fixed64: 1,
+    sfixed64: 1,
+    double: 1,
+    string: 2,
+    bytes: 2,
+    message: 2
+};
+
+function read_embedded(buffer, pos, end, schema) {
+    var length = read_varint(buffer, pos, end),
+        message_end = length.pos + Number(length.value);
+    check_bounds(message_end, end);
+    return { value: decode_message(buffer, length.pos, message_end, schema), pos: message_end };
+}
+
+function read_scalar(buffer, pos, end, type) {
+    var varint, length;
+    switch (type) {
+    case 'bool':
+        varint = read_varint(buffer, pos, end);
+        return { value: varint.value !== 0n, pos: varint.pos };
+    case 'int64':
+        varint = read_varint(buffer, pos, end);
+        return { value: BigInt.asIntN(64, varint.value).toString(), pos: varint.pos };
+    case 'uint32':
+        varint = read_varint(buffer, pos, end);
+        return { value: Number(BigInt.asUintN(32, varint.value)), pos: varint.pos };
+    case 'fixed64':
+        check_bounds(pos + 8, end);
+        return { value: buffer.readBigUInt64LE(pos).toString(), pos: pos + 8 };
+    case 'sfixed64':
+        check_bounds(pos + 8, end);
+        return { value: buffer.readBigInt64LE(pos).toString(), pos: pos + 8 };
+    case 'double':
+        check_bounds(pos + 8, end);
+        return { value: buffer.readDoubleLE(pos), pos: pos + 8 };
+    default:
+        length = read_varint(buffer, pos, end);
+        check_bounds(length.pos + Number(length.value), end);
+        var bytes = buffer.subarray(length.pos, length.pos + Number(length.value));
+        return {
+            value: type === 'string' ? bytes.toString('utf8') : bytes.toString('base64'),
+            pos: length.pos + Number(length.value)
+        };
+    }
+}
+
+function read_varint(buffer, pos, end) {
+    var value = 0n,
+        shift = 0n;
+    for (;;) {
+        /* the tenth byte holds the last of 64 bits */
+        if (pos >= end || (shift === 63n && buffer[pos] > 1)) {
+            throw new Error('Invalid varint in the protobuf message.');
+        }
+        var byte = buffer[pos++];
+        value |= BigInt(byte & 0x7f) << shift;
+        if (byte < 0x80) {
+            return { value: value, pos: pos };
+        }
+        shift += 7n;
+    }
+}
+
+function skip_field(buffer, pos, end, wire_type) {
+    switch (wire_type) {
+    case 0:
+        return read_varint(buffer, pos, end).pos;
+    case 1:
+        check_bounds(pos + 8, end);
+        return pos + 8;
+    case 2:
+        var length = read_varint(buffer, pos, end);
+        check_bounds(length.pos + Number(length.value), end);
+        return length.pos + Number(length.value);
+    case 5:
+        check_bounds(pos + 4, end);
+        return pos + 4;
+    default:
+        throw new Error('Unsupported wire type ' + wire_type + ' in the protobuf message.');
+    }
+}
+
+function check_bounds(pos, end) {
+    if (pos > end) {
+        throw new Error('Truncated protobuf message.');
+    }
+}
+
+/*
+ * Converts a request (decoded or parsed from JSON) into samples; returns
+ * { samples, rejected }. A sample holds its workflow, task, experiment,
+ * host, type, time (milliseconds or null), attributes, metrics and the
+ * number of its data points; rejected lists { points, error } of the data
+ * points that cannot be stored.
+ */
+function convert(request) {
+    var groups = {},
+        samples = [],
+        rejected = [];
+
+    if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+        throw new Error('The request is no ExportMetricsServiceRequest.');
+    }
+    list(request.resourceMetrics).forEach(function(resource_metrics, r) {
+        resource_metrics = resource_metrics || {};
+        var resource = to_attributes((resource_metrics.resource || {}).attributes),
+            missing = Object.keys(resource_attributes).filter(function(name) {
+                return typeof resource[resource_attributes[name]] !== 'string' || resource[resource_attributes[name]] === '';
+            }).map(function(name) {
+                return resource_attributes[name];
+            });
+
+        list(resource_metrics.scopeMetrics).forEach(function(scope_metrics, s) {
+            scope_metrics = scope_metrics || {};
+            var scope = (scope_metrics.scope || {}).name || 'otlp';
+
+            list(scope_metrics.metrics).forEach(function(metric) {
+                metric = metric || {};
+                var kind = [ 'gauge', 'sum', 'histogram', 'exponentialHistogram', 'summary' ].filter(function(name) {
+                        return metric[name];
+                    })[0],
+                    points = kind ? list(metric[kind].dataPoints) : [];
+
+                if (points.length === 0) {
+                    return;
+                }
+                if (missing.length > 0) {
+                    return rejected.push({
+                        points: points.length,
+                        error: "The resource attributes " + missing.join(', ') + " are missing."
+                    });
+                }
+                if (!metric.name) {
+                    return rejected.push({ points: points.length, error: "A metric has no name." });
+                }
+                if (kind === 'exponentialHistogram' || kind === 'summary') {
+                    return rejected.push({
+                        points: points.length,
+                        error: "The metric '" + metric.name + "' is a " + kind + ", which is not supported."
+                    });
+                }
+
+                points.forEach(function(point) {
+                    point = point || {};
+                    if ((Number(point.flags) & no_recorded_value) !== 0) {
+                        return;
+                    }
+                    var values = kind === 'histogram' ? histogram_values(metric.name, point) : number_values(metric.name, point);
+                    if (values === null) {
+                        return rejected.push({ points: 1, error: "A data point of the metric '" + metric.name + "' has no value." });
+                    }
+                    var attributes = to_attributes(point.attributes),
+                        time = to_milliseconds(point.timeUnixNano),
+                        key = JSON.stringify([ r, s, time, Object.keys(attributes).sort().map(function(name) {
+                            return [ name, attributes[name] ];
+                        }) ]),
+                        sample = groups[key];
+
+                    if (!sample) {
+                        sample = groups[key] = {
+                            workflow: resource[resource_attributes.workflow],
+                            task: resource[resource_attributes.task],
+                            experiment: resource[resource_attributes.experiment],
+                            host: resource[resource_attributes.host],
+                            type: scope,
+                            time: time,
+                            attributes: attributes,
+                            metrics: {},
+                            points: 0
+                        };
+                        samples.push(sample);
+                    }
+                    var conflict = Object.keys(values).filter(function(name) {
+                        return Object.prototype.hasOwnProperty.call(attributes, name);
+                    })[0];
+                    if (conflict) {
+                        return rejected.push({ points: 1, error: "The metric '" + conflict + "' is also an attribute." });
+                    }
+                    Object.assign(sample.metrics, values);
+                    ++sample.points;
+                });
+            });
+        });
+    });
+    return { samples: samples, rejected: rejected };
+}
+
+function number_values(name, point) {
+    var values = {},
+        value = typeof point.asDouble !== 'undefined' ? Number(point.asDouble) :
+            typeof point.asInt !== 'undefined' ? Number(point.asInt) : NaN;
+    if (!isFinite(value)) {
+        return null;
+    }
+    values[name] = value;
+    return values;
+}
+
+function histogram_values(name, point) {
+    var values = {};
+    [ 'count', 'sum', 'min', 'max' ].forEach(function(field) {
+        if (typeof point[field] !== 'undefined' && isFinite(Number(point[field]))) {
+            values[name + ':' + field] = Number(point[field]);
+        }
+    });
+    return Object.prototype.hasOwnProperty.call(values, name + ':count') ? values : null;
+}
+
+/* { key: value } of a list of KeyValue, all values as strings */
+function to_attributes(key_values) {
+    var attributes = {};
+    list(key_values).forEach(function(key_value) {
+        if (key_value && typeof key_value.key === 'string') {
+            attributes[key_value.key] = to_string(key_value.value);
+        }
+    });
+    return attributes;
+}
+
+function to_string(value) {
+    value = value || {};
+    if (typeof value.stringValue !== 'undefined') {
+        return String(value.stringValue);
+    }
+    if (typeof value.arrayValue !== 'undefined') {
+        return JSON.stringify(list(value.arrayValue.values).map(to_string));
+    }
+    if (typeof value.kvlistValue !== 'undefined') {
+        return JSON.stringify(to_attributes(value.kvlistValue.values));
+    }
+    var names = [ 'boolValue', 'intValue', 'doubleValue', 'bytesValue' ].filter(function(name) {
+        return typeof value[name] !== 'undefined';
+    });
+    return names.length > 0 ? String(value[names[0]]) : '';
+}
+
+/* nanoseconds since the epoch (a string or number) in milliseconds, null if unset */
+function to_milliseconds(nanoseconds) {
+    if (typeof nanoseconds === 'undefined' || !/^\d+$/.test(String(nanoseconds))) {
+        return null;
+    }
+    var time = Number(BigInt(String(nanoseconds)) / 1000000n);
+    return time > 0 && !isNaN(new Date(time).getTime()) ? time : null;
+}
+
+function list(values) {
+    return Array.isArray(values) ? values : [];
+}
+
+/*
+ * Encodes an ExportMetricsServiceResponse, with a partial success if data
+ * points were rejected.
+ */
+function encode_response(rejected_points, message) {
+    if (rejected_points === 0) {
+        return Buffer.alloc(0);
+    }
+    var partial_success = Buffer.concat([
+        encode_key(1, 0), encode_varint(BigInt(rejected_points)),
+        encode_key(2, 2), encode_bytes(Buffer.from(message, 'utf8'))
+    ]);
+    return Buffer.concat([ encode_key(1, 2), encode_bytes(partial_success) ]);
+}
+
+/* encodes a google.rpc.Status, the answer to invalid requests */
+function encode_status(code, message) {
+    return Buffer.concat([
+        encode_key(1, 0), encode_varint(BigInt(code)),
+        encode_key(2, 2), encode_bytes(Buffer.from(message, 'utf8'))
+    ]);
+}
+
+function encode_key(number, wire_type) {
+    return encode_varint(BigInt(number << 3 | wire_type));
+}
+
+function encode_bytes(bytes) {
+    return Buffer.concat([ encode_varint(BigInt(bytes.length)), bytes ]);
+}
+
+function encode_varint(value) {
+    var bytes = [];
+    do {
+        var byte = Number(value & 0x7fn);
+        value >>= 7n;
+        bytes.push(value > 0n ? byte | 0x80 : byte);
+    } while (value > 0n);
+    return Buffer.from(bytes);
+}
+
+exports.content_types = content_types;
+exports.resource_attributes = resource_attributes;
+exports.decode = decode;
+exports.convert = convert;
+exports.encode_response = encode_response;
+exports.encode_status = encode_status;
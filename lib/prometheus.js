@@ -0,0 +1,120 @@
+var to_number = require('./sample').to_number;
+
+/*
+ * Prometheus exposition of the samples sent to the metrics routes
+ * (GET /metrics).
+ *
+ * The metrics routes record every sample they store: each numeric field
+ * (a number or a string holding one) becomes the latest value of the gauge
+ * mf_sample_value, labelled with the workflow, task, host, plug-in type and
+ * name of the metric. A series that received no sample for
+ * settings.expire_after seconds is no longer exposed, so finished
+ * experiments drop out. Counters of the ingest requests and of
+ * the samples stored or lost per workflow describe the server itself. Like
+ * the live stream (see lib/stream), only samples sent to this server process
+ * are seen, and the counters restart with it.
+ */
+
+var content_type = 'text/plain; version=0.0.4; charset=utf-8';
+
+/* sample fields that are no metrics even if numeric */
+var ignored = [ 'local_timestamp', 'server_timestamp', '@timestamp', 'host', 'type', 'TaskID', 'task' ];
+
+/* { labels: { value, updated } } of the gauge mf_sample_value */
+var latest = {};
+
+var counters = {
+    requests: {},
+    samples: {},
+    failed: {}
+};
+
+/*
+ * Counts an ingest request of the given route ('bulk', 'single', 'influx' or 'otlp').
+ */
+function count_request(route) {
+    counters.requests[route] = (counters.requests[route] || 0) + 1;
+}
+
+/*
+ * Records a stored sample of the given workflow and task.
+ */
+function record(workflow, task, sample) {
+    var now = Date.now();
+
+    counters.samples[workflow] = (counters.samples[workflow] || 0) + 1;
+    Object.keys(sample).forEach(function(name) {
+        var value = to_number(sample[name]);
+        if (value === null || ignored.indexOf(name) !== -1) {
+            return;
+        }
+        latest[format_labels({
+            workflow: workflow,
+            task: task,
+            host: is_defined(sample.host) ? String(sample.host) : '',
+            type: is_defined(sample.type) ? String(sample.type) : '',
+            metric: name
+        })] = { value: value, updated: now };
+    });
+}
+
+/*
+ * Counts a sample of the given workflow that could not be stored.
+ */
+function record_failure(workflow) {
+    counters.failed[workflow] = (counters.failed[workflow] || 0) + 1;
+}
+
+/*
+ * Returns the text exposition of all metrics, dropping the series older
+ * than settings.expire_after seconds.
+ */
+function render(settings) {
+    var expired = Date.now() - settings.expire_after * 1000,
+        lines = [];
+
+    lines.push('# HELP mf_sample_value Latest value of a metric sent by the plug-ins.');
+    lines.push('# TYPE mf_sample_value gauge');
+    Object.keys(latest).sort().forEach(function(labels) {
+        if (latest[labels].updated < expired) {
+            delete latest[labels];
+            return;
+        }
+        lines.push('mf_sample_value' + labels + ' ' + latest[labels].value);
+    });
+
+    add_counter(lines, 'mf_ingest_requests_total', 'Ingest requests of the metrics routes.', 'route', counters.requests);
+    add_counter(lines, 'mf_ingest_samples_total', 'Samples stored by the metrics routes.', 'workflow', counters.samples);
+    add_counter(lines, 'mf_ingest_failed_samples_total', 'Samples the storage failed to store.', 'workflow', counters.failed);
+    return lines.join('\n') + '\n';
+}
+
+function add_counter(lines, name, help, label, values) {
+    lines.push('# HELP ' + name + ' ' + help);
+    lines.push('# TYPE ' + name + ' counter');
+    Object.keys(values).sort().forEach(function(value) {
+        var labels = {};
+        labels[label] = value;
+        lines.push(name + format_labels(labels) + ' ' + values[value]);
+    });
+}
+
+function format_labels(labels) {
+    return '{' + Object.keys(labels).map(function(name) {
+        return name + '="' + escape_label(labels[name]) + '"';
+    }).join(',') + '}';
+}
+
+function escape_label(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.content_type = content_type;
+exports.count_request = count_request;
+exports.record = record;
+exports.record_failure = record_failure;
+exports.render = render;
@@ -0,0 +1,251 @@
+var energy = require('./energy');
+
+/*
+ * Detection of performance regressions across the experiment history of a
+ * workflow.
+ *
+ * When an experiment is marked finished, the indicators of each of its
+ * tasks are stored on the experiment (indicators):
+ *
+ *   runtime  seconds from the first to the last sample
+ *   energy   energy to solution integrated from the power metrics (see lib/energy)
+ *   power    energy divided by runtime
+ *
+ * Each indicator is judged against the rolling baseline formed by the same
+ * indicator of the last settings.window finished experiments before it: a
+ * value deviates if its modified z-score, 0.6745 times the distance to the
+ * median divided by the median absolute deviation (MAD), exceeds
+ * settings.threshold and it differs from the median by at least
+ * settings.min_change relative to it. With a MAD of 0 the mean absolute
+ * deviation scaled by 1.2533 takes its place. Higher values are regressions,
+ * lower ones improvements; with fewer than settings.min_history values in
+ * the baseline an indicator is not judged.
+ */
+
+var indicators = [ 'runtime', 'power', 'energy' ];
+
+/*
+ * Measures the indicators of every task of an experiment; returns
+ * { taskID: { runtime, power, energy } }, power and energy are null without
+ * power metrics.
+ */
+function measure(storage, workflow, experiment, callback) {
+    energy.get_experiment_energy(storage, workflow, experiment, function(error, tasks) {
+        if (error) {
+            return callback(error);
+        }
+        var results = {};
+        Object.keys(tasks).forEach(function(task) {
+            results[task] = {
+                runtime: tasks[task].runtime,
+                power: tasks[task].average_power,
+                energy: tasks[task].energy
+            };
+        });
+        callback(null, results);
+    });
+}
+
+/* finished experiments read at most while looking for ones with indicators */
+var max_scanned = 1000;
+
+/*
+ * Returns the finished experiments of the workflow with stored indicators
+ * that ended before the given time (all if null), latest first, at most
+ * settings.window. Only the latest experiments are read, page by page.
+ */
+function get_history(storage, workflow, before, settings, callback) {
+    var history = [],
+        scanned = 0,
+        query = {
+            workflow: workflow,
+            status: [ 'finished' ],
+            sort: { field: 'end_time', order: 'desc' },
+            size: settings.window
+        };
+    if (before !== null && !isNaN(new Date(before).getTime())) {
+        /* sort values are followed by the ID, none of which sorts before '' */
+        query.after = [ new Date(before).getTime(), '' ];
+    }
+
+    (function next_page() {
+        storage.getExperiments(query, function(error, experiments) {
+            if (error) {
+                return callback(error);
+            }
+            experiments.forEach(function(experiment) {
+                var source = experiment.source;
+                if (history.length < settings.window && is_defined(source.indicators) && is_defined(source.end_time)) {
+                    history.push(experiment);
+                }
+            });
+            scanned += experiments.length;
+            if (history.length >= settings.window || experiments.length < query.size || scanned >= max_scanned) {
+                return callback(null, history);
+            }
+            query.after = experiments[experiments.length - 1].sort;
+            next_page();
+        });
+    })();
+}
+
+/*
+ * Returns the baseline of the given experiments (see get_history):
+ * { taskID: { indicator: { median, median_absolute_deviation, count } } }.
+ */
+function get_baseline(history) {
+    var values = {},
+        baseline = {};
+
+    history.forEach(function(experiment) {
+        var measured = experiment.source.indicators;
+        Object.keys(measured).forEach(function(task) {
+            values[task] = values[task] || {};
+            indicators.forEach(function(name) {
+                var value = measured[task][name];
+                if (typeof value === 'number' && isFinite(value)) {
+                    values[task][name] = values[task][name] || [];
+                    values[task][name].push(value);
+                }
+            });
+        });
+    });
+    Object.keys(values).sort().forEach(function(task) {
+        baseline[task] = {};
+        Object.keys(values[task]).forEach(function(name) {
+            var list = values[task][name],
+                center = median(list);
+            baseline[task][name] = {
+                median: center,
+                median_absolute_deviation: median_deviation(list, center),
+                mean_absolute_deviation: mean_deviation(list, center),
+                count: list.length
+            };
+        });
+    });
+    return baseline;
+}
+
+/*
+ * Judges the measured indicators against the baseline; returns per task and
+ * indicator { value, median, z_score, change, status } with the status
+ * 'regression', 'improvement', 'normal' or 'insufficient_history', and the
+ * number of regressions.
+ */
+function judge(measured, baseline, settings) {
+    var tasks = {},
+        regressions = 0;
+
+    Object.keys(measured).sort().forEach(function(task) {
+        tasks[task] = {};
+        indicators.forEach(function(name) {
+            var value = measured[task][name];
+            if (value === null) {
+                return;
+            }
+            var base = baseline[task] && baseline[task][name];
+            if (!base || base.count < settings.min_history) {
+                tasks[task][name] = {
+                    value: value,
+                    history: base ? base.count : 0,
+                    status: 'insufficient_history'
+                };
+                return;
+            }
+            var z = z_score(value, base),
+                change = base.median === 0 ? null : (value - base.median) / Math.abs(base.median),
+                status = 'normal';
+            if (Math.abs(z) > settings.threshold && (change === null || Math.abs(change) >= settings.min_change)) {
+                status = value > base.median ? 'regression' : 'improvement';
+            }
+            if (status === 'regression') {
+                ++regressions;
+            }
+            tasks[task][name] = {
+                value: value,
+                median: base.median,
+                median_absolute_deviation: base.median_absolute_deviation,
+                history: base.count,
+                z_score: isFinite(z) ? z : null,
+                change: change,
+                status: status
+            };
+        });
+    });
+    return { regressions: regressions, tasks: tasks };
+}
+
+/*
+ * Measures a finished experiment, judges it against the experiments that
+ * finished before it and stores indicators and regression on the
+ * experiment; returns the stored fields.
+ */
+function analyse(storage, workflow, id, experiment, settings, callback) {
+    measure(storage, workflow, id, function(error, measured) {
+        if (error) {
+            return callback(error);
+        }
+        get_history(storage, workflow, experiment.end_time || null, settings, function(error, history) {
+            if (error) {
+                return callback(error);
+            }
+            var result = judge(measured, get_baseline(history), settings);
+            var fields = {
+                indicators: measured,
+                regression: {
+                    analysed: new Date().toISOString(),
+                    baseline: history.map(function(item) {
+                        return item.id;
+                    }),
+                    regressions: result.regressions,
+                    tasks: result.tasks
+                }
+            };
+            storage.updateExperiment(workflow, id, fields, function(error) {
+                callback(error || null, error ? null : fields);
+            });
+        });
+    });
+}
+
+function z_score(value, base) {
+    var deviation = value - base.median;
+    if (base.median_absolute_deviation > 0) {
+        return 0.6745 * deviation / base.median_absolute_deviation;
+    }
+    if (base.mean_absolute_deviation > 0) {
+        return deviation / (1.2533 * base.mean_absolute_deviation);
+    }
+    return deviation === 0 ? 0 : deviation * Infinity;
+}
+
+function median(values) {
+    var sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function median_deviation(values, center) {
+    return median(values.map(function(value) {
+        return Math.abs(value - center);
+    }));
+}
+
+function mean_deviation(values, center) {
+    return values.reduce(function(sum, value) {
+        return sum + Math.abs(value - center);
+    }, 0) / values.length;
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.indicators = indicators;
+exports.measure = measure;
+exports.get_history = get_history;
+exports.get_baseline = get_baseline;
+exports.judge = judge;
+exports.analyse = analyse;
@@ -0,0 +1,150 @@
+/*
+ * Runtime analysis of experiments.
+ */
+
+/*
+ * Determines start and end of a task by the first and last sample
+ * (ordered by local timestamp) of the given experiment.
+ */
+function get_task_runtime(storage, workflow, task, experiment, callback) {
+    var query = { workflow: workflow, task: task, experiment: experiment, size: 1 },
+        data = {};
+
+    query.order = 'asc';
+    storage.getSamples(query, function(err, first) {
+        if (err) {
+            return callback(err);
+        }
+        query.order = 'desc';
+        storage.getSamples(query, function(err, last) {
+            if (err) {
+                return callback(err);
+            }
+            if (first.length > 0) {
+                data.start_original = first[0]['local_timestamp'];
+                data.start = data.start_original.replace(/\s/g, '0');
+            }
+            if (last.length > 0) {
+                data.host = last[0].host;
+                data.end_original = last[0]['local_timestamp'];
+                data.end = data.end_original.replace(/\s/g, '0');
+            }
+            data.runtime = ((new Date(data.end) - new Date(data.start))) / 1000;
+            if (!data.runtime) {
+                data.runtime = 0;
+            }
+            callback(null, data);
+        });
+    });
+}
+
+/*
+ * Critical path method on the task graph of a workflow (see lib/workflow)
+ * weighted by the measured runtimes ({ task name: get_task_runtime data }).
+ *
+ * Returns the critical path (longest chain of dependent tasks), its length,
+ * and per task the slack (how much longer the task could have run without
+ * delaying the workflow) and the wait (time between the last dependency
+ * finishing and the task starting, as measured). Tasks without samples
+ * count with a runtime of zero. All times are in seconds.
+ */
+function critical_path(graph, runtimes) {
+    var nodes = {},
+        length = 0;
+
+    graph.nodes.forEach(function(node) {
+        var data = runtimes[node.name] || {},
+            measured = is_defined(data.start) && is_defined(data.end);
+        nodes[node.name] = {
+            node: node,
+            measured: measured,
+            start: measured ? new Date(data.start).getTime() : null,
+            end: measured ? new Date(data.end).getTime() : null,
+            duration: measured ? Math.max(new Date(data.end) - new Date(data.start), 0) : 0
+        };
+    });
+
+    /* forward pass: earliest start and finish */
+    graph.order.forEach(function(name) {
+        var task = nodes[name];
+        task.earliest_start = 0;
+        task.node.previous.forEach(function(previous) {
+            task.earliest_start = Math.max(task.earliest_start, nodes[previous].earliest_finish);
+        });
+        task.earliest_finish = task.earliest_start + task.duration;
+        length = Math.max(length, task.earliest_finish);
+    });
+
+    /* backward pass: latest start and finish */
+    graph.order.slice().reverse().forEach(function(name) {
+        var task = nodes[name];
+        task.latest_finish = length;
+        task.node.next.forEach(function(next) {
+            task.latest_finish = Math.min(task.latest_finish, nodes[next].latest_start);
+        });
+        task.latest_start = task.latest_finish - task.duration;
+    });
+
+    /* follow zero-slack tasks from an entry to an exit task */
+    var path = [],
+        current = null;
+    graph.entry.forEach(function(name) {
+        var task = nodes[name];
+        if (current === null && task.latest_start === task.earliest_start) {
+            current = task;
+        }
+    });
+    while (current !== null) {
+        path.push(current.node.name);
+        var finish = current.earliest_finish,
+            successor = null;
+        current.node.next.forEach(function(next) {
+            var task = nodes[next];
+            if (successor === null && task.latest_start === task.earliest_start &&
+                task.earliest_start === finish) {
+                successor = task;
+            }
+        });
+        current = successor;
+    }
+
+    /* measured waiting time for dependencies */
+    var total_wait = 0,
+        tasks = graph.order.map(function(name) {
+            var task = nodes[name],
+                ready = null;
+            task.node.previous.forEach(function(previous) {
+                if (nodes[previous].measured) {
+                    ready = ready === null ? nodes[previous].end : Math.max(ready, nodes[previous].end);
+                }
+            });
+            var wait = (task.measured && ready !== null) ? Math.max(task.start - ready, 0) : null;
+            if (wait !== null && path.indexOf(name) !== -1) {
+                total_wait += wait;
+            }
+            return {
+                task: name,
+                measured: task.measured,
+                runtime: task.duration / 1000,
+                earliest_start: task.earliest_start / 1000,
+                latest_start: task.latest_start / 1000,
+                slack: (task.latest_start - task.earliest_start) / 1000,
+                wait: wait === null ? null : wait / 1000,
+                critical: path.indexOf(name) !== -1
+            };
+        });
+
+    return {
+        critical_path: path,
+        length: length / 1000,
+        wait: total_wait / 1000,
+        tasks: tasks
+    };
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.get_task_runtime = get_task_runtime;
+exports.critical_path = critical_path;
@@ -0,0 +1,183 @@
+/*
+ * Schema of the samples sent to the bulk metrics route (POST /metrics).
+ *
+ * A sample is a JSON object holding the fields declared below and metrics.
+ * Every other field is a metric, whose value must be a number or a string
+ * holding one, as the plug-ins send them; such strings are stored as numbers
+ * (see parse_metrics). Timestamps are milliseconds since
+ * the epoch, as a number or a string of digits, or local times formatted
+ * like 2016-02-15T12:43:48.749. server_timestamp is set by the server.
+ */
+
+var fields = {
+    WorkflowID: { type: 'name', required: true, id: 'workflow' },
+    ExperimentID: { type: 'name', required: true, id: 'experiment' },
+    TaskID: { type: 'name', id: 'task' },
+    local_timestamp: { type: 'timestamp' },
+    server_timestamp: { type: 'any' },
+    '@timestamp': { type: 'string' },
+    host: { type: 'string' },
+    type: { type: 'string' }
+};
+
+var local_time = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d{1,3})?$/;
+
+/* names of properties of every object, which the storage cannot key by */
+var reserved_ids = [ '__proto__', 'constructor', 'prototype' ];
+
+/*
+ * Workflow and task IDs name the sample indices of Elasticsearch, which
+ * forbid these characters and are limited to 255 bytes including the prefix.
+ */
+var index_characters = /[\\/*?"<>|,#:\s]/;
+var max_index_id = 100;
+
+/*
+ * Returns the list of problems of a sample; an empty list means the sample
+ * is valid.
+ */
+function validate(sample) {
+    var problems = [];
+
+    if (sample === null || typeof sample !== 'object' || Array.isArray(sample)) {
+        return [ "The sample must be a JSON object." ];
+    }
+    Object.keys(fields).forEach(function(name) {
+        if (fields[name].required && !is_defined(sample[name])) {
+            problems.push("The field '" + name + "' is missing.");
+        }
+    });
+    Object.keys(sample).forEach(function(name) {
+        var value = sample[name],
+            type = Object.prototype.hasOwnProperty.call(fields, name) ? fields[name].type : 'metric';
+
+        switch (type) {
+        case 'name':
+            if (!((typeof value === 'string' && value.trim() !== '') || (typeof value === 'number' && isFinite(value)))) {
+                problems.push("The field '" + name + "' must be a non-empty string.");
+            } else if (check_id(fields[name].id, value) !== null) {
+                problems.push(check_id(fields[name].id, value));
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                problems.push("The field '" + name + "' must be a string.");
+            }
+            break;
+        case 'timestamp':
+            if (!is_timestamp(value)) {
+                problems.push("The field '" + name + "' must be milliseconds since the epoch or a time like " +
+                    "2016-02-15T12:43:48.749, got " + JSON.stringify(value) + ".");
+            }
+            break;
+        case 'metric':
+            if (!is_numeric(value)) {
+                problems.push("The metric '" + name + "' must be numeric, got " + JSON.stringify(value) + ".");
+            }
+            break;
+        }
+    });
+    return problems;
+}
+
+/*
+ * Returns the problem of the ID of a workflow, task or experiment (kind), or
+ * null if it is valid. IDs are compared in lower case, as the routes store
+ * them.
+ */
+function check_id(kind, id) {
+    var name = String(id).toLowerCase();
+
+    if (reserved_ids.indexOf(name) !== -1) {
+        return "The " + kind + " ID '" + id + "' is reserved.";
+    }
+    if (kind === 'experiment') {
+        return null;
+    }
+    if (index_characters.test(name)) {
+        return "The " + kind + " ID '" + id + "' must not contain whitespace or any of \\ / * ? \" < > | , # :.";
+    }
+    if (Buffer.byteLength(name) > max_index_id) {
+        return "The " + kind + " ID '" + id + "' must not be longer than " + max_index_id + " bytes.";
+    }
+    return null;
+}
+
+/*
+ * Returns the first problem of the IDs of an item of storage.addSamples
+ * ({ workflow, task, experiment }), or null if they are valid.
+ */
+function check_ids(item) {
+    var kinds = [ 'workflow', 'task', 'experiment' ];
+    for (var i = 0; i != kinds.length; ++i) {
+        var problem = is_defined(item[kinds[i]]) ? check_id(kinds[i], item[kinds[i]]) : null;
+        if (problem !== null) {
+            return problem;
+        }
+    }
+    return null;
+}
+
+/* whether a valid timestamp is given in milliseconds since the epoch */
+function is_epoch(value) {
+    return typeof value === 'number' || /^\d+$/.test(value);
+}
+
+function is_timestamp(value) {
+    if (typeof value === 'number') {
+        return value >= 0 && value % 1 === 0 && !isNaN(new Date(value).getTime());
+    }
+    if (typeof value !== 'string') {
+        return false;
+    }
+    if (/^\d+$/.test(value)) {
+        return !isNaN(new Date(Number(value)).getTime());
+    }
+    return local_time.test(value) && !isNaN(Date.parse(value + 'Z'));
+}
+
+function is_numeric(value) {
+    return to_number(value) !== null;
+}
+
+/*
+ * Returns the number of a metric value, a finite number or a string holding
+ * one; null for every other value.
+ */
+function to_number(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '' || !isFinite(Number(value))) {
+        return null;
+    }
+    return Number(value);
+}
+
+/*
+ * Converts the metrics of a sample holding numbers as strings to numbers, so
+ * they are stored, aggregated and exported as numbers.
+ */
+function parse_metrics(sample) {
+    Object.keys(sample).forEach(function(name) {
+        if (!Object.prototype.hasOwnProperty.call(fields, name) && typeof sample[name] === 'string') {
+            var value = to_number(sample[name]);
+            if (value !== null) {
+                sample[name] = value;
+            }
+        }
+    });
+    return sample;
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.fields = fields;
+exports.validate = validate;
+exports.check_id = check_id;
+exports.check_ids = check_ids;
+exports.is_epoch = is_epoch;
+exports.to_number = to_number;
+exports.parse_metrics = parse_metrics;
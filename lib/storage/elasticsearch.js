@@ -0,0 +1,1023 @@
+var async = require('async');
+var crypto = require('crypto');
+var RestClient = require('./rest');
+
+/*
+ * Storage backend for Elasticsearch 7.8 and newer (including 8.x).
+ *
+ * Workflows, experiments, resources and configurations are kept in their own
+ * indices (mf_workflows, mf_experiments, ..., where 'mf' is the configurable
+ * index prefix). Experiments refer to their
+ * workflow by the keyword field 'workflow' and repeat their ID in the field
+ * 'id', which breaks ties when paging through sorted experiments. Every version of a workflow is
+ * kept in mf_workflow_versions with the ID '<workflow>:<version>', while
+ * mf_workflows holds the latest one. Samples are stored in one index
+ * per workflow and task (mf_samples_<workflow>_<task>), which is created on
+ * the fly from the 'mf_samples' index template; every sample carries the
+ * keyword fields WorkflowID, TaskID and ExperimentID. Metrics, including
+ * strings holding numbers, are mapped as double.
+ */
+function ElasticsearchStorage(options) {
+    this.client = new RestClient(options.hosts || 'localhost:9400');
+    this.prefix = options.prefix || 'mf';
+}
+
+ElasticsearchStorage.prototype.init = function(callback) {
+    var self = this,
+        client = self.client;
+
+    client.request('PUT', '/_index_template/' + self.prefix + '_samples', {
+        index_patterns: [ self.prefix + '_samples_*' ],
+        template: sample_template
+    }, function(error) {
+        if (error) {
+            return callback(error);
+        }
+        async.eachSeries(Object.keys(document_mappings), function(type, callback) {
+            client.request('PUT', '/' + self.index(type), {
+                mappings: document_mappings[type]
+            }, function(error) {
+                if (error && error.body && error.body.error &&
+                    error.body.error.type === 'resource_already_exists_exception') {
+                    /* add fields introduced by newer versions of the server */
+                    return client.request('PUT', '/' + self.index(type) + '/_mapping', document_mappings[type], function(error) {
+                        callback(error || null);
+                    });
+                }
+                callback(error);
+            });
+        }, callback);
+    });
+};
+
+ElasticsearchStorage.prototype.close = function(callback) {
+    this.client.close();
+    callback(null);
+};
+
+/*
+ * workflows
+ */
+ElasticsearchStorage.prototype.getWorkflows = function(callback) {
+    this.get_documents('workflows', callback);
+};
+
+ElasticsearchStorage.prototype.getWorkflow = function(id, callback) {
+    this.get_document('workflows', id, callback);
+};
+
+ElasticsearchStorage.prototype.putWorkflow = function(id, workflow, callback) {
+    var self = this,
+        attempts = 0;
+
+    self.getWorkflowVersions(id, function(error, versions) {
+        if (error) {
+            return callback(error);
+        }
+        create(versions.length > 0 ? versions[versions.length - 1].version + 1 : 1);
+    });
+
+    /* _create fails if a concurrent update took the version number */
+    function create(version) {
+        var path = '/' + self.index('workflow_versions') + '/_create/' +
+            encodeURIComponent(id + ':' + version) + '?refresh=wait_for';
+
+        self.client.request('PUT', path, {
+            workflow: id,
+            version: version,
+            created: new Date().toISOString(),
+            document: workflow
+        }, function(error) {
+            if (error && error.status == 409 && ++attempts < 10) {
+                return create(version + 1);
+            }
+            if (error) {
+                return callback(error);
+            }
+            self.put_document('workflows', id, workflow, function(error) {
+                callback(error || null, version);
+            });
+        });
+    }
+};
+
+ElasticsearchStorage.prototype.getWorkflowVersions = function(id, callback) {
+    this.search_all(this.index('workflow_versions'), {
+        query: { bool: { filter: [ { term: { workflow: id } } ] } },
+        sort: [ { version: { order: 'asc' } } ],
+        _source: [ 'version', 'created' ]
+    }, function(error, hits) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, hits.map(function(hit) {
+            return { version: hit._source.version, created: hit._source.created };
+        }));
+    });
+};
+
+ElasticsearchStorage.prototype.getWorkflowVersion = function(id, version, callback) {
+    this.get_document('workflow_versions', id + ':' + version, function(error, result) {
+        callback(error || null, result ? result.document : null);
+    });
+};
+
+ElasticsearchStorage.prototype.deleteWorkflow = function(id, callback) {
+    var self = this;
+    self.delete_by_query(self.index('workflow_versions'), {
+        bool: { filter: [ { term: { workflow: id } } ] }
+    }, function(error) {
+        if (error) {
+            return callback(error);
+        }
+        self.delete_document('workflows', id, callback);
+    });
+};
+
+/*
+ * experiments
+ */
+ElasticsearchStorage.prototype.getExperiments = function(query, callback) {
+    var index = this.index('experiments'),
+        sort = query.sort || { field: '@timestamp', order: 'desc' },
+        body = {
+            query: experiment_query(query),
+            sort: [ order_by(sort.field, sort.order), order_by('id', sort.order) ]
+        };
+
+    var done = function(error, hits) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, hits.map(function(hit) {
+            var source = hit._source,
+                workflow = source.workflow;
+            delete source.workflow;
+            delete source.id;
+            return { id: hit._id, workflow: workflow, source: source, sort: hit.sort };
+        }));
+    };
+
+    if (is_defined(query.size)) {
+        body.size = query.size;
+        if (is_defined(query.after)) {
+            body.search_after = query.after;
+        }
+        this.client.request('POST', '/' + encodeURIComponent(index) + '/_search' + lenient, body, function(error, response) {
+            done(error, response && response.hits ? response.hits.hits : []);
+        });
+    } else {
+        this.search_all(index, body, done);
+    }
+};
+
+ElasticsearchStorage.prototype.getExperiment = function(workflow, id, callback) {
+    this.get_document('experiments', id, function(error, experiment) {
+        if (error || experiment === null || experiment.workflow !== workflow) {
+            return callback(error || null, null);
+        }
+        delete experiment.workflow;
+        delete experiment.id;
+        callback(null, experiment);
+    });
+};
+
+ElasticsearchStorage.prototype.addExperiment = function(workflow, experiment, callback) {
+    var id = generate_id(),
+        path = '/' + this.index('experiments') + '/_create/' + id + '?refresh=wait_for';
+
+    this.client.request('PUT', path, with_fields(experiment, { workflow: workflow, id: id }), function(error) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, id);
+    });
+};
+
+ElasticsearchStorage.prototype.putExperiment = function(workflow, id, experiment, callback) {
+    this.put_document('experiments', id, with_fields(experiment, { workflow: workflow, id: id }), callback);
+};
+
+ElasticsearchStorage.prototype.updateExperiment = function(workflow, id, fields, callback) {
+    var path = '/' + this.index('experiments') + '/_update/' + encodeURIComponent(id) + '?refresh=wait_for';
+
+    /* partial update, callers look the experiment up by its workflow first */
+    this.client.request('POST', path, { doc: fields }, function(error) {
+        if (error && error.status == 404) {
+            return callback(null);
+        }
+        callback(error || null);
+    });
+};
+
+ElasticsearchStorage.prototype.deleteExperiment = function(workflow, id, callback) {
+    var self = this;
+    self.getExperiment(workflow, id, function(error, experiment) {
+        if (error || experiment === null) {
+            return callback(error || null, false);
+        }
+        self.delete_document('experiments', id, callback);
+    });
+};
+
+ElasticsearchStorage.prototype.deleteExperiments = function(workflow, callback) {
+    this.delete_by_query(this.index('experiments'), {
+        bool: { filter: [ { term: { workflow: workflow } } ] }
+    }, callback);
+};
+
+/*
+ * samples
+ */
+ElasticsearchStorage.prototype.getTasks = function(workflow, callback) {
+    this.client.request('POST', '/' + encodeURIComponent(this.sample_index({ workflow: workflow })) + '/_search' + lenient, {
+        size: 0,
+        query: sample_query({ workflow: workflow }),
+        aggs: {
+            tasks: {
+                terms: { field: 'TaskID', size: 10000 },
+                aggs: {
+                    experiments: { terms: { field: 'ExperimentID', size: 10000 } }
+                }
+            }
+        }
+    }, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        var tasks = {};
+        if (response.aggregations) {
+            response.aggregations.tasks.buckets.forEach(function(task) {
+                tasks[task.key] = task.experiments.buckets.map(function(experiment) {
+                    return experiment.key;
+                });
+            });
+        }
+        callback(null, tasks);
+    });
+};
+
+ElasticsearchStorage.prototype.getSamples = function(query, callback) {
+    var index = this.sample_index(query),
+        body = { query: sample_query(query) };
+
+    if (is_defined(query.order)) {
+        body.sort = [ { local_timestamp: { order: query.order, unmapped_type: 'date' } } ];
+    }
+
+    var done = function(error, hits) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, hits.map(to_sample));
+    };
+
+    if (is_defined(query.size)) {
+        body.size = query.size;
+        this.client.request('POST', '/' + encodeURIComponent(index) + '/_search' + lenient, body, function(error, response) {
+            done(error, response && response.hits ? response.hits.hits : []);
+        });
+    } else {
+        this.search_all(index, body, done);
+    }
+};
+
+ElasticsearchStorage.prototype.scanSamples = function(query, onPage, callback) {
+    var index = this.sample_index(query),
+        body = {
+            query: sample_query(query),
+            sort: [ { local_timestamp: { order: 'asc', unmapped_type: 'date' } } ],
+            size: 1000
+        };
+
+    this.client.scroll('/' + encodeURIComponent(index) + '/_search' + lenient, body, function(page, next) {
+        onPage(page.map(to_sample), next);
+    }, function(error) {
+        callback(error || null);
+    });
+};
+
+ElasticsearchStorage.prototype.addSample = function(workflow, task, experiment, sample, callback) {
+    var index = this.sample_index({ workflow: workflow, task: task }),
+        body = to_document(workflow, task, experiment, sample);
+
+    this.client.request('POST', '/' + encodeURIComponent(index) + '/_doc', body, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, response._id);
+    });
+};
+
+ElasticsearchStorage.prototype.addSamples = function(items, callback) {
+    var self = this,
+        body = [];
+
+    if (items.length === 0) {
+        return callback(null, []);
+    }
+    items.forEach(function(item) {
+        var action = { _index: self.sample_index(item) };
+        if (is_defined(item.id)) {
+            action._id = item.id;
+        }
+        body.push({ index: action });
+        body.push(to_document(item.workflow, item.task, item.experiment, item.sample));
+    });
+
+    self.client.request('POST', '/_bulk', body, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, response.items.map(function(item) {
+            var result = item.index || item.create;
+            return { id: result._id, error: result.error };
+        }));
+    });
+};
+
+ElasticsearchStorage.prototype.countSamples = function(query, callback) {
+    this.client.request('POST', '/' + encodeURIComponent(this.sample_index(query)) + '/_search' + lenient, {
+        size: 0,
+        query: sample_query(query),
+        aggs: {
+            tasks: { terms: { field: 'TaskID', size: 10000 } }
+        }
+    }, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        var tasks = {};
+        if (response.aggregations) {
+            response.aggregations.tasks.buckets.forEach(function(task) {
+                tasks[task.key] = task.doc_count;
+            });
+        }
+        callback(null, tasks);
+    });
+};
+
+ElasticsearchStorage.prototype.deleteSamples = function(query, callback) {
+    var self = this,
+        index = self.sample_index(query);
+
+    self.delete_by_query(index, sample_query(query), function(error, deleted) {
+        if (error || is_defined(query.experiment)) {
+            return callback(error || null, deleted);
+        }
+        /* without samples of any experiment left, the task indices go as well */
+        self.drop_empty_indices(index, function(error) {
+            callback(error || null, deleted);
+        });
+    });
+};
+
+ElasticsearchStorage.prototype.getStatistics = function(query, metrics, options, callback) {
+    var client = this.client,
+        index = this.sample_index(query),
+        aggs = {};
+
+    metrics.forEach(function(metric) {
+        aggs[metric + '_Stats'] = { extended_stats: { field: metric } };
+        aggs['Minimum_' + metric] = { top_hits: { size: 1, sort: [ order_by(metric, 'asc') ] } };
+        aggs['Maximum_' + metric] = { top_hits: { size: 1, sort: [ order_by(metric, 'desc') ] } };
+        if (is_defined(options.percentiles)) {
+            aggs['Percentiles_' + metric] = { percentiles: { field: metric, percents: options.percentiles, keyed: false } };
+        }
+        if (options.mad) {
+            aggs['MAD_' + metric] = { median_absolute_deviation: { field: metric } };
+        }
+        if (is_defined(options.group_by)) {
+            aggs['Groups_' + metric] = {
+                filter: { exists: { field: metric } },
+                aggs: { groups: group_aggregation(options.group_by, description_aggregations(metric, options)) }
+            };
+        }
+    });
+
+    client.request('POST', '/' + encodeURIComponent(index) + '/_refresh' + lenient, null, function(error) {
+        if (error) {
+            return callback(error);
+        }
+        client.request('POST', '/' + encodeURIComponent(index) + '/_search' + lenient, {
+            size: 0,
+            query: sample_query(query),
+            aggs: aggs
+        }, function(error, response) {
+            if (error) {
+                return callback(error);
+            }
+            var results = {},
+                aggregations = response.aggregations || {};
+            metrics.forEach(function(metric) {
+                var minimum = aggregations['Minimum_' + metric],
+                    maximum = aggregations['Maximum_' + metric],
+                    statistics = aggregations[metric + '_Stats'];
+                results[metric] = {
+                    statistics: statistics || { count: 0 },
+                    min: minimum && minimum.hits.hits.length > 0 ? to_sample(minimum.hits.hits[0]) : null,
+                    max: maximum && maximum.hits.hits.length > 0 ? to_sample(maximum.hits.hits[0]) : null
+                };
+                if (is_defined(options.percentiles)) {
+                    results[metric].percentiles = percentile_values(aggregations['Percentiles_' + metric], options.percentiles);
+                }
+                if (options.mad) {
+                    var mad = aggregations['MAD_' + metric];
+                    results[metric].median_absolute_deviation = mad ? mad.value : null;
+                }
+                if (is_defined(options.group_by)) {
+                    var groups = aggregations['Groups_' + metric];
+                    results[metric].groups = groups ? read_groups(groups.groups, options.group_by, options) : {};
+                }
+            });
+            callback(null, results);
+        });
+    });
+};
+
+ElasticsearchStorage.prototype.getDistribution = function(query, bins, callback) {
+    var index = this.sample_index(query),
+        metrics = Object.keys(bins),
+        aggs = {};
+
+    metrics.forEach(function(metric, i) {
+        var bin = bins[metric];
+        aggs['bins_' + i] = {
+            histogram: {
+                field: metric,
+                interval: bin.interval,
+                offset: ((bin.from % bin.interval) + bin.interval) % bin.interval,
+                min_doc_count: 1
+            }
+        };
+    });
+
+    this.client.request('POST', '/' + encodeURIComponent(index) + '/_search' + lenient, {
+        size: 0,
+        query: sample_query(query),
+        aggs: aggs
+    }, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        var results = {},
+            aggregations = response.aggregations || {};
+        metrics.forEach(function(metric, i) {
+            var bin = bins[metric],
+                counts = [];
+            for (var j = 0; j < bin.count; ++j) {
+                counts.push(0);
+            }
+            (aggregations['bins_' + i] ? aggregations['bins_' + i].buckets : []).forEach(function(bucket) {
+                /* the maximum may start a bin of its own */
+                var index = Math.round((bucket.key - bin.from) / bin.interval);
+                counts[Math.max(0, Math.min(index, bin.count - 1))] += bucket.doc_count;
+            });
+            results[metric] = counts;
+        });
+        callback(null, results);
+    });
+};
+
+ElasticsearchStorage.prototype.getHistogram = function(query, options, callback) {
+    var self = this,
+        index = self.sample_index(query);
+
+    var get_metrics = function(callback) {
+        if (is_defined(options.metrics)) {
+            return callback(null, options.metrics);
+        }
+        self.numeric_fields(index, callback);
+    };
+
+    get_metrics(function(error, metrics) {
+        if (error) {
+            return callback(error);
+        }
+        if (metrics.length === 0) {
+            return callback(null, {});
+        }
+        var aggs = {};
+        metrics.forEach(function(metric, i) {
+            aggs['count_' + i] = { value_count: { field: metric } };
+            aggs['value_' + i] = bucket_aggregation(metric, options.agg);
+        });
+        self.client.request('POST', '/' + encodeURIComponent(index) + '/_search' + lenient, {
+            size: 0,
+            query: sample_query(query),
+            aggs: {
+                hosts: {
+                    terms: { field: 'host', size: max_hosts },
+                    aggs: {
+                        buckets: {
+                            date_histogram: {
+                                field: 'local_timestamp',
+                                fixed_interval: options.interval + 'ms',
+                                min_doc_count: 1
+                            },
+                            aggs: aggs
+                        }
+                    }
+                }
+            }
+        }, function(error, response) {
+            if (error) {
+                return callback(error);
+            }
+            var results = {},
+                hosts = response.aggregations ? response.aggregations.hosts.buckets : [];
+            hosts.forEach(function(host) {
+                metrics.forEach(function(metric, i) {
+                    var series = [];
+                    host.buckets.buckets.forEach(function(bucket) {
+                        var count = bucket['count_' + i].value;
+                        if (count === 0) {
+                            return;
+                        }
+                        series.push({
+                            timestamp: new Date(bucket.key).toISOString().slice(0, 23),
+                            value: bucket_value(bucket['value_' + i], metric, options.agg),
+                            count: count
+                        });
+                    });
+                    if (series.length > 0) {
+                        results[host.key] = results[host.key] || {};
+                        results[host.key][metric] = series;
+                    }
+                });
+            });
+            callback(null, results);
+        });
+    });
+};
+
+ElasticsearchStorage.prototype.getMetricNames = function(query, callback) {
+    this.numeric_fields(this.sample_index(query), callback);
+};
+
+/* names of the numeric fields of the sample indices, i.e. the metrics */
+ElasticsearchStorage.prototype.numeric_fields = function(index, callback) {
+    this.client.request('GET', '/' + encodeURIComponent(index) + '/_field_caps' + lenient + '&fields=*', null, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        var fields = response.fields || {};
+        callback(null, Object.keys(fields).filter(function(field) {
+            return Object.keys(fields[field]).some(function(type) {
+                return numeric_types.indexOf(type) !== -1;
+            });
+        }));
+    });
+};
+
+/*
+ * resource manager
+ */
+ElasticsearchStorage.prototype.getResources = function(callback) {
+    this.get_documents('resources', callback);
+};
+
+ElasticsearchStorage.prototype.getResource = function(id, callback) {
+    this.get_document('resources', id, callback);
+};
+
+ElasticsearchStorage.prototype.putResource = function(id, resources, callback) {
+    this.put_document('resources', id, resources, callback);
+};
+
+ElasticsearchStorage.prototype.getConfigs = function(callback) {
+    this.get_documents('configurations', callback);
+};
+
+ElasticsearchStorage.prototype.getConfig = function(id, callback) {
+    this.get_document('configurations', id, callback);
+};
+
+ElasticsearchStorage.prototype.putConfig = function(id, configuration, callback) {
+    this.put_document('configurations', id, configuration, callback);
+};
+
+/*
+ * API keys
+ */
+ElasticsearchStorage.prototype.getKeys = function(callback) {
+    this.get_documents('keys', callback);
+};
+
+ElasticsearchStorage.prototype.getKey = function(id, callback) {
+    this.get_document('keys', id, callback);
+};
+
+ElasticsearchStorage.prototype.putKey = function(id, key, callback) {
+    this.put_document('keys', id, key, callback);
+};
+
+ElasticsearchStorage.prototype.deleteKey = function(id, callback) {
+    this.delete_document('keys', id, callback);
+};
+
+/*
+ * helpers
+ */
+ElasticsearchStorage.prototype.index = function(type) {
+    return this.prefix + '_' + type;
+};
+
+/*
+ * Name of the index of the samples of a task, of all tasks if none is given;
+ * paths encode it as any other segment.
+ */
+ElasticsearchStorage.prototype.sample_index = function(query) {
+    var index = this.prefix + '_samples_' + query.workflow + '_';
+    return index + (is_defined(query.task) ? query.task : '*');
+};
+
+ElasticsearchStorage.prototype.search_all = function(index, body, callback) {
+    var hits = [];
+    this.client.scroll('/' + encodeURIComponent(index) + '/_search' + lenient, with_fields(body, { size: 1000 }), function(page, next) {
+        hits = hits.concat(page);
+        next(null);
+    }, function(error) {
+        callback(error || null, hits);
+    });
+};
+
+ElasticsearchStorage.prototype.get_documents = function(type, callback) {
+    this.search_all(this.index(type), {}, function(error, hits) {
+        if (error) {
+            return callback(error);
+        }
+        var documents = {};
+        hits.forEach(function(hit) {
+            documents[hit._id] = hit._source;
+        });
+        callback(null, documents);
+    });
+};
+
+ElasticsearchStorage.prototype.get_document = function(type, id, callback) {
+    this.client.request('GET', '/' + this.index(type) + '/_doc/' + encodeURIComponent(id), null, function(error, response) {
+        if (error && error.status == 404) {
+            return callback(null, null);
+        }
+        if (error) {
+            return callback(error);
+        }
+        callback(null, response.found ? response._source : null);
+    });
+};
+
+ElasticsearchStorage.prototype.put_document = function(type, id, body, callback) {
+    this.client.request('PUT', '/' + this.index(type) + '/_doc/' + encodeURIComponent(id) + '?refresh=wait_for', body, function(error) {
+        callback(error || null);
+    });
+};
+
+ElasticsearchStorage.prototype.delete_document = function(type, id, callback) {
+    this.client.request('DELETE', '/' + this.index(type) + '/_doc/' + encodeURIComponent(id) + '?refresh=wait_for', null, function(error) {
+        if (error && error.status == 404) {
+            return callback(null, false);
+        }
+        callback(error || null, !error);
+    });
+};
+
+ElasticsearchStorage.prototype.delete_by_query = function(index, query, callback) {
+    var path = '/' + encodeURIComponent(index) + '/_delete_by_query' + lenient + '&conflicts=proceed&refresh=true';
+    this.client.request('POST', path, { query: query }, function(error, response) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, response.deleted || 0);
+    });
+};
+
+/* index names may be shared by workflows with underscores, so only empty ones are dropped */
+ElasticsearchStorage.prototype.drop_empty_indices = function(pattern, callback) {
+    var client = this.client;
+    client.request('GET', '/_cat/indices/' + encodeURIComponent(pattern) + '?format=json&h=index,docs.count', null, function(error, indices) {
+        if (error && error.status == 404) {
+            return callback(null);
+        }
+        if (error) {
+            return callback(error);
+        }
+        var empty = indices.filter(function(index) {
+            return index['docs.count'] === '0';
+        });
+        async.eachSeries(empty, function(index, callback) {
+            client.request('DELETE', '/' + encodeURIComponent(index.index), null, function(error) {
+                callback(error && error.status != 404 ? error : null);
+            });
+        }, callback);
+    });
+};
+
+/* missing sample indices are treated as empty */
+var lenient = '?ignore_unavailable=true&allow_no_indices=true';
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+function with_fields(object, fields) {
+    var result = {};
+    Object.keys(object).forEach(function(key) {
+        result[key] = object[key];
+    });
+    Object.keys(fields).forEach(function(key) {
+        result[key] = fields[key];
+    });
+    return result;
+}
+
+/* the same kind of identifiers Elasticsearch generates */
+function generate_id() {
+    return crypto.randomBytes(15).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function to_document(workflow, task, experiment, sample) {
+    var document = with_fields(sample, { WorkflowID: workflow, ExperimentID: experiment });
+    /* keep the spelling of the agents if it refers to the same task */
+    if (String(document.TaskID).toLowerCase() !== task) {
+        document.TaskID = task;
+    }
+    return document;
+}
+
+function to_sample(hit) {
+    var sample = hit._source;
+    delete sample.WorkflowID;
+    delete sample.ExperimentID;
+    return sample;
+}
+
+function sample_query(query) {
+    var filter = [ { term: { WorkflowID: query.workflow } } ];
+    if (is_defined(query.task)) {
+        filter.push({ term: { TaskID: query.task } });
+    }
+    if (is_defined(query.experiment)) {
+        filter.push({ term: { ExperimentID: query.experiment } });
+    }
+    if (is_defined(query.host)) {
+        filter.push({ prefix: { host: query.host } });
+    }
+    if (is_defined(query.from) || is_defined(query.to)) {
+        var range = {};
+        if (is_defined(query.from)) {
+            range.gte = query.from;
+        }
+        if (is_defined(query.to)) {
+            range.lte = query.to;
+        }
+        filter.push({ range: { local_timestamp: range } });
+    }
+    return { bool: { filter: filter } };
+}
+
+function experiment_query(query) {
+    var filter = [];
+    if (is_defined(query.workflow)) {
+        filter.push({ term: { workflow: query.workflow } });
+    }
+    if (is_defined(query.status)) {
+        filter.push(status_query(query.status, query.stale_before));
+    }
+    if (is_defined(query.author)) {
+        filter.push({ term: { author: query.author } });
+    }
+    if (is_defined(query.host)) {
+        filter.push({ prefix: { host: query.host } });
+    }
+    if (is_defined(query.from) || is_defined(query.to)) {
+        var range = {};
+        if (is_defined(query.from)) {
+            range.gte = query.from;
+        }
+        if (is_defined(query.to)) {
+            range.lte = query.to;
+        }
+        filter.push({ range: { '@timestamp': range } });
+    }
+    if (is_defined(query.text)) {
+        filter.push({ match: { description: { query: query.text, operator: 'and' } } });
+    }
+    return { bool: { filter: filter } };
+}
+
+/* see lib/lifecycle: registered and running experiments may be stale */
+function status_query(statuses, stale_before) {
+    var should = [];
+    statuses.forEach(function(status) {
+        if (status === 'stale') {
+            should.push({ bool: { filter: [
+                { terms: { status: [ 'registered', 'running' ] } },
+                { range: { last_activity: { lt: stale_before } } }
+            ] } });
+        } else if (status === 'registered' || status === 'running') {
+            should.push({ bool: {
+                filter: [ { term: { status: status } } ],
+                must_not: [ { range: { last_activity: { lt: stale_before } } } ]
+            } });
+        } else {
+            should.push({ term: { status: status } });
+        }
+    });
+    return { bool: { should: should, minimum_should_match: 1 } };
+}
+
+function order_by(field, order) {
+    var sort = {};
+    sort[field] = { order: order, unmapped_type: 'double' };
+    return sort;
+}
+
+/* keyword fields of the samples to group statistics by, other dimensions are calendar intervals */
+var group_fields = {
+    host: 'host',
+    task: 'TaskID',
+    experiment: 'ExperimentID',
+    type: 'type'
+};
+
+/* buckets per dimension */
+var max_groups = 1000;
+
+function group_aggregation(dimensions, leaf) {
+    var dimension = dimensions[0],
+        aggregation;
+
+    if (is_defined(group_fields[dimension])) {
+        aggregation = { terms: { field: group_fields[dimension], size: max_groups, order: { _key: 'asc' } } };
+    } else {
+        aggregation = { date_histogram: { field: 'local_timestamp', calendar_interval: dimension, min_doc_count: 1 } };
+    }
+    aggregation.aggs = dimensions.length > 1 ? { groups: group_aggregation(dimensions.slice(1), leaf) } : leaf;
+    return aggregation;
+}
+
+function read_groups(aggregation, dimensions, options) {
+    var results = {};
+    aggregation.buckets.forEach(function(bucket) {
+        var key = is_defined(group_fields[dimensions[0]]) ? String(bucket.key) :
+            new Date(bucket.key).toISOString().slice(0, 23);
+        results[key] = dimensions.length > 1 ?
+            read_groups(bucket.groups, dimensions.slice(1), options) : read_description(bucket, options);
+    });
+    return results;
+}
+
+/* statistics of a group, see getStatistics */
+function description_aggregations(metric, options) {
+    var aggs = { stats: { extended_stats: { field: metric } } };
+    if (is_defined(options.percentiles)) {
+        aggs.percentiles = { percentiles: { field: metric, percents: options.percentiles, keyed: false } };
+    }
+    if (options.mad) {
+        aggs.mad = { median_absolute_deviation: { field: metric } };
+    }
+    return aggs;
+}
+
+function read_description(bucket, options) {
+    var result = { statistics: bucket.stats };
+    if (is_defined(options.percentiles)) {
+        result.percentiles = percentile_values(bucket.percentiles, options.percentiles);
+    }
+    if (options.mad) {
+        result.median_absolute_deviation = bucket.mad.value;
+    }
+    return result;
+}
+
+function percentile_values(aggregation, percents) {
+    var values = {};
+    percents.forEach(function(percent, i) {
+        values[percent] = aggregation ? aggregation.values[i].value : null;
+    });
+    return values;
+}
+
+var numeric_types = [ 'long', 'integer', 'short', 'byte', 'double', 'float', 'half_float', 'scaled_float' ];
+
+/* hosts per histogram of samples */
+var max_hosts = 1000;
+
+/* see lib/downsample for the aggregations of the buckets */
+function bucket_aggregation(metric, agg) {
+    if (agg === 'last') {
+        return {
+            filter: { exists: { field: metric } },
+            aggs: {
+                last: { top_hits: { size: 1, sort: [ order_by('local_timestamp', 'desc') ], _source: [ metric ] } }
+            }
+        };
+    }
+    if (agg === 'p95') {
+        return { percentiles: { field: metric, percents: [ 95 ], keyed: false } };
+    }
+    var aggregation = {};
+    aggregation[agg] = { field: metric };
+    return aggregation;
+}
+
+function bucket_value(result, metric, agg) {
+    if (agg === 'last') {
+        var hits = result.last.hits.hits;
+        return hits.length > 0 ? parseFloat(hits[0]._source[metric]) : null;
+    }
+    if (agg === 'p95') {
+        return result.values[0].value;
+    }
+    return result.value;
+}
+
+var timestamp = {
+    "type": "date",
+    "format": "strict_date_optional_time||epoch_millis",
+    "ignore_malformed": true
+};
+
+var keyword = { "type": "keyword", "ignore_above": 256 };
+
+var id_keyword = { "type": "keyword", "normalizer": "mf_lowercase" };
+
+/* workflows, resources, configurations and API keys are only accessed by their ID */
+var document_mappings = {
+    "workflows": { "dynamic": false },
+    "workflow_versions": {
+        "dynamic": false,
+        "properties": {
+            "workflow": { "type": "keyword" },
+            "version": { "type": "integer" },
+            "created": { "type": "date" },
+            "document": { "type": "object", "enabled": false }
+        }
+    },
+    "experiments": {
+        "dynamic": false,
+        "properties": {
+            "id": { "type": "keyword" },
+            "workflow": { "type": "keyword" },
+            "workflow_version": { "type": "integer" },
+            "author": keyword,
+            "host": keyword,
+            "description": { "type": "text" },
+            "status": { "type": "keyword" },
+            "last_activity": { "type": "date" },
+            "start_time": { "type": "date" },
+            "end_time": { "type": "date" },
+            "@timestamp": timestamp
+        }
+    },
+    "resources": { "dynamic": false },
+    "configurations": { "dynamic": false },
+    "keys": { "dynamic": false }
+};
+
+var sample_template = {
+    "settings": {
+        "analysis": {
+            "normalizer": {
+                "mf_lowercase": { "type": "custom", "filter": [ "lowercase" ] }
+            }
+        }
+    },
+    "mappings": {
+        "numeric_detection": true,
+        "dynamic_templates": [
+            {
+                "strings": {
+                    "match_mapping_type": "string",
+                    "mapping": keyword
+                }
+            },
+            {
+                /* a metric first sent as an integer may take fractions later */
+                "integers": {
+                    "match_mapping_type": "long",
+                    "mapping": { "type": "double" }
+                }
+            },
+            {
+                "fractions": {
+                    "match_mapping_type": "double",
+                    "mapping": { "type": "double" }
+                }
+            }
+        ],
+        "properties": {
+            "WorkflowID": id_keyword,
+            "TaskID": id_keyword,
+            "ExperimentID": { "type": "keyword" },
+            "host": keyword,
+            "type": keyword,
+            "local_timestamp": timestamp,
+            "server_timestamp": timestamp,
+            "@timestamp": timestamp
+        }
+    }
+};
+
+module.exports = ElasticsearchStorage;
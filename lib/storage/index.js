@@ -0,0 +1,123 @@
+/*
+ * Storage backends of the monitoring server.
+ *
+ * Every router accesses workflows, experiments, samples, resources and
+ * configurations exclusively through the storage object stored in the
+ * express app (req.app.get('storage')). All backends implement the same
+ * callback-based interface:
+ *
+ *   init(callback)
+ *   close(callback)
+ *
+ *   getWorkflows(callback)                       -> { workflowID: workflow }
+ *   getWorkflow(workflowID, callback)            -> latest workflow or null
+ *   putWorkflow(workflowID, workflow, callback)  -> new version number
+ *   getWorkflowVersions(workflowID, callback)    -> [ { version, created } ]
+ *   getWorkflowVersion(workflowID, version, callback) -> workflow or null
+ *   deleteWorkflow(workflowID, callback)         -> true if the workflow existed
+ *
+ *   getExperiments(query, callback)              -> [ { id, workflow, source, sort } ]
+ *   getExperiment(workflowID, experimentID, callback) -> experiment or null
+ *   addExperiment(workflowID, experiment, callback)   -> experimentID
+ *   putExperiment(workflowID, experimentID, experiment, callback)
+ *   updateExperiment(workflowID, experimentID, fields, callback)
+ *   deleteExperiment(workflowID, experimentID, callback) -> true if the experiment existed
+ *   deleteExperiments(workflowID, callback)      -> number of deleted experiments
+ *
+ *   getTasks(workflowID, callback)               -> { taskID: [ experimentID ] }
+ *   getSamples(query, callback)                  -> [ sample ]
+ *   scanSamples(query, onPage, callback)         -> pages of samples, see below
+ *   addSample(workflowID, taskID, experimentID, sample, callback) -> sampleID
+ *   addSamples(items, callback)                  -> [ { id, error } ]
+ *   countSamples(query, callback)                -> { taskID: number of samples }
+ *   deleteSamples(query, callback)               -> number of deleted samples
+ *   getStatistics(query, metrics, options, callback) -> { metric: { statistics, min, max, ... } }
+ *   getDistribution(query, bins, callback)       -> { metric: [ number of values per bin ] }
+ *   getHistogram(query, options, callback)       -> { host: { metric: [ { timestamp, value, count } ] } }
+ *   getMetricNames(query, callback)              -> [ metric ]
+ *
+ *   getResources(callback)                       -> { platformID: resources }
+ *   getResource(platformID, callback)            -> resources or null
+ *   putResource(platformID, resources, callback)
+ *   getConfigs(callback)                         -> { platformID: configuration }
+ *   getConfig(platformID, callback)              -> configuration or null
+ *   putConfig(platformID, configuration, callback)
+ *
+ *   getKeys(callback)                            -> { keyID: key }
+ *   getKey(keyID, callback)                      -> key or null
+ *   putKey(keyID, key, callback)
+ *   deleteKey(keyID, callback)                   -> true if the key existed
+ *
+ * Experiment queries may filter by workflow and by status, a list of
+ * lifecycle statuses (see lib/lifecycle); registered and running experiments
+ * whose last_activity is before query.stale_before count as 'stale'. Further
+ * filters are author, host (prefix match), from, to (registration time) and
+ * text (words that must all occur in the description). Results are sorted by
+ * sort ({ field, order }, by default '@timestamp' descending) and then by ID;
+ * each carries its sort values, dates in milliseconds, nulls for missing
+ * values (sorted last). With size, at most size experiments are returned,
+ * following the experiment whose sort values are given as after.
+ *
+ * Sample queries are objects with the properties workflow, task, experiment,
+ * host (prefix match), from, to (local_timestamp range), size and order
+ * ('asc' or 'desc' by local_timestamp). Only workflow is mandatory.
+ * scanSamples calls onPage(samples, next) with the matching samples page by
+ * page, ordered by local_timestamp, and callback(error) after the last page
+ * or once next is called with an error. countSamples and deleteSamples only
+ * consider workflow, task and experiment.
+ *
+ * The items of addSamples are { workflow, task, experiment, sample } with an
+ * optional id, e.g. of the migrated sample; Elasticsearch replaces a sample
+ * of the same id, the memory backend does not keep the ids of samples. The
+ * metrics routes store numeric strings of samples as numbers (see
+ * lib/sample), but older samples may still hold them as strings.
+ *
+ * getStatistics returns per metric the statistics of its values as
+ * Elasticsearch's extended_stats (count, min, max, avg, sum, variance,
+ * std_deviation, ...) and, as min and max, the samples holding the smallest
+ * and largest value. It adds
+ * percentiles ({ percent: value }) for the list of options.percentiles and
+ * the median_absolute_deviation if options.mad is set; Elasticsearch
+ * computes both approximately. With options.group_by, a list of dimensions
+ * (host, task, experiment, type or a calendar interval of local_timestamp
+ * such as 'day'), it adds groups, nested objects keyed by the values of the
+ * dimensions (intervals by their start) whose leaves hold the statistics,
+ * percentiles and median_absolute_deviation of the group.
+ * getDistribution counts the values of each metric in bins[metric].count
+ * bins of bins[metric].interval starting at bins[metric].from; values
+ * outside fall into the first or last bin.
+ * getHistogram groups the matching samples into buckets of options.interval
+ * milliseconds by local_timestamp (without a zone taken as UTC) and reduces
+ * each bucket to one value per host and metric by options.agg (see
+ * lib/downsample); options.metrics defaults to all fields holding numbers or
+ * numeric strings. Buckets without values of a metric are left out.
+ * getMetricNames returns the numeric fields, numbers or strings holding one,
+ * of the matching samples; Elasticsearch returns those mapped as numbers in
+ * the indices of the query's workflow and task, which may include metrics of
+ * other experiments.
+ *
+ * Deleting a workflow removes all its versions; deleting workflows or
+ * experiments does not cascade within the storage, see lib/cascade.
+ *
+ * create(name, options) returns a backend by its name, given the options
+ * hosts and prefix (of the index names) for Elasticsearch, and file and
+ * save_delay (milliseconds) for the memory backend, which only keeps its
+ * data in a file if one is given.
+ */
+
+var backends = {
+    elasticsearch: './elasticsearch',
+    memory: './memory'
+};
+
+function create(name, options) {
+    var path = backends[name];
+    if (typeof path === 'undefined') {
+        throw new Error("Unknown storage backend '" + name + "'.");
+    }
+    var Backend = require(path);
+    return new Backend(options || {});
+}
+
+exports.backends = Object.keys(backends);
+exports.create = create;
@@ -0,0 +1,872 @@
+var fs = require('fs');
+var crypto = require('crypto');
+var to_number = require('../sample').to_number;
+
+/* samples per page of scanSamples, as scrolled from Elasticsearch */
+var scan_size = 1000;
+
+/*
+ * levels of maps of the data keyed by IDs (samples by workflow, task and
+ * experiment), see to_map
+ */
+var map_depths = {
+    workflows: 1,
+    workflow_versions: 1,
+    experiments: 1,
+    resources: 1,
+    configurations: 1,
+    keys: 1,
+    samples: 3
+};
+
+/*
+ * Embedded storage backend without external dependencies.
+ *
+ * All documents and samples are kept in memory. If a file is configured,
+ * the data is loaded from it on start-up and written back (debounced) after
+ * every change, so that the server can run on laptops and edge boards
+ * without a search cluster.
+ */
+function MemoryStorage(options) {
+    this.file = options.file || undefined;
+    this.save_delay = is_defined(options.save_delay) ? options.save_delay : 1000;
+    this.save_timer = null;
+    this.data = {};
+    Object.keys(map_depths).forEach(function(key) {
+        this.data[key] = Object.create(null);
+    }, this);
+}
+
+MemoryStorage.prototype.init = function(callback) {
+    var self = this;
+    if (!is_defined(self.file)) {
+        return callback(null);
+    }
+    fs.readFile(self.file, 'utf8', function(error, content) {
+        if (error) {
+            /* start with an empty store if there is no file yet */
+            return callback(error.code === 'ENOENT' ? null : error);
+        }
+        try {
+            var data = JSON.parse(content);
+            Object.keys(map_depths).forEach(function(key) {
+                self.data[key] = to_map(data[key], map_depths[key]);
+            });
+        } catch (e) {
+            return callback(e);
+        }
+        callback(null);
+    });
+};
+
+MemoryStorage.prototype.close = function(callback) {
+    if (this.save_timer === null) {
+        return callback(null);
+    }
+    clearTimeout(this.save_timer);
+    this.save_timer = null;
+    this.save(callback);
+};
+
+/*
+ * workflows
+ */
+MemoryStorage.prototype.getWorkflows = function(callback) {
+    this.get_documents('workflows', callback);
+};
+
+MemoryStorage.prototype.getWorkflow = function(id, callback) {
+    this.get_document('workflows', id, callback);
+};
+
+MemoryStorage.prototype.putWorkflow = function(id, workflow, callback) {
+    var versions = this.data.workflow_versions[id] = this.data.workflow_versions[id] || [],
+        version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+
+    versions.push({ version: version, created: new Date().toISOString(), document: copy(workflow) });
+    this.put_document('workflows', id, workflow, function(error) {
+        callback(error, version);
+    });
+};
+
+MemoryStorage.prototype.getWorkflowVersions = function(id, callback) {
+    var versions = this.data.workflow_versions[id] || [];
+    defer(callback, null, versions.map(function(item) {
+        return { version: item.version, created: item.created };
+    }));
+};
+
+MemoryStorage.prototype.getWorkflowVersion = function(id, version, callback) {
+    var versions = this.data.workflow_versions[id] || [],
+        result = null;
+    versions.forEach(function(item) {
+        if (item.version === version) {
+            result = copy(item.document);
+        }
+    });
+    defer(callback, null, result);
+};
+
+MemoryStorage.prototype.deleteWorkflow = function(id, callback) {
+    delete this.data.workflow_versions[id];
+    this.delete_document('workflows', id, callback);
+};
+
+/*
+ * experiments
+ */
+MemoryStorage.prototype.getExperiments = function(query, callback) {
+    var experiments = this.data.experiments,
+        sort = query.sort || { field: '@timestamp', order: 'desc' },
+        direction = sort.order === 'asc' ? 1 : -1,
+        from = is_defined(query.from) ? to_time(query.from) : -Infinity,
+        to = is_defined(query.to) ? to_time(query.to) : Infinity,
+        words = is_defined(query.text) ? get_words(query.text) : [],
+        results = [];
+
+    Object.keys(experiments).forEach(function(id) {
+        var experiment = experiments[id],
+            source = experiment.source;
+        if (is_defined(query.workflow) && experiment.workflow !== query.workflow) {
+            return;
+        }
+        if (is_defined(query.status) && query.status.indexOf(get_status(source, query.stale_before)) === -1) {
+            return;
+        }
+        if (is_defined(query.author) && source.author !== query.author) {
+            return;
+        }
+        if (is_defined(query.host) && String(source.host).indexOf(query.host) !== 0) {
+            return;
+        }
+        if (is_defined(query.from) || is_defined(query.to)) {
+            var time = is_defined(source['@timestamp']) ? to_time(source['@timestamp']) : NaN;
+            if (!(time >= from && time <= to)) {
+                return;
+            }
+        }
+        if (words.length > 0) {
+            var description = get_words(source.description || '');
+            if (!words.every(function(word) { return description.indexOf(word) !== -1; })) {
+                return;
+            }
+        }
+        results.push({
+            id: id,
+            workflow: experiment.workflow,
+            source: copy(source),
+            sort: [ sort_value(sort.field === 'workflow' ? experiment.workflow : source[sort.field]), id ]
+        });
+    });
+    /* like Elasticsearch: missing values last, then by ID */
+    function compare_sort(a, b) {
+        for (var i = 0; i != a.length; ++i) {
+            if (a[i] === b[i]) {
+                continue;
+            }
+            if (a[i] === null || b[i] === null) {
+                return a[i] === null ? 1 : -1;
+            }
+            return direction * compare(a[i], b[i]);
+        }
+        return 0;
+    }
+    results.sort(function(a, b) {
+        return compare_sort(a.sort, b.sort);
+    });
+    if (is_defined(query.after)) {
+        results = results.filter(function(result) {
+            return compare_sort(result.sort, query.after) > 0;
+        });
+    }
+    if (is_defined(query.size)) {
+        results = results.slice(0, query.size);
+    }
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.getExperiment = function(workflow, id, callback) {
+    var experiment = this.data.experiments[id];
+    if (!is_defined(experiment) || experiment.workflow !== workflow) {
+        return defer(callback, null, null);
+    }
+    defer(callback, null, copy(experiment.source));
+};
+
+MemoryStorage.prototype.addExperiment = function(workflow, experiment, callback) {
+    var id = generate_id();
+    this.data.experiments[id] = { workflow: workflow, source: copy(experiment) };
+    this.changed();
+    defer(callback, null, id);
+};
+
+MemoryStorage.prototype.putExperiment = function(workflow, id, experiment, callback) {
+    this.data.experiments[id] = { workflow: workflow, source: copy(experiment) };
+    this.changed();
+    defer(callback, null);
+};
+
+MemoryStorage.prototype.updateExperiment = function(workflow, id, fields, callback) {
+    var experiment = this.data.experiments[id];
+    if (is_defined(experiment) && experiment.workflow === workflow) {
+        Object.keys(fields).forEach(function(field) {
+            experiment.source[field] = copy(fields[field]);
+        });
+        this.changed();
+    }
+    defer(callback, null);
+};
+
+MemoryStorage.prototype.deleteExperiment = function(workflow, id, callback) {
+    var experiment = this.data.experiments[id];
+    if (!is_defined(experiment) || experiment.workflow !== workflow) {
+        return defer(callback, null, false);
+    }
+    this.delete_document('experiments', id, callback);
+};
+
+MemoryStorage.prototype.deleteExperiments = function(workflow, callback) {
+    var experiments = this.data.experiments,
+        deleted = 0;
+
+    Object.keys(experiments).forEach(function(id) {
+        if (experiments[id].workflow === workflow) {
+            delete experiments[id];
+            deleted++;
+        }
+    });
+    if (deleted > 0) {
+        this.changed();
+    }
+    defer(callback, null, deleted);
+};
+
+/*
+ * samples
+ */
+MemoryStorage.prototype.getTasks = function(workflow, callback) {
+    var tasks = this.data.samples[workflow] || Object.create(null),
+        results = Object.create(null);
+
+    Object.keys(tasks).forEach(function(task) {
+        results[task] = Object.keys(tasks[task]);
+    });
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.getSamples = function(query, callback) {
+    var samples = this.find_samples(query);
+    if (is_defined(query.order)) {
+        samples.sort(function(a, b) {
+            var order = compare(to_time(a.local_timestamp), to_time(b.local_timestamp));
+            return query.order === 'desc' ? -order : order;
+        });
+    }
+    if (is_defined(query.size)) {
+        samples = samples.slice(0, query.size);
+    }
+    defer(callback, null, samples.map(copy));
+};
+
+MemoryStorage.prototype.scanSamples = function(query, onPage, callback) {
+    var samples = this.find_samples(query),
+        offset = 0;
+
+    samples.sort(function(a, b) {
+        return compare(to_time(a.local_timestamp), to_time(b.local_timestamp));
+    });
+    (function next_page(error) {
+        if (error || offset >= samples.length) {
+            return defer(callback, error || null);
+        }
+        var page = samples.slice(offset, offset + scan_size).map(copy);
+        offset += scan_size;
+        process.nextTick(function() {
+            onPage(page, next_page);
+        });
+    })(null);
+};
+
+MemoryStorage.prototype.addSample = function(workflow, task, experiment, sample, callback) {
+    var id = this.store_sample(workflow, task, experiment, sample);
+    this.changed();
+    defer(callback, null, id);
+};
+
+MemoryStorage.prototype.addSamples = function(items, callback) {
+    var self = this,
+        results = items.map(function(item) {
+            return { id: self.store_sample(item.workflow, item.task, item.experiment, item.sample, item.id) };
+        });
+    self.changed();
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.countSamples = function(query, callback) {
+    var results = Object.create(null);
+    this.each_sample_list(query, function(task, experiment, samples) {
+        results[task] = (results[task] || 0) + samples.length;
+    });
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.deleteSamples = function(query, callback) {
+    var samples = this.data.samples,
+        deleted = 0;
+
+    this.each_sample_list(query, function(task, experiment, list) {
+        deleted += list.length;
+        delete samples[query.workflow][task][experiment];
+        if (Object.keys(samples[query.workflow][task]).length === 0) {
+            delete samples[query.workflow][task];
+        }
+    });
+    if (is_defined(samples[query.workflow]) && Object.keys(samples[query.workflow]).length === 0) {
+        delete samples[query.workflow];
+    }
+    if (deleted > 0) {
+        this.changed();
+    }
+    defer(callback, null, deleted);
+};
+
+MemoryStorage.prototype.getStatistics = function(query, metrics, options, callback) {
+    var items = [],
+        results = Object.create(null);
+
+    this.each_sample(query, function(sample, task, experiment) {
+        items.push({ sample: sample, task: task, experiment: experiment });
+    });
+
+    metrics.forEach(function(metric) {
+        var values = [],
+            groups = Object.create(null),
+            min = null,
+            max = null;
+        items.forEach(function(item) {
+            var sample = item.sample,
+                value = parseFloat(sample[metric]);
+            if (!isFinite(value)) {
+                return;
+            }
+            values.push(value);
+            if (min === null || value < parseFloat(min[metric])) {
+                min = sample;
+            }
+            if (max === null || value > parseFloat(max[metric])) {
+                max = sample;
+            }
+            if (is_defined(options.group_by)) {
+                add_to_group(groups, item, options.group_by, value);
+            }
+        });
+        results[metric] = describe(values, options);
+        results[metric].min = min === null ? null : copy(min);
+        results[metric].max = max === null ? null : copy(max);
+        if (is_defined(options.group_by)) {
+            results[metric].groups = describe_groups(groups, options);
+        }
+    });
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.getDistribution = function(query, bins, callback) {
+    var samples = this.find_samples(query),
+        results = Object.create(null);
+
+    Object.keys(bins).forEach(function(metric) {
+        var bin = bins[metric],
+            counts = [];
+        for (var i = 0; i < bin.count; ++i) {
+            counts.push(0);
+        }
+        samples.forEach(function(sample) {
+            var value = parseFloat(sample[metric]);
+            if (!isFinite(value)) {
+                return;
+            }
+            var index = Math.floor((value - bin.from) / bin.interval);
+            counts[Math.max(0, Math.min(index, bin.count - 1))] += 1;
+        });
+        results[metric] = counts;
+    });
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.getHistogram = function(query, options, callback) {
+    var samples = this.find_samples(query),
+        interval = options.interval,
+        groups = Object.create(null),
+        results = Object.create(null);
+
+    /* bucket -> values with their time, per host and metric */
+    samples.forEach(function(sample) {
+        var time = utc_time(sample.local_timestamp),
+            bucket = Math.floor(time / interval) * interval,
+            host = String(sample.host);
+        (options.metrics || Object.keys(sample)).forEach(function(metric) {
+            var value = to_number(sample[metric]);
+            if (value === null) {
+                return;
+            }
+            groups[host] = groups[host] || Object.create(null);
+            groups[host][metric] = groups[host][metric] || Object.create(null);
+            groups[host][metric][bucket] = groups[host][metric][bucket] || [];
+            groups[host][metric][bucket].push({ time: time, value: value });
+        });
+    });
+
+    Object.keys(groups).forEach(function(host) {
+        results[host] = Object.create(null);
+        Object.keys(groups[host]).forEach(function(metric) {
+            var buckets = groups[host][metric];
+            results[host][metric] = Object.keys(buckets).map(Number).sort(compare).map(function(bucket) {
+                return {
+                    timestamp: new Date(bucket).toISOString().slice(0, 23),
+                    value: reduce(buckets[bucket], options.agg),
+                    count: buckets[bucket].length
+                };
+            });
+        });
+    });
+    defer(callback, null, results);
+};
+
+MemoryStorage.prototype.getMetricNames = function(query, callback) {
+    var names = Object.create(null);
+    this.each_sample(query, function(sample) {
+        Object.keys(sample).forEach(function(name) {
+            if (to_number(sample[name]) !== null) {
+                names[name] = true;
+            }
+        });
+    });
+    defer(callback, null, Object.keys(names));
+};
+
+/*
+ * resource manager
+ */
+MemoryStorage.prototype.getResources = function(callback) {
+    this.get_documents('resources', callback);
+};
+
+MemoryStorage.prototype.getResource = function(id, callback) {
+    this.get_document('resources', id, callback);
+};
+
+MemoryStorage.prototype.putResource = function(id, resources, callback) {
+    this.put_document('resources', id, resources, callback);
+};
+
+MemoryStorage.prototype.getConfigs = function(callback) {
+    this.get_documents('configurations', callback);
+};
+
+MemoryStorage.prototype.getConfig = function(id, callback) {
+    this.get_document('configurations', id, callback);
+};
+
+MemoryStorage.prototype.putConfig = function(id, configuration, callback) {
+    this.put_document('configurations', id, configuration, callback);
+};
+
+/*
+ * API keys
+ */
+MemoryStorage.prototype.getKeys = function(callback) {
+    this.get_documents('keys', callback);
+};
+
+MemoryStorage.prototype.getKey = function(id, callback) {
+    this.get_document('keys', id, callback);
+};
+
+MemoryStorage.prototype.putKey = function(id, key, callback) {
+    this.put_document('keys', id, key, callback);
+};
+
+MemoryStorage.prototype.deleteKey = function(id, callback) {
+    this.delete_document('keys', id, callback);
+};
+
+/*
+ * helpers
+ */
+MemoryStorage.prototype.get_documents = function(type, callback) {
+    defer(callback, null, copy(this.data[type]));
+};
+
+MemoryStorage.prototype.get_document = function(type, id, callback) {
+    var document = this.data[type][id];
+    defer(callback, null, is_defined(document) ? copy(document) : null);
+};
+
+MemoryStorage.prototype.put_document = function(type, id, body, callback) {
+    this.data[type][id] = copy(body);
+    this.changed();
+    defer(callback, null);
+};
+
+MemoryStorage.prototype.delete_document = function(type, id, callback) {
+    var found = is_defined(this.data[type][id]);
+    delete this.data[type][id];
+    if (found) {
+        this.changed();
+    }
+    defer(callback, null, found);
+};
+
+MemoryStorage.prototype.store_sample = function(workflow, task, experiment, sample, id) {
+    var samples = this.data.samples;
+
+    id = is_defined(id) ? id : generate_id();
+    samples[workflow] = samples[workflow] || Object.create(null);
+    samples[workflow][task] = samples[workflow][task] || Object.create(null);
+    samples[workflow][task][experiment] = samples[workflow][task][experiment] || [];
+    samples[workflow][task][experiment].push(copy(sample));
+    return id;
+};
+
+/* calls iterator(task, experiment, samples) for every matching list of samples */
+MemoryStorage.prototype.each_sample_list = function(query, iterator) {
+    var tasks = this.data.samples[query.workflow] || Object.create(null);
+
+    Object.keys(tasks).forEach(function(task) {
+        if (is_defined(query.task) && task !== query.task) {
+            return;
+        }
+        Object.keys(tasks[task]).forEach(function(experiment) {
+            if (is_defined(query.experiment) && experiment !== query.experiment) {
+                return;
+            }
+            iterator(task, experiment, tasks[task][experiment]);
+        });
+    });
+};
+
+/* calls iterator(sample, task, experiment) for every matching sample */
+MemoryStorage.prototype.each_sample = function(query, iterator) {
+    var from = is_defined(query.from) ? to_time(query.from) : -Infinity,
+        to = is_defined(query.to) ? to_time(query.to) : Infinity;
+
+    this.each_sample_list(query, function(task, experiment, samples) {
+        samples.forEach(function(sample) {
+            if (is_defined(query.host) && String(sample.host).indexOf(query.host) !== 0) {
+                return;
+            }
+            var time = to_time(sample.local_timestamp);
+            if (time < from || time > to) {
+                return;
+            }
+            iterator(sample, task, experiment);
+        });
+    });
+};
+
+MemoryStorage.prototype.find_samples = function(query) {
+    var results = [];
+    this.each_sample(query, function(sample) {
+        results.push(sample);
+    });
+    return results;
+};
+
+MemoryStorage.prototype.changed = function() {
+    var self = this;
+    if (!is_defined(self.file) || self.save_timer !== null) {
+        return;
+    }
+    self.save_timer = setTimeout(function() {
+        self.save_timer = null;
+        self.save(function(error) {
+            if (error) {
+                console.error('Could not write ' + self.file + ': ' + error.message);
+            }
+        });
+    }, self.save_delay);
+    if (self.save_timer.unref) {
+        self.save_timer.unref();
+    }
+};
+
+MemoryStorage.prototype.save = function(callback) {
+    var file = this.file,
+        tmp_file = file + '.tmp';
+
+    fs.writeFile(tmp_file, JSON.stringify(this.data), function(error) {
+        if (error) {
+            return callback(error);
+        }
+        fs.rename(tmp_file, file, callback);
+    });
+};
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+/* lifecycle status, where registered and running ones may be stale */
+function get_status(experiment, stale_before) {
+    var status = experiment.status;
+    if ((status === 'registered' || status === 'running') && is_defined(stale_before) &&
+        experiment.last_activity < stale_before) {
+        return 'stale';
+    }
+    return status;
+}
+
+function defer(callback, error, result) {
+    process.nextTick(function() {
+        callback(error, result);
+    });
+}
+
+/*
+ * The given object (of the persistence file) as a map without prototype, so
+ * that IDs such as 'constructor' are no properties; depth levels are maps.
+ */
+function to_map(object, depth) {
+    var map = Object.create(null);
+    Object.keys(object || {}).forEach(function(key) {
+        map[key] = depth > 1 ? to_map(object[key], depth - 1) : object[key];
+    });
+    return map;
+}
+
+function copy(object) {
+    return JSON.parse(JSON.stringify(object));
+}
+
+function compare(a, b) {
+    if (a < b) {
+        return -1;
+    }
+    return a > b ? 1 : 0;
+}
+
+/* sort values as Elasticsearch returns them: dates in milliseconds */
+function sort_value(value) {
+    if (!is_defined(value) || value === null) {
+        return null;
+    }
+    if (typeof value === 'string' && /^\d{4}-\d\d-\d\d/.test(value)) {
+        return to_time(value);
+    }
+    return value;
+}
+
+/* lowercase words, roughly like the standard analyzer of Elasticsearch */
+function get_words(text) {
+    return String(text).toLowerCase().split(/[^0-9a-z\u00c0-\uffff]+/).filter(function(word) {
+        return word !== '';
+    });
+}
+
+/* generates identifiers looking like the auto-generated ones of Elasticsearch */
+function generate_id() {
+    return crypto.randomBytes(15).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/* fix for timestamps having whitespaces: 2016-08-24T10:24:07.  6 */
+function to_time(timestamp) {
+    if (typeof timestamp === 'number') {
+        return timestamp;
+    }
+    var time = new Date(String(timestamp).replace(/\s/g, '0')).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+/* milliseconds as Elasticsearch reads the date, i.e. UTC if it has no zone */
+function utc_time(timestamp) {
+    var text = String(timestamp).replace(/\s/g, '0');
+    if (/T[\d:.]+$/.test(text)) {
+        text += 'Z';
+    }
+    var time = new Date(text).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+/* values ({ time, value }) of a bucket reduced like by lib/downsample agg */
+function reduce(points, agg) {
+    var values = points.map(function(point) {
+        return point.value;
+    });
+    switch (agg) {
+    case 'min':
+        return values.reduce(function(min, value) {
+            return value < min ? value : min;
+        });
+    case 'max':
+        return values.reduce(function(max, value) {
+            return value > max ? value : max;
+        });
+    case 'sum':
+    case 'avg':
+        var sum = values.reduce(function(total, value) {
+            return total + value;
+        }, 0);
+        return agg === 'sum' ? sum : sum / values.length;
+    case 'last':
+        return points.reduce(function(last, point) {
+            return point.time >= last.time ? point : last;
+        }).value;
+    case 'p95':
+        return percentile(values, 95);
+    }
+}
+
+/* linear interpolation between the closest ranks */
+function percentile(values, percent) {
+    var sorted = values.slice().sort(compare),
+        rank = percent / 100 * (sorted.length - 1),
+        lower = Math.floor(rank),
+        upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/* extended statistics plus the percentiles and MAD asked for by options */
+function describe(values, options) {
+    var result = { statistics: extended_stats(values) };
+    if (is_defined(options.percentiles)) {
+        result.percentiles = {};
+        options.percentiles.forEach(function(percent) {
+            result.percentiles[percent] = values.length > 0 ? percentile(values, percent) : null;
+        });
+    }
+    if (options.mad) {
+        result.median_absolute_deviation = median_absolute_deviation(values);
+    }
+    return result;
+}
+
+/* adds the value to the nested groups of the sample; samples without a group are left out */
+function add_to_group(groups, item, dimensions, value) {
+    var keys = dimensions.map(function(dimension) {
+        return group_key(item, dimension);
+    });
+    if (keys.indexOf(undefined) !== -1) {
+        return;
+    }
+    var group = groups;
+    keys.forEach(function(key, i) {
+        group[key] = group[key] || (i < keys.length - 1 ? Object.create(null) : []);
+        group = group[key];
+    });
+    group.push(value);
+}
+
+function group_key(item, dimension) {
+    var sample = item.sample;
+    switch (dimension) {
+    case 'host':
+        return is_defined(sample.host) ? String(sample.host) : undefined;
+    case 'type':
+        return is_defined(sample.type) ? String(sample.type) : undefined;
+    case 'task':
+        return item.task;
+    case 'experiment':
+        return item.experiment;
+    }
+    return calendar_bucket(utc_time(sample.local_timestamp), dimension);
+}
+
+function describe_groups(groups, options) {
+    if (Array.isArray(groups)) {
+        return describe(groups, options);
+    }
+    var results = Object.create(null);
+    Object.keys(groups).sort().forEach(function(key) {
+        results[key] = describe_groups(groups[key], options);
+    });
+    return results;
+}
+
+/* start of the calendar interval (minute ... year) holding the time, weeks start on Monday */
+function calendar_bucket(time, unit) {
+    var date = new Date(time),
+        year = date.getUTCFullYear(),
+        month = date.getUTCMonth(),
+        day = date.getUTCDate(),
+        start;
+
+    switch (unit) {
+    case 'minute':
+        start = Date.UTC(year, month, day, date.getUTCHours(), date.getUTCMinutes());
+        break;
+    case 'hour':
+        start = Date.UTC(year, month, day, date.getUTCHours());
+        break;
+    case 'day':
+        start = Date.UTC(year, month, day);
+        break;
+    case 'week':
+        start = Date.UTC(year, month, day - (date.getUTCDay() + 6) % 7);
+        break;
+    case 'month':
+        start = Date.UTC(year, month, 1);
+        break;
+    case 'quarter':
+        start = Date.UTC(year, month - month % 3, 1);
+        break;
+    default:
+        start = Date.UTC(year, 0, 1);
+    }
+    return new Date(start).toISOString().slice(0, 23);
+}
+
+/* median of the absolute deviations from the median */
+function median_absolute_deviation(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    var median = percentile(values, 50);
+    return percentile(values.map(function(value) {
+        return Math.abs(value - median);
+    }), 50);
+}
+
+/* same fields as the extended_stats aggregation of Elasticsearch */
+function extended_stats(values) {
+    var count = values.length,
+        sum = 0,
+        sum_of_squares = 0,
+        min = null,
+        max = null;
+
+    values.forEach(function(value) {
+        sum += value;
+        sum_of_squares += value * value;
+        min = (min === null || value < min) ? value : min;
+        max = (max === null || value > max) ? value : max;
+    });
+
+    if (count === 0) {
+        return {
+            count: 0, min: null, max: null, avg: null, sum: 0,
+            sum_of_squares: null, variance: null, std_deviation: null,
+            std_deviation_bounds: { upper: null, lower: null }
+        };
+    }
+
+    var avg = sum / count,
+        variance = Math.max(sum_of_squares / count - avg * avg, 0),
+        std_deviation = Math.sqrt(variance);
+
+    return {
+        count: count,
+        min: min,
+        max: max,
+        avg: avg,
+        sum: sum,
+        sum_of_squares: sum_of_squares,
+        variance: variance,
+        std_deviation: std_deviation,
+        std_deviation_bounds: {
+            upper: avg + 2 * std_deviation,
+            lower: avg - 2 * std_deviation
+        }
+    };
+}
+
+module.exports = MemoryStorage;
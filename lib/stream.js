@@ -0,0 +1,153 @@
+var EventEmitter = require('events').EventEmitter;
+var crypto = require('crypto');
+
+/*
+ * Live samples for streaming clients (GET /stream, SSE and WebSocket).
+ *
+ * The metrics routes publish every stored sample to an in-process hub;
+ * subscribers receive the samples of one workflow, task and experiment. The
+ * hub only sees samples sent to this server process, so all agents of an
+ * experiment must send to the same server as the streaming clients.
+ *
+ * Clients resume after a reconnect by giving the position of the last
+ * sample they received: the samples stored since then are read from the
+ * storage first, live samples arriving meanwhile are held back and sent
+ * afterwards. Several samples may share a local_timestamp, so a position is
+ * the local_timestamp followed by the digests of the samples sent with it
+ * ('2016-08-12T15:20:40.631 3f2a9c1b,07d4e6aa'); the storage has no IDs for
+ * samples of the memory backend. Of a plain local_timestamp, the samples
+ * sharing it are sent again.
+ */
+
+var hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+/* samples read from the storage when resuming */
+var max_replay = 10000;
+
+/* digests kept per position; samples beyond share a timestamp and are sent again */
+var max_tied = 100;
+
+function channel(workflow, task, experiment) {
+    return workflow + '\n' + task + '\n' + experiment;
+}
+
+/*
+ * Publishes a sample stored by the metrics routes.
+ */
+function publish(workflow, task, experiment, sample) {
+    var name = channel(workflow, task, experiment);
+    if (hub.listenerCount(name) > 0) {
+        hub.emit(name, sample);
+    }
+}
+
+/*
+ * Calls send(sample, position) for every sample of the given workflow, task
+ * and experiment matching the filter ({ host, metrics }), starting after the
+ * position since if given. Calls back once the stored samples were sent, or
+ * with an error; returns a function ending the subscription.
+ */
+function subscribe(storage, query, send, callback) {
+    var name = channel(query.workflow, query.task, query.experiment),
+        resumed = is_defined(query.since) ? parse_position(query.since) : null,
+        last = resumed || { time: null, digests: [] },
+        pending = resumed !== null ? [] : null,
+        ended = false;
+
+    function deliver(sample) {
+        if (ended || (is_defined(query.host) && String(sample.host).indexOf(query.host) !== 0)) {
+            return;
+        }
+        if (sample.local_timestamp !== last.time) {
+            last = { time: sample.local_timestamp, digests: [] };
+        }
+        last.digests = last.digests.concat(digest(sample)).slice(-max_tied);
+        send(select(sample, query.metrics), last.time + ' ' + last.digests.join(','));
+    }
+
+    function listener(sample) {
+        if (pending !== null) {
+            return pending.push(sample);
+        }
+        deliver(sample);
+    }
+
+    function unsubscribe() {
+        ended = true;
+        hub.removeListener(name, listener);
+    }
+
+    hub.on(name, listener);
+    if (pending === null) {
+        process.nextTick(callback, null);
+        return unsubscribe;
+    }
+
+    storage.getSamples({
+        workflow: query.workflow,
+        task: query.task,
+        experiment: query.experiment,
+        host: query.host,
+        from: resumed.time,
+        order: 'asc',
+        size: max_replay
+    }, function(error, samples) {
+        if (error) {
+            unsubscribe();
+            return callback(error);
+        }
+        var replayed = {};
+        samples.forEach(function(sample) {
+            /* 'from' includes the samples the client has seen last */
+            if (sample.local_timestamp === resumed.time && resumed.digests.indexOf(digest(sample)) !== -1) {
+                return;
+            }
+            replayed[JSON.stringify(sample)] = true;
+            deliver(sample);
+        });
+        var held = pending;
+        pending = null;
+        held.forEach(function(sample) {
+            if (!replayed[JSON.stringify(sample)]) {
+                deliver(sample);
+            }
+        });
+        callback(null);
+    });
+    return unsubscribe;
+}
+
+/* { time, digests } of a position, see above */
+function parse_position(position) {
+    var match = /^(.*) ([0-9a-f]{8}(?:,[0-9a-f]{8})*)$/.exec(String(position));
+    if (match === null) {
+        return { time: String(position), digests: [] };
+    }
+    return { time: match[1], digests: match[2].split(',') };
+}
+
+function digest(sample) {
+    return crypto.createHash('sha1').update(JSON.stringify(sample)).digest('hex').slice(0, 8);
+}
+
+/* only the given metrics besides the timestamps and the host */
+function select(sample, metrics) {
+    if (!is_defined(metrics)) {
+        return sample;
+    }
+    var result = {};
+    Object.keys(sample).forEach(function(key) {
+        if (metrics.indexOf(key) !== -1 || key === 'host' || /timestamp$/i.test(key)) {
+            result[key] = sample[key];
+        }
+    });
+    return result;
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.publish = publish;
+exports.subscribe = subscribe;
@@ -0,0 +1,118 @@
+var http = require('http');
+var EventEmitter = require('events').EventEmitter;
+var WebSocket = require('ws');
+
+/*
+ * WebSocket connections (RFC 6455) for pushing text messages to clients,
+ * on top of the ws package.
+ *
+ * Upgrade requests are passed through the express app like any other
+ * request (see attach), so that authentication and routing apply as usual;
+ * a route then calls accept() to take over the connection. Messages sent by
+ * clients are ignored; ws answers their pings and closes connections on
+ * protocol errors, e.g. unmasked or oversized frames.
+ */
+
+/* client frames are only control frames or small messages */
+var max_frame = 64 * 1024;
+
+var ping_interval = 30 * 1000;
+
+var server = new WebSocket.Server({
+    noServer: true,
+    clientTracking: false,
+    maxPayload: max_frame
+});
+
+/*
+ * Routes the upgrade requests of the HTTP server through the express app.
+ * Requests not taken over by a route are answered like ordinary requests.
+ */
+function attach(http_server, app) {
+    http_server.on('upgrade', function(req, socket, head) {
+        var res = new http.ServerResponse(req);
+        res.assignSocket(socket);
+        res.on('finish', function() {
+            socket.destroy();
+        });
+        req.websocket_head = head;
+        app.handle(req, res);
+    });
+}
+
+/*
+ * Whether the request asks for a WebSocket connection.
+ */
+function is_upgrade(req) {
+    return /^websocket$/i.test(req.headers.upgrade || '');
+}
+
+/*
+ * Completes the handshake of an upgrade request and calls back with the
+ * connection; answers with 400 if the handshake is malformed.
+ */
+function accept(req, res, callback) {
+    var socket = req.socket;
+
+    if (!req.headers['sec-websocket-key'] || req.headers['sec-websocket-version'] !== '13') {
+        res.status(400);
+        res.set('Sec-WebSocket-Version', '13');
+        res.json({ error: "Unsupported WebSocket handshake." });
+        return;
+    }
+    res.removeAllListeners('finish');
+    res.detachSocket(socket);
+    server.handleUpgrade(req, socket, req.websocket_head || Buffer.alloc(0), function(ws) {
+        callback(new Connection(ws));
+    });
+}
+
+/*
+ * Emits 'close' once the connection is closed by either side.
+ */
+function Connection(ws) {
+    var self = this;
+    EventEmitter.call(self);
+    self.ws = ws;
+    self.closed = false;
+
+    ws.on('close', function() {
+        self.end();
+    });
+    /* protocol errors close the connection as well */
+    ws.on('error', function() {});
+    self.pinger = setInterval(function() {
+        ws.ping();
+    }, ping_interval);
+}
+
+Connection.prototype = Object.create(EventEmitter.prototype);
+
+Connection.prototype.send = function(text) {
+    if (!this.closed) {
+        this.ws.send(text);
+    }
+};
+
+/* bytes queued on the socket, e.g. for a slow client */
+Connection.prototype.buffered = function() {
+    return this.ws.bufferedAmount;
+};
+
+Connection.prototype.close = function(code) {
+    this.ws.close(code || 1000);
+    this.end();
+};
+
+Connection.prototype.end = function() {
+    if (this.closed) {
+        return;
+    }
+    this.closed = true;
+    clearInterval(this.pinger);
+    this.emit('close');
+};
+
+exports.attach = attach;
+exports.is_upgrade = is_upgrade;
+exports.accept = accept;
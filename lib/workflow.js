@@ -0,0 +1,311 @@
+var check_id = require('./sample').check_id;
+
+/*
+ * Versions and task graphs of workflows.
+ *
+ * Tasks declare their dependencies by name in 'previous' and/or 'next',
+ * either as a single name or as a list of names. Names are matched ignoring
+ * case, as task IDs are stored in lowercase. 'cores_nr' is a core number or
+ * a list of core ranges such as '0-3,8-11'.
+ *
+ * Every update of a workflow creates a new version; experiments record the
+ * version in effect when they were created (workflow_version).
+ */
+
+/*
+ * Loads the given version of a workflow, or the latest one if version is
+ * undefined. Calls back with null if there is no such workflow or version.
+ */
+function load(storage, id, version, callback) {
+    if (!is_defined(version)) {
+        return storage.getWorkflow(id, callback);
+    }
+    storage.getWorkflowVersion(id, version, callback);
+}
+
+/*
+ * Loads the workflow version an experiment ran with; falls back to the
+ * latest version for experiments created before workflows were versioned.
+ * Calls back with the workflow (or null) and the experiment (or null).
+ */
+function load_for_experiment(storage, id, experimentID, callback) {
+    storage.getExperiment(id, experimentID, function(error, experiment) {
+        if (error) {
+            return callback(error);
+        }
+        if (experiment === null || typeof experiment.workflow_version !== 'number') {
+            return storage.getWorkflow(id, function(error, workflow) {
+                callback(error || null, workflow, experiment);
+            });
+        }
+        storage.getWorkflowVersion(id, experiment.workflow_version, function(error, workflow) {
+            if (error || workflow !== null) {
+                return callback(error || null, workflow, experiment);
+            }
+            storage.getWorkflow(id, function(error, workflow) {
+                callback(error || null, workflow, experiment);
+            });
+        });
+    });
+}
+
+/*
+ * Parses the 'version' query parameter: undefined if not given, null if it
+ * is not a positive integer.
+ */
+function parse_version(value) {
+    if (!is_defined(value)) {
+        return undefined;
+    }
+    return /^[1-9][0-9]*$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/*
+ * Returns the list of problems ({ task, field, message }) of a workflow; an
+ * empty list means the workflow is valid.
+ */
+function validate(workflow) {
+    return analyze(workflow).problems;
+}
+
+/*
+ * Returns the task graph of a workflow:
+ *   nodes  [ { name, exec, cores_nr, previous, next } ]
+ *   edges  [ { from, to } ]
+ *   order  task names in topological order
+ *   entry  tasks without predecessors
+ *   exit   tasks without successors
+ * or null if the workflow is invalid.
+ */
+function graph(workflow) {
+    var result = analyze(workflow);
+    if (result.problems.length > 0) {
+        return null;
+    }
+    return result.graph;
+}
+
+/* task names are keys of the maps below, so these have no prototype */
+function analyze(workflow) {
+    var problems = [],
+        tasks = [],
+        names = Object.create(null);
+
+    function problem(task, field, message) {
+        problems.push({ task: task, field: field, message: message });
+    }
+
+    if (workflow === null || typeof workflow !== 'object' || Array.isArray(workflow)) {
+        problem(null, null, "The workflow must be a JSON object.");
+        return { problems: problems };
+    }
+    if (is_defined(workflow.tasks) && !Array.isArray(workflow.tasks)) {
+        problem(null, 'tasks', "'tasks' must be a list of tasks.");
+        return { problems: problems };
+    }
+
+    /* nodes */
+    (workflow.tasks || []).forEach(function(task, index) {
+        if (task === null || typeof task !== 'object' || Array.isArray(task)) {
+            problem(null, 'tasks', "Task " + index + " must be a JSON object.");
+            return;
+        }
+        if (typeof task.name !== 'string' || task.name.trim() === '') {
+            problem(null, 'name', "Task " + index + " has no name.");
+            return;
+        }
+        var key = task.name.toLowerCase();
+        if (check_id('task', task.name) !== null) {
+            problem(task.name, 'name', check_id('task', task.name));
+            return;
+        }
+        if (is_defined(names[key])) {
+            problem(task.name, 'name', "Task name '" + task.name + "' is used more than once.");
+            return;
+        }
+        if (is_defined(task.cores_nr) && parse_cores(task.cores_nr) === null) {
+            problem(task.name, 'cores_nr', "Malformed core range '" + task.cores_nr +
+                "', expected e.g. '2', '1-2' or '0-3,8-11'.");
+        }
+        names[key] = task.name;
+        tasks.push(task);
+    });
+
+    /* edges */
+    var edges = [],
+        seen = Object.create(null),
+        predecessors = Object.create(null),
+        successors = Object.create(null);
+
+    tasks.forEach(function(task) {
+        predecessors[task.name] = [];
+        successors[task.name] = [];
+    });
+
+    function add_edge(from, to) {
+        var key = from + '\n' + to;
+        if (seen[key]) {
+            return;
+        }
+        seen[key] = true;
+        edges.push({ from: from, to: to });
+        successors[from].push(to);
+        predecessors[to].push(from);
+    }
+
+    tasks.forEach(function(task) {
+        [ 'previous', 'next' ].forEach(function(field) {
+            if (!is_defined(task[field]) || task[field] === null || task[field] === '') {
+                return;
+            }
+            var references = to_list(task[field]);
+            if (references === null) {
+                problem(task.name, field, "'" + field + "' must be a task name or a list of task names.");
+                return;
+            }
+            references.forEach(function(reference) {
+                var name = names[reference.toLowerCase()];
+                if (!is_defined(name)) {
+                    problem(task.name, field, "Unknown task '" + reference + "'.");
+                    return;
+                }
+                if (field === 'previous') {
+                    add_edge(name, task.name);
+                } else {
+                    add_edge(task.name, name);
+                }
+            });
+        });
+    });
+
+    /* topological order (Kahn), keeping the declaration order of the tasks */
+    var in_degree = Object.create(null),
+        queue = [],
+        order = [];
+
+    tasks.forEach(function(task) {
+        in_degree[task.name] = predecessors[task.name].length;
+        if (in_degree[task.name] === 0) {
+            queue.push(task.name);
+        }
+    });
+    while (queue.length > 0) {
+        var name = queue.shift();
+        order.push(name);
+        successors[name].forEach(function(successor) {
+            if (--in_degree[successor] === 0) {
+                queue.push(successor);
+            }
+        });
+    }
+    if (order.length < tasks.length) {
+        find_cycles(tasks, successors, in_degree).forEach(function(cycle) {
+            problem(cycle[0], 'previous', "Tasks form a cycle: " + cycle.join(' -> ') + ".");
+        });
+    }
+
+    return {
+        problems: problems,
+        graph: {
+            nodes: tasks.map(function(task) {
+                return {
+                    name: task.name,
+                    exec: task.exec,
+                    cores_nr: task.cores_nr,
+                    previous: predecessors[task.name],
+                    next: successors[task.name]
+                };
+            }),
+            edges: edges,
+            order: order,
+            entry: order.filter(function(name) {
+                return predecessors[name].length === 0;
+            }),
+            exit: order.filter(function(name) {
+                return successors[name].length === 0;
+            })
+        }
+    };
+}
+
+/*
+ * Returns one cycle per group of tasks left over by the topological sort,
+ * each as a list of names starting and ending with the same task.
+ */
+function find_cycles(tasks, successors, in_degree) {
+    var state = Object.create(null),
+        cycles = [];
+
+    function visit(name, path) {
+        state[name] = 'active';
+        path.push(name);
+        for (var i = 0; i != successors[name].length; ++i) {
+            var successor = successors[name][i];
+            if (state[successor] === 'active') {
+                cycles.push(path.slice(path.indexOf(successor)).concat(successor));
+            } else if (!is_defined(state[successor]) && in_degree[successor] > 0) {
+                visit(successor, path);
+            }
+        }
+        path.pop();
+        state[name] = 'done';
+    }
+
+    tasks.forEach(function(task) {
+        if (in_degree[task.name] > 0 && !is_defined(state[task.name])) {
+            visit(task.name, []);
+        }
+    });
+    return cycles;
+}
+
+/*
+ * Parses core ranges into a list of [ first, last ] pairs, or returns null
+ * if malformed.
+ */
+function parse_cores(cores_nr) {
+    if (typeof cores_nr === 'number') {
+        return (cores_nr >= 0 && cores_nr % 1 === 0) ? [ [ cores_nr, cores_nr ] ] : null;
+    }
+    if (typeof cores_nr !== 'string' || cores_nr.trim() === '') {
+        return null;
+    }
+    var ranges = [];
+    var parts = cores_nr.split(',');
+    for (var i = 0; i != parts.length; ++i) {
+        var match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(parts[i]);
+        if (match === null) {
+            return null;
+        }
+        var first = parseInt(match[1], 10),
+            last = is_defined(match[2]) ? parseInt(match[2], 10) : first;
+        if (first > last) {
+            return null;
+        }
+        ranges.push([ first, last ]);
+    }
+    return ranges;
+}
+
+function to_list(value) {
+    var list = Array.isArray(value) ? value : [ value ];
+    for (var i = 0; i != list.length; ++i) {
+        if (typeof list[i] !== 'string' || list[i].trim() === '') {
+            return null;
+        }
+    }
+    return list.map(function(name) {
+        return name.trim();
+    });
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+exports.load = load;
+exports.load_for_experiment = load_for_experiment;
+exports.parse_version = parse_version;
+exports.validate = validate;
+exports.graph = graph;
+exports.parse_cores = parse_cores;
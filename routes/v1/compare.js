@@ -0,0 +1,251 @@
+var express = require('express');
+var async = require('async');
+var compare = require('../../lib/compare');
+var get_task_runtime = require('../../lib/runtime').get_task_runtime;
+var router = express.Router();
+
+var max_experiments = 10;
+
+/**
+ * @api {get} /compare/:workflowID 1. Compare experiments of a workflow side by side
+ * @apiVersion 1.0.0
+ * @apiName GetCompare
+ * @apiGroup Compare
+ *
+ * @apiDescription Returns per task the runtime and the statistics of each
+ * metric for every given experiment, together with the differences to the
+ * baseline experiment: delta is the difference to the baseline value,
+ * relative_delta the difference divided by the baseline value (null if the
+ * baseline value is 0). Runtimes are given in seconds; the runtime of an
+ * experiment spans from the first to the last sample of all its tasks.
+ *
+ * @apiParam {String} workflowID    Identifier of a workflow
+ * @apiParam {String} experiments   Comma-separated identifiers of 2 to 10 experiments of the workflow
+ * @apiParam {String} [baseline]    Experiment the others are compared with (default: the first one)
+ * @apiParam {String} [metrics]     Comma-separated metrics to compare (default: all numeric fields of the samples)
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/compare/ms2?experiments=AVZ-ll9FGYwmTvCuSnjW,AVZ-5cqVGYwmTvCuSqZC'
+ *
+ * @apiSuccess {String} workflow                  Identifier of the workflow
+ * @apiSuccess {String} baseline                  Identifier of the baseline experiment
+ * @apiSuccess {String[]} experiments             Identifiers of the compared experiments
+ * @apiSuccess {Object} workflow_versions         Version of the workflow each experiment ran with
+ * @apiSuccess {Object} runtime                   Runtime of each experiment
+ * @apiSuccess {Number} runtime.experimentID.runtime         Runtime of the experiment, null without samples
+ * @apiSuccess {Number} runtime.experimentID.delta           Difference to the runtime of the baseline
+ * @apiSuccess {Number} runtime.experimentID.relative_delta  Difference relative to the runtime of the baseline
+ * @apiSuccess {Object} tasks                     Comparison per task
+ * @apiSuccess {Object} tasks.taskID.runtime      Runtime of the task per experiment, as runtime
+ * @apiSuccess {Object} tasks.taskID.metrics      Statistics per metric and experiment (null without values): count, avg, min, max, sum and std_deviation, plus delta and relative_delta of the latter
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "baseline": "AVZ-ll9FGYwmTvCuSnjW",
+ *       "experiments": [ "AVZ-ll9FGYwmTvCuSnjW", "AVZ-5cqVGYwmTvCuSqZC" ],
+ *       "workflow_versions": { "AVZ-ll9FGYwmTvCuSnjW": 1, "AVZ-5cqVGYwmTvCuSqZC": 2 },
+ *       "runtime": {
+ *         "AVZ-ll9FGYwmTvCuSnjW": { "runtime": 120.5 },
+ *         "AVZ-5cqVGYwmTvCuSqZC": { "runtime": 96.4, "delta": -24.1, "relative_delta": -0.2 }
+ *       },
+ *       "tasks": {
+ *         "t2.1": {
+ *           "runtime": {
+ *             "AVZ-ll9FGYwmTvCuSnjW": { "runtime": 60.2 },
+ *             "AVZ-5cqVGYwmTvCuSqZC": { "runtime": 45.15, "delta": -15.05, "relative_delta": -0.25 }
+ *           },
+ *           "metrics": {
+ *             "CPU0::PAPI_TOT_CYC": {
+ *               "AVZ-ll9FGYwmTvCuSnjW": { "count": 120, "avg": 46016, "min": 40000, "max": 52000, "sum": 5521920, "std_deviation": 2100 },
+ *               "AVZ-5cqVGYwmTvCuSqZC": {
+ *                 "count": 90, "avg": 41414.4, "min": 36000, "max": 47000, "sum": 3727296, "std_deviation": 1900,
+ *                 "delta": { "avg": -4601.6, "min": -4000, "max": -5000, "sum": -1794624, "std_deviation": -200 },
+ *                 "relative_delta": { "avg": -0.1, "min": -0.1, "max": -0.096, "sum": -0.325, "std_deviation": -0.095 }
+ *               }
+ *             }
+ *           }
+ *         }
+ *       }
+ *     }
+ *
+ * @apiError BadRequest The experiments or the baseline are invalid.
+ * @apiError NotFound An experiment does not belong to the workflow.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "Experiment 'AVZ-5cqVGYwmTvCuSqZC' of workflow 'ms2' not found."
+ *     }
+ */
+router.get('/:workflowID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        workflow = req.params.workflowID.toLowerCase(),
+        experiments = is_defined(req.query.experiments) ? String(req.query.experiments).split(',') : [],
+        baseline = is_defined(req.query.baseline) ? String(req.query.baseline) : experiments[0],
+        metrics = is_defined(req.query.metrics) ? String(req.query.metrics).split(',') : undefined,
+        json = {};
+
+    if (experiments.length < 2 || experiments.length > max_experiments ||
+        experiments.some(function(id, i) { return id === '' || experiments.indexOf(id) !== i; })) {
+        res.status(400);
+        json.error = "Give 2 to " + max_experiments + " different experiments to compare, e.g. experiments=a,b.";
+        return res.json(json);
+    }
+    if (experiments.indexOf(baseline) === -1) {
+        res.status(400);
+        json.error = "The baseline '" + baseline + "' is not one of the compared experiments.";
+        return res.json(json);
+    }
+
+    async.map(experiments, function(id, callback) {
+        storage.getExperiment(workflow, id, callback);
+    }, function(error, found) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        var missing = found.indexOf(null);
+        if (missing !== -1) {
+            res.status(404);
+            json.error = "Experiment '" + experiments[missing] + "' of workflow '" + workflow + "' not found.";
+            return res.json(json);
+        }
+        storage.getTasks(workflow, function(error, tasks) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            var items = [];
+            Object.keys(tasks).sort().forEach(function(task) {
+                experiments.forEach(function(experiment) {
+                    if (tasks[task].indexOf(experiment) !== -1) {
+                        items.push({ task: task, experiment: experiment });
+                    }
+                });
+            });
+            async.each(items, function(item, callback) {
+                describe_task(storage, workflow, item, metrics, callback);
+            }, function(error) {
+                if (error) {
+                    res.status(500);
+                    return next(error);
+                }
+                json.workflow = workflow;
+                json.baseline = baseline;
+                json.experiments = experiments;
+                json.workflow_versions = {};
+                experiments.forEach(function(id, i) {
+                    json.workflow_versions[id] = is_defined(found[i].workflow_version) ? found[i].workflow_version : null;
+                });
+                json.runtime = compare.compare_runtimes(total_runtimes(experiments, items), baseline);
+                json.tasks = compare_tasks(experiments, items, baseline);
+                res.json(json);
+            });
+        });
+    });
+});
+
+/* adds the runtime and the statistics of the metrics to the item ({ task, experiment }) */
+function describe_task(storage, workflow, item, metrics, callback) {
+    var query = { workflow: workflow, task: item.task, experiment: item.experiment };
+
+    get_task_runtime(storage, workflow, item.task, item.experiment, function(error, runtime) {
+        if (error) {
+            return callback(error);
+        }
+        item.runtime = runtime;
+        get_metric_names(storage, query, metrics, function(error, names) {
+            if (error) {
+                return callback(error);
+            }
+            storage.getStatistics(query, names, {}, function(error, results) {
+                if (error) {
+                    return callback(error);
+                }
+                item.statistics = {};
+                names.forEach(function(name) {
+                    var statistics = results[name].statistics;
+                    /* the metrics found may include those of other experiments */
+                    if (statistics.count > 0 || is_defined(metrics)) {
+                        item.statistics[name] = statistics.count > 0 ? statistics : null;
+                    }
+                });
+                callback(null);
+            });
+        });
+    });
+}
+
+function get_metric_names(storage, query, metrics, callback) {
+    if (is_defined(metrics)) {
+        return callback(null, metrics);
+    }
+    storage.getMetricNames(query, callback);
+}
+
+/* from the first to the last sample of all tasks, per experiment */
+function total_runtimes(experiments, items) {
+    var runtimes = {};
+    experiments.forEach(function(experiment) {
+        var start = null,
+            end = null;
+        items.forEach(function(item) {
+            var data = item.runtime;
+            if (item.experiment !== experiment || !is_defined(data.start) || !is_defined(data.end)) {
+                return;
+            }
+            if (start === null || new Date(data.start) < new Date(start)) {
+                start = data.start;
+            }
+            if (end === null || new Date(data.end) > new Date(end)) {
+                end = data.end;
+            }
+        });
+        runtimes[experiment] = start === null ? null : (new Date(end) - new Date(start)) / 1000;
+    });
+    return runtimes;
+}
+
+function compare_tasks(experiments, items, baseline) {
+    var tasks = {};
+    items.forEach(function(item) {
+        tasks[item.task] = tasks[item.task] || {};
+        tasks[item.task][item.experiment] = item;
+    });
+
+    var results = {};
+    Object.keys(tasks).forEach(function(task) {
+        var runtimes = {},
+            names = {};
+        experiments.forEach(function(experiment) {
+            var item = tasks[task][experiment];
+            runtimes[experiment] = item && is_defined(item.runtime.start) ? item.runtime.runtime : null;
+            Object.keys(item ? item.statistics : {}).forEach(function(name) {
+                names[name] = true;
+            });
+        });
+
+        var metrics = {};
+        Object.keys(names).sort().forEach(function(name) {
+            var statistics = {};
+            experiments.forEach(function(experiment) {
+                var item = tasks[task][experiment];
+                statistics[experiment] = item && item.statistics[name] ? item.statistics[name] : null;
+            });
+            metrics[name] = compare.compare_statistics(statistics, baseline);
+        });
+        results[task] = {
+            runtime: compare.compare_runtimes(runtimes, baseline),
+            metrics: metrics
+        };
+    });
+    return results;
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+module.exports = router;
@@ -54,58 +54,24 @@ var router = express.Router();
  *     }
  */
 router.get('/', function(req, res, next) {
-    var client = req.app.get('elastic'),
-        size = 100,
+    var storage = req.app.get('storage'),
         json = {};
 
-    client.search({
-        index: 'mf',
-        type: 'configurations',
-        searchType: 'count'
-    }, function(error, response) {
+    storage.getConfigs(function(error, configs) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        if (response.hits !== undefined) {
-            size = response.hits.total;
-        }
-        if (size === 0) {
+        if (Object.keys(configs).length === 0) {
             res.status(404);
             json.error = "No configurations found.";
             res.json(json);
             return;
         }
-
-        client.search({
-            index: 'mf',
-            type: 'configurations',
-            size: size
-        }, function(error, response) {
-            if (error) {
-                res.status(500);
-                return next(error);
-            }
-            if (response.hits !== undefined) {
-                var results = response.hits.hits;
-                json = get_details(results);
-            }
-            res.json(json);
-        });
+        res.json(configs);
     });
 });
 
-function get_details(results) {
-    var keys = Object.keys(results),
-        response = {};
-    keys.forEach(function(key) {
-        var source = results[key]._source,
-            item = JSON.parse(JSON.stringify(source));
-        response[results[key]._id] = item;
-    });
-    return response;
-}
-
 /**
  * @api {get} /configs/:platformID 2. Get the configuration of a specific platform
  * @apiVersion 1.0.0
@@ -150,19 +116,19 @@ function get_details(results) {
  *     }
  */
 router.get('/:platformID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
         platformID = req.params.platformID.toLowerCase(),
-        size = 100,
         json = {};
 
-    client.get({
-        index: 'mf',
-        type: 'configurations',
-        id: platformID
-    }, function(error, response) {
-        if (response.found) {
-            json = response._source;
+    storage.getConfig(platformID, function(error, configuration) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (configuration) {
+            json = configuration;
         } else {
+            res.status(404);
             json.error = "Configuration for the platform'" + platformID + "' is not found.";
         }
         res.json(json);
@@ -221,20 +187,15 @@ router.get('/:platformID', function(req, res, next) {
 router.put('/:platformID', function(req, res, next) {
     var platformID = req.params.platformID.toLowerCase(),
         mf_server = req.app.get('mf_server'),
-        client = req.app.get('elastic'),
+        storage = req.app.get('storage'),
         json = {};
 
-    client.index({
-        index: 'mf',
-        type: 'configurations',
-        id: platformID,
-        body: req.body
-    }, function(error, response) {
-        if (error !== 'undefined') {
-            json.href = mf_server + '/phantom_rm/configs/' + platformID;
-        } else {
+    storage.putConfig(platformID, req.body, function(error) {
+        if (error) {
             res.status(500);
             json.error = "Could not change the configuration.";
+        } else {
+            json.href = mf_server + '/phantom_rm/configs/' + platformID;
         }
         res.json(json);
     });
@@ -0,0 +1,145 @@
+var express = require('express');
+var async = require('async');
+var workflow_graph = require('../../lib/workflow');
+var runtime = require('../../lib/runtime');
+var router = express.Router();
+
+/**
+ * @api {get} /critical_path/:workflowID/:experimentID 1. Get the critical path of an experiment
+ * @apiVersion 1.0.0
+ * @apiName GetCriticalPath
+ * @apiGroup CriticalPath
+ *
+ * @apiDescription Combines the task dependencies of the workflow ('previous'
+ * and 'next') with the measured runtimes of the tasks. The critical path is
+ * the longest chain of dependent tasks; the slack of a task tells how much
+ * longer it could have run without delaying the workflow. The wait of a task
+ * is the time between its last dependency finishing and the task starting.
+ * Tasks without samples count with a runtime of zero. All times are given in
+ * seconds.
+ *
+ * @apiParam {String} workflowID    Identifier of a workflow
+ * @apiParam {String} experimentID  Identifier of an experiment
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/critical_path/ms2/AVZ-5cqVGYwmTvCuSqZC
+ *
+ * @apiSuccess {String} workflow              Identifier of the workflow
+ * @apiSuccess {String} experiment            Identifier of the experiment
+ * @apiSuccess {Number} workflow_version      Version of the workflow the experiment ran with
+ * @apiSuccess {String} start                 Start local timestamp of the experiment
+ * @apiSuccess {String} end                   End local timestamp of the experiment
+ * @apiSuccess {Number} total_runtime         Measured duration of the experiment
+ * @apiSuccess {Array}  critical_path         Task names of the critical path
+ * @apiSuccess {Number} length                Sum of the runtimes along the critical path
+ * @apiSuccess {Number} wait                  Sum of the waits along the critical path
+ * @apiSuccess {Array}  tasks                 Tasks in topological order
+ * @apiSuccess {String} tasks.task            Identifier of the task
+ * @apiSuccess {Boolean} tasks.measured       Whether samples of the task were found
+ * @apiSuccess {Number} tasks.runtime         Measured runtime of the task
+ * @apiSuccess {Number} tasks.earliest_start  Earliest start relative to the workflow start
+ * @apiSuccess {Number} tasks.latest_start    Latest start not delaying the workflow
+ * @apiSuccess {Number} tasks.slack           Difference of latest and earliest start
+ * @apiSuccess {Number} tasks.wait            Measured wait for dependencies, null for entry tasks
+ * @apiSuccess {Boolean} tasks.critical       Whether the task is on the critical path
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "experiment": "AVZ-5cqVGYwmTvCuSqZC",
+ *       "workflow_version": 2,
+ *       "start": "2016-08-12T15:17:46.731",
+ *       "end": "2016-08-12T15:19:30.452",
+ *       "total_runtime": 103.721,
+ *       "critical_path": [ "T1", "T2.1" ],
+ *       "length": 95.1,
+ *       "wait": 8.621,
+ *       "tasks": [
+ *         { "task": "T1", "measured": true, "runtime": 53.526, "earliest_start": 0, "latest_start": 0,
+ *           "slack": 0, "wait": null, "critical": true },
+ *         { "task": "T2.1", "measured": true, "runtime": 41.574, "earliest_start": 53.526, "latest_start": 53.526,
+ *           "slack": 0, "wait": 8.621, "critical": true },
+ *         { "task": "T2.2", "measured": true, "runtime": 39.008, "earliest_start": 53.526, "latest_start": 56.092,
+ *           "slack": 2.566, "wait": 32.395, "critical": false }
+ *       ]
+ *     }
+ *
+ * @apiError WorkflowNotAvailable Given ID does not refer to a workflow.
+ * @apiError ExperimentNotAvailable Given ID does not refer to an experiment of the workflow.
+ * @apiError InvalidWorkflow The workflow has no valid task graph.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "Workflow with the ID 'ms2' not found."
+ *     }
+ */
+router.get('/:workflowID/:experimentID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        workflow = req.params.workflowID.toLowerCase(),
+        experiment = req.params.experimentID,
+        json = {};
+
+    /* the task graph of the workflow version the experiment ran with */
+    workflow_graph.load_for_experiment(storage, workflow, experiment, function(error, result, found) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (!result) {
+            res.status(404);
+            json.error = "Workflow with the ID '" + workflow + "' not found.";
+            return res.json(json);
+        }
+        if (!found) {
+            res.status(404);
+            json.error = "Experiment '" + experiment + "' of workflow '" + workflow + "' not found.";
+            return res.json(json);
+        }
+        var graph = workflow_graph.graph(result);
+        if (graph === null) {
+            res.status(422);
+            json.error = "Workflow '" + workflow + "' has no valid task graph.";
+            json.problems = workflow_graph.validate(result);
+            return res.json(json);
+        }
+        var runtimes = {};
+        async.each(graph.nodes, function(node, callback) {
+            runtime.get_task_runtime(storage, workflow, node.name.toLowerCase(), experiment, function(error, data) {
+                runtimes[node.name] = data;
+                callback(error);
+            });
+        }, function(error) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            var start = null,
+                end = null;
+            Object.keys(runtimes).forEach(function(task) {
+                var data = runtimes[task];
+                if (typeof data.start !== 'undefined' && (start === null || new Date(data.start) < new Date(start))) {
+                    start = data.start;
+                }
+                if (typeof data.end !== 'undefined' && (end === null || new Date(data.end) > new Date(end))) {
+                    end = data.end;
+                }
+            });
+            var analysis = runtime.critical_path(graph, runtimes);
+            json.workflow = workflow;
+            json.experiment = experiment;
+            json.workflow_version = found.workflow_version;
+            json.start = start;
+            json.end = end;
+            json.total_runtime = start === null ? 0 : (new Date(end) - new Date(start)) / 1000;
+            json.critical_path = analysis.critical_path;
+            json.length = analysis.length;
+            json.wait = analysis.wait;
+            json.tasks = analysis.tasks;
+            res.json(json);
+        });
+    });
+});
+
+module.exports = router;
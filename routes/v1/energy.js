@@ -0,0 +1,152 @@
+var express = require('express');
+var async = require('async');
+var attribution = require('../../lib/attribution');
+var workflow_graph = require('../../lib/workflow');
+var router = express.Router();
+
+/**
+ * @api {get} /energy/:workflowID/:experimentID 1. Attribute the energy of shared nodes to tasks
+ * @apiVersion 1.0.0
+ * @apiName GetEnergy
+ * @apiGroup Energy
+ *
+ * @apiDescription Power metrics measure whole nodes, so tasks running
+ * concurrently on a node report the same node power. This route integrates
+ * the power of each node once and splits it among the tasks running at the
+ * time, by the method given per task and host: exclusive if the task ran
+ * alone, else in proportion to the CPU utilization the tasks report
+ * (utilization), to their cores (cores, from cores_nr of the workflow,
+ * counting only cores allocated in the RM resources of the given platform),
+ * or equally (equal). Energy measured while no task ran is unattributed.
+ *
+ * @apiParam {String} workflowID    Identifier of a workflow
+ * @apiParam {String} experimentID  Identifier of an experiment
+ * @apiParam {String} [platform]    Platform of the RM resources with the status of the cores
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/energy/ms2/AVZ-5cqVGYwmTvCuSqZC?platform=excesscluster
+ *
+ * @apiSuccess {String} workflow           Identifier of the workflow
+ * @apiSuccess {String} experiment         Identifier of the experiment
+ * @apiSuccess {Number} workflow_version   Version of the workflow the experiment ran with
+ * @apiSuccess {String} platform           Platform of the RM resources used, or null
+ * @apiSuccess {Number} total_energy       Energy measured on all hosts in joules
+ * @apiSuccess {Object} tasks              Per task the attributed energy in joules
+ * @apiSuccess {Object} tasks.taskID.hosts Per host the attributed energy, the part of it shared with other tasks and the method used
+ * @apiSuccess {Object} hosts              Per host the energy, the unattributed energy, the gaps in seconds left out of the integration and the method for shared intervals
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "experiment": "AVZ-5cqVGYwmTvCuSqZC",
+ *       "workflow_version": 1,
+ *       "platform": "excesscluster",
+ *       "total_energy": 9210.5,
+ *       "tasks": {
+ *         "t2.1": {
+ *           "energy": 4870.2,
+ *           "hosts": { "node01": { "energy": 4870.2, "shared": 3102.6, "method": "cores" } }
+ *         },
+ *         "t2.2": {
+ *           "energy": 4102.3,
+ *           "hosts": { "node01": { "energy": 4102.3, "shared": 3102.6, "method": "cores" } }
+ *         }
+ *       },
+ *       "hosts": {
+ *         "node01": { "energy": 9210.5, "unattributed": 238, "gaps": 0, "method": "cores" }
+ *       }
+ *     }
+ *
+ * @apiError WorkflowNotAvailable Given ID does not refer to a workflow.
+ * @apiError PlatformNotAvailable Given platform has no RM resources.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "Resources for the platform 'excesscluster' is not found."
+ *     }
+ */
+router.get('/:workflowID/:experimentID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        workflow = req.params.workflowID.toLowerCase(),
+        experiment = req.params.experimentID,
+        platform = typeof req.query.platform !== 'undefined' ? String(req.query.platform).toLowerCase() : null,
+        json = {};
+
+    workflow_graph.load_for_experiment(storage, workflow, experiment, function(error, result, found) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (!result) {
+            res.status(404);
+            json.error = "Workflow with the ID '" + workflow + "' not found.";
+            return res.json(json);
+        }
+        get_resources(storage, platform, function(error, resources) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            if (platform !== null && resources === null) {
+                res.status(404);
+                json.error = "Resources for the platform '" + platform + "' is not found.";
+                return res.json(json);
+            }
+            get_samples(storage, workflow, experiment, function(error, samples) {
+                if (error) {
+                    res.status(500);
+                    return next(error);
+                }
+                var cores = {};
+                (result.tasks || []).forEach(function(task) {
+                    cores[String(task.name).toLowerCase()] = task.cores_nr;
+                });
+                var attributed = attribution.attribute(samples, cores, resources);
+
+                json.workflow = workflow;
+                json.experiment = experiment;
+                if (found) {
+                    json.workflow_version = found.workflow_version;
+                }
+                json.platform = platform;
+                json.total_energy = Object.keys(attributed.hosts).reduce(function(total, host) {
+                    return total + attributed.hosts[host].energy;
+                }, 0);
+                json.tasks = attributed.tasks;
+                json.hosts = attributed.hosts;
+                res.json(json);
+            });
+        });
+    });
+});
+
+function get_resources(storage, platform, callback) {
+    if (platform === null) {
+        return callback(null, null);
+    }
+    storage.getResource(platform, callback);
+}
+
+/* { taskID: [ sample ] } of the tasks with samples of the experiment */
+function get_samples(storage, workflow, experiment, callback) {
+    storage.getTasks(workflow, function(error, tasks) {
+        if (error) {
+            return callback(error);
+        }
+        var samples = {};
+        async.each(Object.keys(tasks).filter(function(task) {
+            return tasks[task].indexOf(experiment) !== -1;
+        }), function(task, callback) {
+            storage.getSamples({ workflow: workflow, task: task, experiment: experiment }, function(error, found) {
+                samples[task] = found;
+                callback(error || null);
+            });
+        }, function(error) {
+            callback(error || null, error ? null : samples);
+        });
+    });
+}
+
+module.exports = router;
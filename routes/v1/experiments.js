@@ -1,23 +1,60 @@
 var express = require('express');
 var dateFormat = require('dateformat');
+var auth = require('../../lib/auth');
+var lifecycle = require('../../lib/lifecycle');
+var cascade = require('../../lib/cascade');
+var regression = require('../../lib/regression');
 var router = express.Router();
 
+/* sort keys of GET /experiments and the fields they refer to */
+var sort_fields = {
+    created: '@timestamp',
+    author: 'author',
+    host: 'host',
+    workflow: 'workflow',
+    last_activity: 'last_activity',
+    start_time: 'start_time',
+    end_time: 'end_time'
+};
+
+var default_limit = 100,
+    max_limit = 1000;
+
+/* URL parameters of GET /experiments, each of a single value */
+var listing_params = [ 'workflow', 'status', 'author', 'host', 'from', 'to', 'q', 'sort', 'limit', 'cursor' ];
+
 /**
  * @api {get} /experiments 1. Get a list of all available experiments 
  * @apiVersion 1.0.0
  * @apiName GetExperiments
  * @apiGroup Experiments
  *
+ * @apiDescription Returns one page of experiments. If there are more, the
+ * header Link holds the URL of the next page (rel="next"), which repeats all
+ * filters and carries an opaque cursor. Every parameter may be given once.
+ *
  * @apiParam {String} [workflow] filters results by the given workflow, e.g. 'ms2'
+ * @apiParam {String} [status]   filters results by comma-separated lifecycle statuses: registered, running, finished, failed, stale
+ * @apiParam {String} [author]   filters results by the given author
+ * @apiParam {String} [host]     filters results by hosts starting with the given name
+ * @apiParam {String} [from]     filters results registered at or after the given time
+ * @apiParam {String} [to]       filters results registered at or before the given time
+ * @apiParam {String} [q]        filters results whose description contains all the given words
+ * @apiParam {String} [sort=-created] created, author, host, workflow, last_activity, start_time or end_time; a leading '-' sorts in descending order
+ * @apiParam {Number} [limit=100] maximum number of results (up to 1000)
+ * @apiParam {String} [cursor]   position after the previous page, as given in the Link header
  *
  * @apiExample {curl} Example usage:
  *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/experiments
+ *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/experiments?workflow=ms2&status=running,stale
+ *     curl -i "http://mf.excess-project.eu:3033/v1/phantom_mf/experiments?author=hpcfapix&from=2016-08-01&sort=host&limit=50"
  *
  * @apiSuccess {Object} executionID       Identifier of an experiment
  * @apiSuccess {String} executionID.href  Link to the experiment's details
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
+ *     Link: <http://mf.excess-project.eu:3033/v1/phantom_mf/experiments?workflow=ms2&limit=3&cursor=eyJzb3J0IjoiLWNyZWF0ZWQi...>; rel="next"
  *     {
  *       "AVZ-ll9FGYwmTvCuSnjW": {
  *          "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/experiments/AVZ-ll9FGYwmTvCuSnjW?workflow=ms2"
@@ -27,11 +64,11 @@ var router = express.Router();
  *       },
  *       "AVZ-j2hEGYwmTvCuSnVE": {
  *          "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/experiments/AVZ-j2hEGYwmTvCuSnVE?workflow=ms2"
- *       },
- *       ...
+ *       }
  *     }
  *
  * @apiError ExperimentsNotAvailable No experiments found.
+ * @apiError InvalidQuery A parameter is malformed or repeated, e.g. an unknown sort key or an invalid cursor.
  *
  * @apiErrorExample Error-Response:
  *     HTTP/1.1 404 Not Found
@@ -40,54 +77,157 @@ var router = express.Router();
  *     }
  */
 router.get('/', function(req, res, next) {
-    var client = req.app.get('elastic'),
-      workflow = req.query.workflow,
-      json = {},
-      size = 1000;
+    var storage = req.app.get('storage'),
+      stale_after = req.app.get('config').experiments.stale_after,
+      query = {},
+      json = {};
 
-    query = '{ "query": { "match_all": {} } }';
-    if (typeof workflow !== 'undefined') {
-        query = '{ "query": { "term": { "_parent": "' + workflow + '" } } }';
+    var repeated = listing_params.filter(function(name) {
+        return is_defined(req.query[name]) && typeof req.query[name] !== 'string';
+    });
+    if (repeated.length > 0) {
+        res.status(400);
+        json.error = "URL parameter '" + repeated[0] + "' must be given once.";
+        return res.json(json);
     }
-
-    client.search({
-        index: 'mf',
-        type: 'experiments',
-        searchType: 'count'
-    }, function(error, response) {
-        if (response.hits !== undefined) {
-            size = response.hits.total;
-        }
-
-        client.search({
-            index: 'mf',
-            type: 'experiments',
-            fields: '_parent,_source',
-            body: query,
-            size: size,
-            sort: '@timestamp:desc'
-        }, function(error, response) {
-            if (response.hits !== undefined) {
-                var results = response.hits.hits;
-                json = get_details(results);
-            } else {
-                json.error = "No experiments found";
-            }
-            res.json(json);
+    if (typeof req.query.workflow !== 'undefined') {
+        query.workflow = String(req.query.workflow).toLowerCase();
+    }
+    if (typeof req.query.status !== 'undefined') {
+        query.status = String(req.query.status).split(',');
+        var unknown = query.status.filter(function(status) {
+            return lifecycle.statuses.indexOf(status) === -1;
         });
+        if (unknown.length > 0) {
+            res.status(400);
+            json.error = "Unknown status '" + unknown[0] + "', expected one of " + lifecycle.statuses.join(', ') + ".";
+            return res.json(json);
+        }
+    }
+    query.stale_before = lifecycle.stale_before(stale_after);
+
+    var problem = parse_listing(req.query, query);
+    if (problem) {
+        res.status(400);
+        json.error = problem;
+        return res.json(json);
+    }
+    var limit = query.size;
+    /* one more to know whether there is a next page */
+    query.size = limit + 1;
+
+    storage.getExperiments(query, function(error, experiments) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (experiments.length === 0) {
+            res.status(404);
+            json.error = "No experiments found.";
+            return res.json(json);
+        }
+        if (experiments.length > limit) {
+            experiments = experiments.slice(0, limit);
+            res.links({ next: next_link(req, experiments[experiments.length - 1].sort) });
+        }
+        res.json(get_details(experiments, stale_after));
     });
 });
 
+/*
+ * Adds the filters, sort order, size and cursor given by the URL parameters
+ * to the storage query; returns an error message if one is malformed.
+ */
+function parse_listing(params, query) {
+    [ 'author', 'host', 'q' ].forEach(function(name) {
+        if (is_defined(params[name]) && String(params[name]) !== '') {
+            query[name === 'q' ? 'text' : name] = String(params[name]);
+        }
+    });
+
+    var names = [ 'from', 'to' ];
+    for (var i = 0; i != names.length; ++i) {
+        if (!is_defined(params[names[i]])) {
+            continue;
+        }
+        var time = new Date(String(params[names[i]]));
+        if (isNaN(time.getTime())) {
+            return "URL parameter '" + names[i] + "' must be a date.";
+        }
+        query[names[i]] = time.toISOString();
+    }
+
+    var sort = is_defined(params.sort) ? String(params.sort) : '-created',
+        key = sort.replace(/^-/, '');
+    if (!Object.prototype.hasOwnProperty.call(sort_fields, key)) {
+        return "Unknown sort key '" + key + "', expected one of " + Object.keys(sort_fields).join(', ') + ".";
+    }
+    query.sort = { field: sort_fields[key], order: sort.charAt(0) === '-' ? 'desc' : 'asc' };
+
+    query.size = default_limit;
+    if (is_defined(params.limit)) {
+        if (!/^[1-9][0-9]*$/.test(params.limit) || parseInt(params.limit, 10) > max_limit) {
+            return "URL parameter 'limit' must be a number between 1 and " + max_limit + ".";
+        }
+        query.size = parseInt(params.limit, 10);
+    }
+
+    if (is_defined(params.cursor)) {
+        var cursor = decode_cursor(params.cursor);
+        /* sort values are only meaningful for the order they were taken from */
+        if (cursor === null || cursor.sort !== sort) {
+            return "Invalid cursor.";
+        }
+        query.after = cursor.after;
+    }
+    return null;
+}
+
+/* URL of the next page: the same parameters and a cursor after the given sort values */
+function next_link(req, after) {
+    var params = new URLSearchParams(),
+        cursor = Buffer.from(JSON.stringify({
+            sort: is_defined(req.query.sort) ? String(req.query.sort) : '-created',
+            after: after
+        })).toString('base64url');
+    Object.keys(req.query).forEach(function(name) {
+        if (name !== 'cursor') {
+            params.append(name, String(req.query[name]));
+        }
+    });
+    params.append('cursor', cursor);
+    return req.app.get('mf_server') + '/phantom_mf/experiments?' + params.toString();
+}
+
+function decode_cursor(value) {
+    try {
+        var cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        if (cursor !== null && typeof cursor.sort === 'string' && Array.isArray(cursor.after)) {
+            return cursor;
+        }
+    } catch (error) {
+        /* falls through */
+    }
+    return null;
+}
+
 function is_defined(variable) {
     return (typeof variable !== 'undefined');
 }
 
-function get_details(results) {
-    var keys = Object.keys(results),
-      item = {},
+/* replaces the stored status by the current one, which may be 'stale' */
+function with_status(experiment, stale_after) {
+    if (is_defined(experiment.status)) {
+        experiment.status = lifecycle.get_status(experiment, stale_after);
+    }
+    return experiment;
+}
+
+function get_details(experiments, stale_after) {
+    var item = {},
       response = {};
-    keys.forEach(function(key) {
-        item = results[key]._source;
+    experiments.forEach(function(experiment) {
+        item = with_status(experiment.source, stale_after);
         if (typeof item.timestamp !== 'undefined') {
             item.date = item.timestamp.split('-')[0];
             item.date = item.date.replace(/\./g, '-');
@@ -100,8 +240,8 @@ function get_details(results) {
             }
             delete item.timestamp;
         }
-        item.workflow = results[key]._parent;
-        response[results[key]._id] = item;
+        item.workflow = experiment.workflow;
+        response[experiment.id] = item;
     });
     return response;
 }
@@ -121,6 +261,11 @@ function get_details(results) {
  * @apiSuccess {String} [task]         Name of the task (sub-component of the workflow)
  * @apiSuccess {String} [host]         Name of the target platform, where the experiment is conducted
  * @apiSuccess {String} [timestamp]    Timestamp when the experiment is registered
+ * @apiSuccess {String} [status]       registered, running, finished, failed or stale
+ * @apiSuccess {String} [last_activity] Time the last samples arrived, or the registration time
+ * @apiSuccess {String} [start_time]   Time the first samples arrived
+ * @apiSuccess {String} [end_time]     Time the experiment was marked finished or failed
+ * @apiSuccess {String} [reason]       Reason given when the experiment was marked finished or failed
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -128,41 +273,43 @@ function get_details(results) {
  *        "application": "ms2",
  *        "task": "t1",
  *        "host": "node01",
- *        "@timestamp": "2016-08-12T13:49:59"
+ *        "@timestamp": "2016-08-12T13:49:59",
+ *        "status": "running",
+ *        "last_activity": "2016-08-12T13:52:10.018Z",
+ *        "start_time": "2016-08-12T13:50:02.411Z"
  *     }
  *
  * @apiError DatabaseError Elasticsearch specific error message.
  */
 router.get('/:experimentID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
       id = req.params.experimentID,
       workflow = req.query.workflow,
-      json = {},
-      size = 1000;
-
-    workflow = workflow.toLowerCase();
+      json = {};
 
     if (typeof workflow == 'undefined') {
+        res.status(400);
         json.error = "URL parameter 'workflow' is missing";
         res.json(json);
         return;
     }
+    workflow = String(workflow).toLowerCase();
 
-    client.get({
-        index: 'mf',
-        type: 'experiments',
-        id: id,
-        parent: workflow
-    }, function(error, response) {
-        if (response.found) {
-            json = response._source;
+    storage.getExperiment(workflow, id, function(error, experiment) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (experiment) {
+            json = with_status(experiment, req.app.get('config').experiments.stale_after);
             if (json['@timestamp'] !== 'undefined') {
                 delete json.timestamp;
             }
-            res.json(json);
         } else {
-            res.json(error);
+            res.status(404);
+            json.error = "Experiment with the ID '" + id + "' not found.";
         }
+        res.json(json);
     });
 });
 
@@ -187,14 +334,34 @@ router.get('/:experimentID', function(req, res, next) {
  *       "author": "hpcfapix"
  *     }
  *
- * @apiSuccess {Object} executionID       Identifier of the new registered experiment
- * @apiSuccess {String} executionID.href  Link to the new registered experiment
+ * @apiDescription Returns the plain identifier of the new experiment, or the
+ * JSON below if the client accepts application/json. In both cases, the
+ * headers X-Ingest-Token and X-Ingest-Token-Expires carry a short-lived token
+ * bound to the workflow and experiment. Sending metrics with this token
+ * (Authorization: Bearer &lt;token&gt;) rejects samples of other workflows or
+ * experiments.
+ *
+ * The experiment records the version of the workflow in effect as
+ * workflow_version, so that runtime views keep resolving the task list the
+ * experiment ran with after the workflow is updated.
+ *
+ * New experiments start with the status 'registered' and switch to 'running'
+ * when their first samples arrive.
+ *
+ * @apiSuccess {Object} executionID          Identifier of the new registered experiment
+ * @apiSuccess {String} executionID.href     Link to the new registered experiment
+ * @apiSuccess {String} executionID.token    Ingest token bound to the experiment
+ * @apiSuccess {String} executionID.expires  Expiry time of the ingest token
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
+ *     X-Ingest-Token: mfe.eyJ3IjoibXMyIiwiZSI6IkFWWHQzY29PejVjaEV3SXQ4X01hIiwiZXhwIjoxNDg2MTE3NDQ3MDAwfQ.Ht0c3V...
+ *     X-Ingest-Token-Expires: 2017-02-03T10:24:07.000Z
  *     {
  *       "AVXt3coOz5chEwIt8_Ma": {
- *         "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/experiments/AVXt3coOz5chEwIt8_Ma?workflow=ms2"
+ *         "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/experiments/AVXt3coOz5chEwIt8_Ma?workflow=ms2",
+ *         "token": "mfe.eyJ3IjoibXMyIiwiZSI6IkFWWHQzY29PejVjaEV3SXQ4X01hIiwiZXhwIjoxNDg2MTE3NDQ3MDAwfQ.Ht0c3V...",
+ *         "expires": "2017-02-03T10:24:07.000Z"
  *       }
  *     }
  * @apiError WorkflowNotFound No workflow as given is found.
@@ -207,43 +374,255 @@ router.get('/:experimentID', function(req, res, next) {
  */
 router.post('/:workflowID', function(req, res, next) {
     var id = req.params.workflowID.toLowerCase(),
-      mf_server = req.app.get('mf_server'),
-      client = req.app.get('elastic');
+      storage = req.app.get('storage'),
+      json = {};
 
     var body = req.body;
     body['@timestamp'] = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
+    /* status and last_activity */
+    Object.assign(body, lifecycle.register());
 
     /*check if given workflow exists */
-    client.get({
-        index: 'mf',
-        type: 'workflows',
-        id: id
-    }, function(err, result) {
+    storage.getWorkflow(id, function(err, workflow) {
         if (err) {
             res.status(500);
             return next(err);
         }
-        /*if the workflow can be found */
-        if(result !== undefined) {
-            client.index({
-                index: 'mf',
-                type: 'experiments',
-                parent: id,
-                body: body
-            },function(error, response) {
+        /*if no such workflow is found */
+        if (!workflow) {
+            res.status(404);
+            json.error = "No workflow as " + id +" is found.";
+            res.json(json);
+            return;
+        }
+        storage.getWorkflowVersions(id, function(error, versions) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            /* the version in effect, so that later updates keep the task list of this run */
+            if (versions.length > 0) {
+                body.workflow_version = versions[versions.length - 1].version;
+            }
+            add_experiment(req, res, next, id, body);
+        });
+    });
+});
+
+function add_experiment(req, res, next, id, body) {
+    var storage = req.app.get('storage'),
+        json = {};
+
+    storage.addExperiment(id, body, function(error, experimentID) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        var ingest = auth.issue_token(req.app.get('config').auth, id, experimentID);
+        res.set('X-Ingest-Token', ingest.token);
+        res.set('X-Ingest-Token-Expires', ingest.expires);
+        /* monitoring agents expect the plain identifier */
+        if (req.accepts([ 'text', 'json' ]) !== 'json') {
+            return res.send(experimentID);
+        }
+        json[experimentID] = {
+            href: req.app.get('mf_server') + '/phantom_mf/experiments/' + experimentID + '?workflow=' + id,
+            token: ingest.token,
+            expires: ingest.expires
+        };
+        res.json(json);
+    });
+}
+
+/**
+ * @api {patch} /experiments/:experimentID 4. Mark an experiment as finished or failed
+ * @apiVersion 1.0.0
+ * @apiName PatchExperiment
+ * @apiGroup Experiments
+ *
+ * @apiDescription Ends the lifecycle of an experiment. Experiments that are
+ * registered or running without receiving samples for experiments.stale_after
+ * seconds are reported as 'stale' until they receive samples again or are
+ * marked as finished or failed. The ingest token of the experiment may be
+ * used to mark it.
+ *
+ * Finished experiments are checked for performance regressions against the
+ * experiments of the workflow that finished before (see GET /regressions);
+ * the result is stored on the experiment as indicators and regression.
+ *
+ * @apiParam {String} experimentID  Identifier of an experiment
+ * @apiParam {String} workflow      Identifier of the workflow (URL parameter)
+ * @apiParam {String} status        'finished' or 'failed'
+ * @apiParam {String} [end_time]    End time of the experiment, defaults to now
+ * @apiParam {String} [reason]      Free text, e.g. the cause of a failure
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X PATCH -H "Content-Type: application/json" -d '{"status": "failed", "reason": "out of memory"}' \
+ *       http://mf.excess-project.eu:3033/v1/phantom_mf/experiments/AVZ-ll9FGYwmTvCuSnjW?workflow=ms2
+ *
+ * @apiSuccess {String} status      New status of the experiment
+ * @apiSuccess {String} end_time    End time of the experiment
+ * @apiSuccess {String} [reason]    Reason as given
+ * @apiSuccess {Object} [indicators] Runtime, power and energy per task of a finished experiment
+ * @apiSuccess {Object} [regression] Comparison of the indicators with the baseline, see GET /regressions
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *        "application": "ms2",
+ *        "host": "node01",
+ *        "@timestamp": "2016-08-12T13:49:59",
+ *        "status": "failed",
+ *        "last_activity": "2016-08-12T13:52:10.018Z",
+ *        "start_time": "2016-08-12T13:50:02.411Z",
+ *        "end_time": "2016-08-12T13:52:31.000Z",
+ *        "reason": "out of memory"
+ *     }
+ *
+ * @apiError ExperimentNotAvailable Given ID does not refer to an experiment of the workflow.
+ * @apiError InvalidStatus The status is neither 'finished' nor 'failed'.
+ * @apiError Conflict The experiment already ended, or was registered without a lifecycle.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 409 Conflict
+ *     {
+ *       "error": "The experiment is already finished."
+ *     }
+ */
+router.patch('/:experimentID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+      id = req.params.experimentID,
+      workflow = req.query.workflow,
+      scope = auth.scope(req),
+      json = {};
+
+    if (typeof workflow == 'undefined') {
+        res.status(400);
+        json.error = "URL parameter 'workflow' is missing";
+        return res.json(json);
+    }
+    workflow = String(workflow).toLowerCase();
+
+    if (scope === false) {
+        res.status(401);
+        json.error = "Invalid or expired ingest token.";
+        return res.json(json);
+    }
+    if (scope && (scope.workflow !== workflow || scope.experiment !== id)) {
+        res.status(403);
+        json.error = "The ingest token is bound to another experiment.";
+        return res.json(json);
+    }
+
+    storage.getExperiment(workflow, id, function(error, experiment) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (!experiment) {
+            res.status(404);
+            json.error = "Experiment with the ID '" + id + "' not found.";
+            return res.json(json);
+        }
+        var result = lifecycle.change(experiment, req.body || {});
+        if (is_defined(result.error)) {
+            res.status(result.status);
+            json.error = result.error;
+            return res.json(json);
+        }
+        storage.updateExperiment(workflow, id, result.fields, function(error) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            lifecycle.forget(workflow, id);
+            json = Object.assign(experiment, result.fields);
+            delete json.timestamp;
+            if (result.fields.status !== 'finished') {
+                return res.json(json);
+            }
+            var settings = req.app.get('config').regressions;
+            regression.analyse(storage, workflow, id, json, settings, function(error, fields) {
+                /* the status is stored; the analysis can be repeated by POST /regressions */
                 if (error) {
-                    res.json(error);
-                } else {
-                    res.send(response._id);
+                    console.error('Could not check experiment ' + id + ' for regressions: ' + error.message);
+                    return res.json(json);
                 }
+                res.json(Object.assign(json, fields));
             });
+        });
+    });
+});
+
+/**
+ * @api {delete} /experiments/:experimentID 5. Delete an experiment with its samples
+ * @apiVersion 1.0.0
+ * @apiName DeleteExperiment
+ * @apiGroup Experiments
+ *
+ * @apiDescription Deletes the experiment and its samples of all tasks. A dry
+ * run only reports what would be deleted. Needs the role admin if
+ * authentication is enabled.
+ *
+ * @apiParam {String} experimentID  Identifier of an experiment
+ * @apiParam {String} workflow      Identifier of the workflow (URL parameter)
+ * @apiParam {Boolean} [dry_run]    Only report what would be deleted
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X DELETE http://mf.excess-project.eu:3033/v1/phantom_mf/experiments/AVZ-ll9FGYwmTvCuSnjW?workflow=ms2
+ *
+ * @apiSuccess {String} workflow    Identifier of the workflow
+ * @apiSuccess {String} experiment  Identifier of the experiment
+ * @apiSuccess {Object} tasks       Number of samples per task
+ * @apiSuccess {Number} samples     Number of samples of all tasks
+ * @apiSuccess {Boolean} dry_run    Whether nothing was deleted
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "experiment": "AVZ-ll9FGYwmTvCuSnjW",
+ *       "tasks": { "t1": 641, "t2.1": 170 },
+ *       "samples": 811,
+ *       "dry_run": false
+ *     }
+ *
+ * @apiError ExperimentNotAvailable Given ID does not refer to an experiment of the workflow.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "Experiment with the ID 'AVZ-ll9FGYwmTvCuSnjW' not found."
+ *     }
+ */
+router.delete('/:experimentID', auth.require('admin'), function(req, res, next) {
+    var storage = req.app.get('storage'),
+      id = req.params.experimentID,
+      workflow = req.query.workflow,
+      dry_run = cascade.parse_dry_run(req.query.dry_run),
+      json = {};
+
+    if (typeof workflow == 'undefined') {
+        res.status(400);
+        json.error = "URL parameter 'workflow' is missing";
+        return res.json(json);
+    }
+    workflow = String(workflow).toLowerCase();
+
+    cascade.delete_experiment(storage, workflow, id, dry_run, function(error, report) {
+        if (error) {
+            res.status(500);
+            return next(error);
         }
-        /*if no such workflow is found */
-        else {
-            json.error = "No workflow as " + id +" is found.";
-            res.json(json);
+        if (report === null) {
+            res.status(404);
+            json.error = "Experiment with the ID '" + id + "' not found.";
+            return res.json(json);
         }
-    }); 
+        json = report;
+        json.dry_run = dry_run;
+        res.json(json);
+    });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,254 @@
+var express = require('express');
+var auth = require('../../lib/auth');
+var router = express.Router();
+
+/**
+ * @api {get} /keys 1. Get a list of all API keys
+ * @apiVersion 1.0.0
+ * @apiName GetKeys
+ * @apiGroup Admin_Keys
+ *
+ * @apiHeader {String} Authorization  Bearer token of a key having the role admin
+ *
+ * @apiSuccess {Object} keyID          Unique identifier of the API key
+ * @apiSuccess {String} keyID.name     Description of the key holder
+ * @apiSuccess {String[]} keyID.roles  Roles granted to the key (read, ingest, admin)
+ * @apiSuccess {String} keyID.created  Creation time of the key
+ * @apiSuccess {String} keyID.href     Link to the key
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -H "Authorization: Bearer <key>" http://mf.excess-project.eu:3033/v1/admin/keys
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "4f1c3be5a8d1c2e0ff": {
+ *         "name": "agent node01.excess-cluster",
+ *         "roles": [ "ingest" ],
+ *         "created": "2017-02-02T10:24:07.000",
+ *         "href": "http://mf.excess-project.eu:3033/v1/admin/keys/4f1c3be5a8d1c2e0ff"
+ *       }
+ *     }
+ *
+ * @apiError NoKeys No API keys found.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "No API keys found."
+ *     }
+ */
+router.get('/', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        mf_server = req.app.get('mf_server'),
+        json = {};
+
+    storage.getKeys(function(error, keys) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (Object.keys(keys).length === 0) {
+            res.status(404);
+            json.error = "No API keys found.";
+            return res.json(json);
+        }
+        Object.keys(keys).forEach(function(id) {
+            json[id] = get_details(mf_server, id, keys[id]);
+        });
+        res.json(json);
+    });
+});
+
+/**
+ * @api {get} /keys/:keyID 2. Get a specific API key
+ * @apiVersion 1.0.0
+ * @apiName GetKey
+ * @apiGroup Admin_Keys
+ *
+ * @apiHeader {String} Authorization  Bearer token of a key having the role admin
+ *
+ * @apiParam {String} keyID  Unique identifier of the API key
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -H "Authorization: Bearer <key>" http://mf.excess-project.eu:3033/v1/admin/keys/4f1c3be5a8d1c2e0ff
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "name": "agent node01.excess-cluster",
+ *       "roles": [ "ingest" ],
+ *       "created": "2017-02-02T10:24:07.000",
+ *       "href": "http://mf.excess-project.eu:3033/v1/admin/keys/4f1c3be5a8d1c2e0ff"
+ *     }
+ *
+ * @apiError KeyNotAvailable Given keyID does not exist.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "API key '4f1c3be5a8d1c2e0ff' is not found."
+ *     }
+ */
+router.get('/:keyID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        mf_server = req.app.get('mf_server'),
+        id = req.params.keyID,
+        json = {};
+
+    storage.getKey(id, function(error, key) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (key === null) {
+            res.status(404);
+            json.error = "API key '" + id + "' is not found.";
+            return res.json(json);
+        }
+        res.json(get_details(mf_server, id, key));
+    });
+});
+
+/**
+ * @api {post} /keys 3. Create a new API key
+ * @apiVersion 1.0.0
+ * @apiName PostKey
+ * @apiGroup Admin_Keys
+ *
+ * @apiDescription The returned token is shown only once; the server keeps
+ * a hash of it. Monitoring agents usually get the role ingest, analysts the
+ * role read. Send the token as 'Authorization: Bearer &lt;token&gt;' or in the
+ * header 'X-API-Key'.
+ *
+ * @apiHeader {String} Authorization  Bearer token of a key having the role admin
+ *
+ * @apiParam {String} name      Description of the key holder
+ * @apiParam {String[]} roles   Roles granted to the key (read, ingest, admin)
+ *
+ * @apiParamExample {json} Request-Example:
+ *     {
+ *       "name": "agent node01.excess-cluster",
+ *       "roles": [ "ingest" ]
+ *     }
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X POST -H "Authorization: Bearer <key>" -H "Content-Type: application/json" \
+ *          -d '{"name": "agent node01.excess-cluster", "roles": ["ingest"]}' \
+ *          http://mf.excess-project.eu:3033/v1/admin/keys
+ *
+ * @apiSuccess {String} id     Unique identifier of the API key
+ * @apiSuccess {String} token  Secret token to authenticate with
+ * @apiSuccess {String} href   Link to the key
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 201 Created
+ *     {
+ *       "id": "4f1c3be5a8d1c2e0ff",
+ *       "token": "4f1c3be5a8d1c2e0ff.9b0c6c5e0d6f4a8e1f2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d",
+ *       "name": "agent node01.excess-cluster",
+ *       "roles": [ "ingest" ],
+ *       "href": "http://mf.excess-project.eu:3033/v1/admin/keys/4f1c3be5a8d1c2e0ff"
+ *     }
+ *
+ * @apiError InvalidRoles The roles are missing or unknown.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 400 Bad Request
+ *     {
+ *       "error": "Roles must be a non-empty list of read, ingest, admin."
+ *     }
+ */
+router.post('/', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        mf_server = req.app.get('mf_server'),
+        roles = req.body.roles,
+        json = {};
+
+    if (!Array.isArray(roles) || roles.length === 0 || !roles.every(function(role) {
+        return auth.roles.indexOf(role) !== -1;
+    })) {
+        res.status(400);
+        json.error = "Roles must be a non-empty list of " + auth.roles.join(', ') + ".";
+        return res.json(json);
+    }
+
+    var generated = auth.generate(String(req.body.name || ''), roles);
+    generated.key.created = new Date().toISOString();
+
+    storage.putKey(generated.id, generated.key, function(error) {
+        if (error) {
+            res.status(500);
+            json.error = "Could not create the API key.";
+            return res.json(json);
+        }
+        res.status(201);
+        json.id = generated.id;
+        json.token = generated.token;
+        json.name = generated.key.name;
+        json.roles = roles;
+        json.href = mf_server + '/admin/keys/' + generated.id;
+        res.json(json);
+    });
+});
+
+/**
+ * @api {delete} /keys/:keyID 4. Revoke an API key
+ * @apiVersion 1.0.0
+ * @apiName DeleteKey
+ * @apiGroup Admin_Keys
+ *
+ * @apiHeader {String} Authorization  Bearer token of a key having the role admin
+ *
+ * @apiParam {String} keyID  Unique identifier of the API key
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X DELETE -H "Authorization: Bearer <key>" http://mf.excess-project.eu:3033/v1/admin/keys/4f1c3be5a8d1c2e0ff
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "id": "4f1c3be5a8d1c2e0ff",
+ *       "revoked": true
+ *     }
+ *
+ * @apiError KeyNotAvailable Given keyID does not exist.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "API key '4f1c3be5a8d1c2e0ff' is not found."
+ *     }
+ */
+router.delete('/:keyID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        id = req.params.keyID,
+        json = {};
+
+    storage.deleteKey(id, function(error, found) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        auth.revoke(id);
+        if (!found) {
+            res.status(404);
+            json.error = "API key '" + id + "' is not found.";
+            return res.json(json);
+        }
+        json.id = id;
+        json.revoked = true;
+        res.json(json);
+    });
+});
+
+function get_details(mf_server, id, key) {
+    var json = {};
+    json.name = key.name;
+    json.roles = key.roles;
+    json.created = key.created;
+    json.href = mf_server + '/admin/keys/' + id;
+    return json;
+}
+
+module.exports = router;
@@ -1,9 +1,30 @@
 var express = require('express');
-var dateFormat = require('dateformat');
-var http = require('http');
 var async = require('async');
+var bodyParser = require('body-parser');
+var dateFormat = require('dateformat');
+var auth = require('../../lib/auth');
+var cascade = require('../../lib/cascade');
+var ingest = require('../../lib/ingest');
+var exporter = require('../../lib/export');
+var prometheus = require('../../lib/prometheus');
+var line_protocol = require('../../lib/line_protocol');
+var otlp = require('../../lib/otlp');
+var sample_schema = require('../../lib/sample');
 var router = express.Router();
 
+/* tags of the line protocol naming the sample's workflow, task, experiment and host */
+var point_tags = [ 'workflow', 'task', 'experiment', 'host' ];
+
+/* sample fields that tags and fields of the line protocol cannot set */
+var reserved_fields = [ 'local_timestamp', 'server_timestamp', '@timestamp', 'type', 'TaskID', 'WorkflowID', 'ExperimentID' ];
+
+/* errors listed in the answers to the line protocol and OTLP, all are counted */
+var max_line_errors = 100;
+
+var statistics_columns = [ 'metric', 'count', 'min', 'max', 'avg', 'sum' ].map(function(name) {
+    return { name: name, type: name === 'metric' ? 'string' : 'number' };
+});
+
 /**
  * @api {get} /metrics/:workflowID/:taskID/:experimentID 1. Get all sampled metrics' names and average values with given workflowID, taskID and experimentID
  * @apiVersion 1.0.0
@@ -13,9 +34,12 @@ var router = express.Router();
  * @apiParam {String} workflowID        Name of the workflow
  * @apiParam {String} taskID            Name of the task
  * @apiParam {String} executionID       Identifier of the experiment
+ * @apiParam {String="json","csv","ndjson","arrow"} [format]  Format of the response, else chosen by the Accept header
+ * @apiParam {String="wide","long"} [layout=wide]  Layout of CSV, NDJSON and Arrow: a row per metric, or per metric and statistic
  *
  * @apiExample {curl} Example usage:
  *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/metrics/ms2/t1/AVNXMXcvGMPeuCn4bMe0
+ *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/metrics/ms2/t1/AVNXMXcvGMPeuCn4bMe0?format=csv'
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -56,67 +80,86 @@ var router = express.Router();
  *       }
  *     ]
  *
+ * @apiSuccessExample CSV-Response:
+ *     HTTP/1.1 200 OK
+ *     Content-Type: text/csv; charset=utf-8
+ *
+ *     metric,count,min,max,avg,sum
+ *     device0:current,55,0,0,0,0
+ *     device0:power,55,0,0,0,0
+ *
  * @apiError DatabaseError Elasticsearch specific error message.
+ * @apiError BadRequest The format or layout parameter is invalid.
  */
 router.get('/:workflowID/:taskID/:experimentID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
       workflow = req.params.workflowID.toLowerCase(),
       task = req.params.taskID.toLowerCase(),
       experiment = req.params.experimentID,
       size = 1000,
+      requested = exporter.negotiate(req),
       json = [];
 
+    if (typeof requested.error !== 'undefined') {
+        res.status(400);
+        return res.json({ error: requested.error });
+    }
+
     var data = {},
       metrics = {},
-      index = workflow + '_' + task;
-    
-    client.search({
-        index: index,
-        type: experiment,
+      query = { workflow: workflow, task: task, experiment: experiment };
+
+    storage.getSamples({
+        workflow: workflow,
+        task: task,
+        experiment: experiment,
         size: size
-    }, function (error, response) {
-        if(error) {
+    }, function(error, samples) {
+        if (error) {
             res.status(500);
             return next(error);
         }
-      if(response.hits !== undefined) {
-          var results = response.hits.hits,
-            keys = Object.keys(results),
-            items = {};
-
-          /* filter keys like local_timestamp, server_timestamp, host, task, and type */
-          keys.forEach(function (key) {
-              items = results[key]._source;
-              delete items.local_timestamp;
-              delete items.server_timestamp;
-              delete items.host;
-              delete items.task;
-              delete items.TaskID;
-              delete items.type;
-              for (var item in items) {
-                  metrics[item] = item;
-              }
-          });
-      }
-
-      async.each(metrics, function(metric, inner_callback) {
-          client.search({
-              index: index,
-              type: experiment,
-              searchType: 'count',
-              body: aggregation_by(metric)
-            }, function(error, response) {
-              if (error) {
-                inner_callback(null);
-              }
-              var aggs = response.aggregations;
-                data[metric] = aggs[metric + '_Stats'];
-              inner_callback(null);
-            });
-          }, function() {
+
+        /* filter keys like local_timestamp, server_timestamp, host, task, and type */
+        samples.forEach(function(items) {
+            delete items.local_timestamp;
+            delete items.server_timestamp;
+            delete items.host;
+            delete items.task;
+            delete items.TaskID;
+            delete items.type;
+            for (var item in items) {
+                metrics[item] = item;
+            }
+        });
+
+        storage.getStatistics(query, Object.keys(metrics), {}, function(error, results) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            for (var metric in results) {
+                var stats = results[metric].statistics;
+                data[metric] = {
+                    count: stats.count,
+                    min: stats.min,
+                    max: stats.max,
+                    avg: stats.avg,
+                    sum: stats.sum
+                };
+            }
+            if (requested.format !== 'json') {
+                return exporter.send(res, requested.format, {
+                    layout: requested.layout,
+                    variable: 'statistic',
+                    columns: statistics_columns
+                }, Object.keys(data).sort().map(function(metric) {
+                    return Object.assign({ metric: metric }, data[metric]);
+                }));
+            }
             json.push(data);
             res.json(json);
-      });
+        });
     });
 });
 
@@ -126,13 +169,22 @@ router.get('/:workflowID/:taskID/:experimentID', function(req, res, next) {
  * @apiName PostBulkMetrics
  * @apiGroup Metrics
  *
+ * @apiDescription Every sample is validated before it is stored: it must
+ * name its workflow and experiment, every field besides WorkflowID,
+ * ExperimentID, TaskID, type, host and the timestamps is a metric and must
+ * be numeric, and local_timestamp must be milliseconds since the epoch or a
+ * local time. Its experiment must be registered for its workflow (see
+ * POST /experiments/:workflowID). Valid samples are stored even if others are
+ * rejected, which answers 400. The answer lists the accepted and the rejected samples by
+ * their index in the request, so agents can send the rejected ones again.
+ *
  * @apiParam (body) {String} WorkflowID      Name of the application
- * @apiParam (body) {String} TaskID          Name of the task
+ * @apiParam (body) {String} [TaskID=all]    Name of the task
  * @apiParam (body) {String} ExperimentID    Identifier of the experiment
  * @apiParam (body) {String} [type]          Type of the metric, e.g. power, temperature, and so on
  * @apiParam (body) {String} [host]          Hostname of the target platform
- * @apiParam (body) {String} local_timestamp Local timestamp, when the metric is collected
- * @apiParam (body) {String} metric          Name and value of the metric
+ * @apiParam (body) {String} [local_timestamp] Local timestamp, when the metric is collected, in milliseconds since the epoch or as local time; the server time if not given
+ * @apiParam (body) {Number} metric          Name and value of the metric, a number or a string holding one
  *
  * @apiExample {curl} Example usage:
  *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/metrics
@@ -151,74 +203,400 @@ router.get('/:workflowID/:taskID/:experimentID', function(req, res, next) {
  *         "WorkflowID": "ms2",
  *         "ExperimentID":"AVNXMXcvGMPeuCn4bMe0",
  *         "TaskID": "t2.2",
- *         "local_timestamp": "2016-02-15T12:46:48.524",
+ *         "local_timestamp": 1455540408524,
  *         "type": "power",
  *         "host": "node01.excess-project.eu",
- *         "GPU0:power": "152.427"
+ *         "GPU0:power": 152.427
  *       }
  *     ]
  *
- * @apiSuccess {String} href links to all updated profiled metrics
+ * @apiSuccess {Object[]} accepted        The stored samples
+ * @apiSuccess {Number} accepted.index    Index of the sample in the request
+ * @apiSuccess {String} accepted.id       Identifier of the stored sample
+ * @apiSuccess {String} accepted.href     Link to the profile of the sample's task and experiment
+ * @apiSuccess {Object[]} rejected        The samples not stored
+ * @apiSuccess {Number} rejected.index    Index of the sample in the request
+ * @apiSuccess {String[]} rejected.errors Why the sample was rejected
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
- *     [
- *       "http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/ms2/t2.1/AVUWnydqGMPeuCn4l-cj",
- *       "http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/ms2/t2.2/AVNXMXcvGMPeuCn4bMe0"
- *     ]
+ *     {
+ *       "accepted": [
+ *         {
+ *           "index": 0,
+ *           "id": "AVXt3coOz5chEwIt8_Ma",
+ *           "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/ms2/t2.1/AVUWnydqGMPeuCn4l-cj"
+ *         }, {
+ *           "index": 1,
+ *           "id": "AVXt3coOz5chEwIt8_Mb",
+ *           "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/ms2/t2.2/AVNXMXcvGMPeuCn4bMe0"
+ *         }
+ *       ],
+ *       "rejected": []
+ *     }
  *
+ * @apiError InvalidSamples Some samples are invalid, of unknown experiments or could not be stored, the others are stored.
+ * @apiError InvalidBody The body is no list of samples.
  * @apiError DatabaseError Elasticsearch specific error message.
+ * @apiError TokenMismatch Samples do not belong to the experiment of the ingest token.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 400 Bad Request
+ *     {
+ *       "accepted": [
+ *         {
+ *           "index": 0,
+ *           "id": "AVXt3coOz5chEwIt8_Ma",
+ *           "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/ms2/t2.1/AVUWnydqGMPeuCn4l-cj"
+ *         }
+ *       ],
+ *       "rejected": [
+ *         {
+ *           "index": 1,
+ *           "errors": [ "The metric 'GPU0:power' must be numeric, got \"n/a\"." ]
+ *         }
+ *       ]
+ *     }
  */
 router.post('/', function(req, res, next) {
     var data = req.body,
       mf_server = req.app.get('mf_server'),
-      client = req.app.get('elastic'),
-      bulk_data = [];
-
-    var tmp = {};
-    tmp.index = {};
-    for (i = 0; i != data.length; ++i) {
-        var action = JSON.parse(JSON.stringify(tmp));
-        var index = data[i].WorkflowID;
-        if (data[i].TaskID) {
-          index = index + '_' + data[i].TaskID;
-        } else {
-          index = index + '_all';
+      server_timestamp = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l"),
+      items = [],
+      indexes = [],
+      accepted = [],
+      rejected = [];
+
+    prometheus.count_request('bulk');
+    if (!Array.isArray(data)) {
+        res.status(400);
+        return res.json({ error: "The body must be a list of samples." });
+    }
+
+    data.forEach(function(sample, index) {
+        var problems = sample_schema.validate(sample);
+        if (problems.length > 0) {
+            return rejected.push({ index: index, errors: problems });
         }
-        /*
-        if(data[i]['@timestamp'] == undefined) {
-          data[i]['@timestamp'] = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
-        }*/
-        data[i].server_timestamp = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
-        if(data[i].local_timestamp == undefined) {
-          data[i].local_timestamp = data[i].server_timestamp;
-        } else {
-          var tmp_value = parseInt(data[i].local_timestamp);
-          data[i].local_timestamp = dateFormat(new Date(tmp_value), "yyyy-mm-dd'T'HH:MM:ss.l");
+        sample = sample_schema.parse_metrics(Object.assign({}, sample));
+        sample.server_timestamp = server_timestamp;
+        if (typeof sample.local_timestamp === 'undefined') {
+            sample.local_timestamp = server_timestamp;
+        } else if (sample_schema.is_epoch(sample.local_timestamp)) {
+            sample.local_timestamp = dateFormat(new Date(Number(sample.local_timestamp)), "yyyy-mm-dd'T'HH:MM:ss.l");
         }
 
-        action.index._index = index.toLowerCase();
-        action.index._type = data[i].ExperimentID;
-        delete data[i].WorkflowID;
-        delete data[i].ExperimentID;
-        bulk_data.push(action);
-        bulk_data.push(data[i]);
+        var item = {
+            workflow: String(sample.WorkflowID).toLowerCase(),
+            task: String(typeof sample.TaskID !== 'undefined' ? sample.TaskID : 'all').toLowerCase(),
+            experiment: String(sample.ExperimentID)
+        };
+        delete sample.WorkflowID;
+        delete sample.ExperimentID;
+        item.sample = sample;
+        items.push(item);
+        indexes.push(index);
+    });
+
+    if (!check_scope(req, res, items.map(function(item, i) {
+        return { workflow: item.workflow, experiment: item.experiment, index: indexes[i] };
+    }))) {
+        return;
     }
+    check_experiments(req.app.get('storage'), items, function(error, problems) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        var known = [],
+            known_indexes = [];
+        items.forEach(function(item, i) {
+            if (problems[i] !== null) {
+                return rejected.push({ index: indexes[i], errors: [ problems[i] ] });
+            }
+            known.push(item);
+            known_indexes.push(indexes[i]);
+        });
+        store(req, known, function(error, results) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            results.forEach(function(result, i) {
+                if (result.error) {
+                    return rejected.push({
+                        index: known_indexes[i],
+                        errors: [ 'Could not store the sample: ' + describe_error(result.error) ]
+                    });
+                }
+                accepted.push({
+                    index: known_indexes[i],
+                    id: result.id,
+                    href: mf_server + '/phantom_mf/profiles/' + known[i].workflow +
+                      '/' + known[i].task + '/' + known[i].experiment
+                });
+            });
+            rejected.sort(function(a, b) {
+                return a.index - b.index;
+            });
+            res.status(rejected.length > 0 ? 400 : 200);
+            res.json({ accepted: accepted, rejected: rejected });
+        });
+    });
+});
 
-    client.bulk({
-        body: bulk_data
-    },function(error, response) {
+/**
+ * @api {post} /metrics/write 5. Send metrics in the InfluxDB line protocol
+ * @apiVersion 1.0.0
+ * @apiName PostLineProtocol
+ * @apiGroup Metrics
+ *
+ * @apiDescription Accepts the body of InfluxDB 1.x write requests, e.g.
+ * from the influxdb output of Telegraf with the URL
+ * http://mf.excess-project.eu:3033/v1/phantom_mf/metrics. Every line becomes
+ * a sample: the tags workflow, task, experiment and host name its workflow,
+ * task, experiment and host (the parameters workflow, task and experiment
+ * apply to lines without them, the task defaults to 'all'), the measurement
+ * becomes its type, the fields its metrics and further tags are kept as
+ * string fields. Timestamps are truncated to milliseconds; without one, the
+ * server time is taken. Valid lines are stored even if others are
+ * rejected, which answers 400 with the errors per line.
+ *
+ * @apiParam {String} [workflow]    Workflow of lines without the tag workflow
+ * @apiParam {String} [task]        Task of lines without the tag task
+ * @apiParam {String} [experiment]  Experiment of lines without the tag experiment
+ * @apiParam {String="n","ns","u","us","ms","s","m","h"} [precision=ns]  Unit of the timestamps
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X POST 'http://mf.excess-project.eu:3033/v1/phantom_mf/metrics/write?precision=ms' \
+ *          --data-binary 'power,workflow=ms2,task=t2.1,experiment=AVUWnydqGMPeuCn4l-cj,host=node01 GPU0:power=152.427,GPU1:power=148.2 1455540142000'
+ *
+ * @apiSuccess {Number} accepted   Number of stored samples
+ * @apiSuccess {Number} rejected   Number of rejected lines
+ * @apiSuccess {Object[]} errors   The first 100 errors, each with the line number and the error
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "accepted": 2,
+ *       "rejected": 0,
+ *       "errors": []
+ *     }
+ *
+ * @apiError InvalidLines Some lines are invalid or could not be stored, the others are stored.
+ * @apiError TokenMismatch Lines do not belong to the experiment of the ingest token.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 400 Bad Request
+ *     {
+ *       "accepted": 1,
+ *       "rejected": 1,
+ *       "errors": [
+ *         { "line": 2, "error": "Invalid value of the field 'GPU0:power'." }
+ *       ]
+ *     }
+ */
+router.post('/write', function(req, res, next) {
+    var precision = typeof req.query.precision !== 'undefined' ? String(req.query.precision) : 'ns',
+      server_timestamp = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l"),
+      items = [],
+      lines = [],
+      errors = [];
+
+    prometheus.count_request('influx');
+    if (!Object.prototype.hasOwnProperty.call(line_protocol.precisions, precision)) {
+        res.status(400);
+        return res.json({ error: "Unknown precision '" + precision + "', use " +
+            Object.keys(line_protocol.precisions).join(', ') + "." });
+    }
+    if (typeof req.body !== 'string') {
+        res.status(400);
+        return res.json({ error: "The body must be in the InfluxDB line protocol." });
+    }
+
+    line_protocol.parse(req.body, precision).forEach(function(result) {
+        var item = result.error ? null : to_item(result.point, req.query, server_timestamp);
+        if (item === null || typeof item.error !== 'undefined') {
+            errors.push({ line: result.line, error: result.error || item.error });
+            return;
+        }
+        items.push(item);
+        lines.push(result.line);
+    });
+
+    if (!check_scope(req, res, items)) {
+        return;
+    }
+    store(req, items, function(error, results) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        var json = [];
-        for (var i in response.items) {
-            json.push(mf_server + '/phantom_mf/profiles/' +
-              response.items[i].create._index.replace('_all', '/all') +
-              '/' + response.items[i].create._type);
+        var accepted = 0;
+        results.forEach(function(result, i) {
+            if (result.error) {
+                errors.push({ line: lines[i], error: 'Could not store the sample: ' + describe_error(result.error) });
+            } else {
+                ++accepted;
+            }
+        });
+        errors.sort(function(a, b) {
+            return a.line - b.line;
+        });
+        res.status(errors.length > 0 ? 400 : 200);
+        res.json({
+            accepted: accepted,
+            rejected: errors.length,
+            errors: errors.slice(0, max_line_errors)
+        });
+    });
+});
+
+/**
+ * @api {post} /metrics/otlp 6. Send metrics of OpenTelemetry over OTLP/HTTP
+ * @apiVersion 1.0.0
+ * @apiName PostOTLPMetrics
+ * @apiGroup Metrics
+ *
+ * @apiDescription Receives an ExportMetricsServiceRequest of OTLP/HTTP,
+ * encoded as protobuf (Content-Type application/x-protobuf) or JSON, e.g.
+ * from the OTLP exporter of an OpenTelemetry SDK with
+ * OTEL_EXPORTER_OTLP_METRICS_ENDPOINT set to the URL of this route. The
+ * resource attributes workflow, task, experiment and host.name place the
+ * data points; data points of resources without them are rejected. Data
+ * points of a scope with the same time and attributes form a sample: the
+ * scope name becomes its type, the attributes string fields and the data
+ * points its metrics. Gauges and sums keep their value, histograms give
+ * <name>:count, <name>:sum, <name>:min and <name>:max. Exponential
+ * histograms and summaries are rejected. Valid data points are stored even
+ * if others are rejected, which is answered as a partial success.
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X POST http://mf.excess-project.eu:3033/v1/phantom_mf/metrics/otlp \
+ *          -H 'Content-Type: application/json' -d @metrics.json
+ *
+ * @apiParamExample {json} Request-Example:
+ *     {
+ *       "resourceMetrics": [{
+ *         "resource": { "attributes": [
+ *           { "key": "workflow", "value": { "stringValue": "ms2" } },
+ *           { "key": "task", "value": { "stringValue": "t2.1" } },
+ *           { "key": "experiment", "value": { "stringValue": "AVUWnydqGMPeuCn4l-cj" } },
+ *           { "key": "host.name", "value": { "stringValue": "node01.excess-project.eu" } }
+ *         ] },
+ *         "scopeMetrics": [{
+ *           "scope": { "name": "power" },
+ *           "metrics": [{
+ *             "name": "GPU0:power",
+ *             "gauge": { "dataPoints": [ { "timeUnixNano": "1455540142000000000", "asDouble": 152.427 } ] }
+ *           }]
+ *         }]
+ *       }]
+ *     }
+ *
+ * @apiSuccess {Object} [partialSuccess]                       Only if data points were rejected
+ * @apiSuccess {String} partialSuccess.rejectedDataPoints      Number of rejected data points
+ * @apiSuccess {String} partialSuccess.errorMessage            Why they were rejected
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "partialSuccess": {
+ *         "rejectedDataPoints": "2",
+ *         "errorMessage": "The resource attributes task, host.name are missing."
+ *       }
+ *     }
+ *
+ * @apiError InvalidRequest The body is no valid ExportMetricsServiceRequest.
+ * @apiError UnsupportedMediaType The body is neither protobuf nor JSON.
+ * @apiError TokenMismatch Data points do not belong to the experiment of the ingest token.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 400 Bad Request
+ *     {
+ *       "code": 3,
+ *       "message": "Truncated protobuf message."
+ *     }
+ */
+router.post('/otlp', bodyParser.raw({ type: otlp.content_types.protobuf, limit: '5mb' }), function(req, res, next) {
+    var protobuf = Boolean(req.is(otlp.content_types.protobuf)),
+      server_timestamp = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l"),
+      items = [],
+      points = [],
+      rejected,
+      converted;
+
+    prometheus.count_request('otlp');
+    if (!protobuf && !req.is(otlp.content_types.json)) {
+        res.status(415);
+        return res.json({ error: "The body must be OTLP encoded as protobuf or JSON." });
+    }
+    try {
+        converted = otlp.convert(protobuf ? otlp.decode(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)) : req.body);
+    } catch (e) {
+        res.status(400);
+        /* google.rpc.Status with the code INVALID_ARGUMENT */
+        if (protobuf) {
+            res.type(otlp.content_types.protobuf);
+            return res.send(otlp.encode_status(3, e.message));
         }
-        res.json(json);
+        return res.json({ code: 3, message: e.message });
+    }
+    rejected = converted.rejected;
+
+    converted.samples.forEach(function(sample) {
+        var names = Object.keys(sample.attributes).concat(Object.keys(sample.metrics)),
+          reserved = names.filter(function(name) {
+              return reserved_fields.indexOf(name) !== -1 || name === 'host';
+          });
+        if (reserved.length > 0) {
+            return rejected.push({ points: sample.points, error: "The attribute or metric '" + reserved[0] + "' is reserved." });
+        }
+        var item = {
+            workflow: sample.workflow.toLowerCase(),
+            task: sample.task.toLowerCase(),
+            experiment: sample.experiment,
+            sample: Object.assign({ type: sample.type, host: sample.host }, sample.attributes, sample.metrics)
+        };
+        item.sample.server_timestamp = server_timestamp;
+        item.sample.local_timestamp = sample.time === null ? server_timestamp :
+            dateFormat(new Date(sample.time), "yyyy-mm-dd'T'HH:MM:ss.l");
+        items.push(item);
+        points.push(sample.points);
+    });
+
+    if (!check_scope(req, res, items)) {
+        return;
+    }
+    store(req, items, function(error, results) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        results.forEach(function(result, i) {
+            if (result.error) {
+                rejected.push({ points: points[i], error: 'Could not store a sample: ' + describe_error(result.error) });
+            }
+        });
+        var count = rejected.reduce(function(total, entry) {
+              return total + entry.points;
+          }, 0),
+          messages = [];
+        rejected.forEach(function(entry) {
+            if (messages.indexOf(entry.error) === -1 && messages.length < max_line_errors) {
+                messages.push(entry.error);
+            }
+        });
+        if (protobuf) {
+            res.type(otlp.content_types.protobuf);
+            return res.send(otlp.encode_response(count, messages.join(' ')));
+        }
+        res.json(count === 0 ? {} : {
+            partialSuccess: {
+                rejectedDataPoints: String(count),
+                errorMessage: messages.join(' ')
+            }
+        });
     });
 });
 
@@ -228,6 +606,12 @@ router.post('/', function(req, res, next) {
  * @apiName PostMetric
  * @apiGroup Metrics
  *
+ * @apiDescription Samples are buffered and written in bulk together with
+ * those of other requests (see ingest in the configuration). With
+ * ingest.acknowledge set to 'flush' the request is answered once the sample
+ * is stored; with 'buffer' it is answered with 202 and the link only once
+ * the sample is buffered.
+ *
  * @apiParam {String} WorkflowID              Name of the application
  * @apiParam {String} TaskID                  Name of the task
  * @apiParam {String} ExperimentID            Identifier of the experiment
@@ -258,226 +642,276 @@ router.post('/', function(req, res, next) {
  *       }
  *     }
  *
+ * @apiSuccessExample Buffered-Response:
+ *     HTTP/1.1 202 Accepted
+ *     {
+ *       "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/ms2/t1/AVNXMXcvGMPeuCn4bMe0"
+ *     }
+ *
  * @apiError DatabaseError Elasticsearch specific error message.
+ * @apiError InvalidSample The storage rejected the sample.
+ * @apiError ShuttingDown The server no longer accepts samples as it is shutting down.
+ * @apiError TokenMismatch Workflow or experiment do not match the ingest token.
  */
 router.post('/:workflowID/:taskID/:experimentID', function(req, res, next) {
     var workflowID = req.params.workflowID.toLowerCase(),
       experimentID = req.params.experimentID,
       taskID = req.params.taskID.toLowerCase(),
-      mf_server = req.app.get('mf_server'),
-      client = req.app.get('elastic'),
-      index_missing = false;
-
-    var index = workflowID + '_' + taskID;
-
-    async.series([
-        function(callback) {
-            client.indices.exists({
-                index: index
-            }, function(error, response) {
-                index_missing = !response;
-                callback(null, '1=' + index_missing);
-            });
-        },
-        function(callback) {
-            var created = false;
-            if (index_missing) {
-                var headers = {
-                    'Content-Type': 'application/json',
-                    'Content-Length': bodyString.length
-                };
+      mf_server = req.app.get('mf_server');
 
-                var options = {
-                    host: 'localhost',
-                    path: '/' + index,
-                    port: 9400,
-                    method: 'PUT',
-                    headers: headers
-                };
+    prometheus.count_request('single');
+    if (!check_scope(req, res, [ { workflow: workflowID, experiment: experimentID } ])) {
+        return;
+    }
+    /* checked before buffering, as buffered samples may be acknowledged before they are stored */
+    var problem = sample_schema.check_ids({ workflow: workflowID, task: taskID, experiment: experimentID });
+    if (problem !== null) {
+        res.status(400);
+        return res.json({ error: problem });
+    }
 
-                var http_request = http.request(options, function(res) {
-                    res.setEncoding('utf-8');
-                    res.on('data', function(data) {
-                        console.log('incoming: ' + data);
-                    });
-                    res.on('end', function() {
-                        callback(null, '2=created');
-                    });
-                });
+    /* work-around for plug-ins sending the old timestamp format */
+    if (req.body.Timestamp) {
+        req.body['@timestamp'] = req.body.Timestamp;
+        delete req.body.Timestamp;
+    }
+    /*
+    if(req.body['@timestamp'] == undefined) {
+      req.body['@timestamp'] = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
+    }*/
+    req.body.server_timestamp = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
+    if(req.body.local_timestamp == undefined) {
+      req.body.local_timestamp = req.body.server_timestamp;
+    }
 
-                http_request.on('error', function(e) {
-                    callback(null, '2=not_created');
-                });
+    /* fix for timestamps having whitespaces: 2016-08-24T10:24:07.  6 */
+    if (req.body['@timestamp'] !== undefined) {
+        var replaced = req.body['@timestamp'].replace(/ /g, '0');
+        req.body['@timestamp'] = replaced;
+    }
 
-                http_request.write(bodyString);
-                http_request.end();
-            } else {
-                callback(null, '2=exists');
-            }
-        },
-        function(callback) {
-            /* work-around for plug-ins sending the old timestamp format */
-            if (req.body.Timestamp) {
-                req.body['@timestamp'] = req.body.Timestamp;
-                delete req.body.Timestamp;
-            }
-            /*
-            if(req.body['@timestamp'] == undefined) {
-              req.body['@timestamp'] = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
-            }*/
-            req.body.server_timestamp = dateFormat(new Date(), "yyyy-mm-dd'T'HH:MM:ss.l");
-            if(req.body.local_timestamp == undefined) {
-              req.body.local_timestamp = req.body.server_timestamp;
-            }
+    req.app.get('ingest').add({
+        workflow: workflowID,
+        task: taskID,
+        experiment: experimentID,
+        sample: sample_schema.parse_metrics(req.body)
+    }, function(error, result) {
+        var href = mf_server + '/phantom_mf/profiles/' + workflowID + '/' + taskID + '/' + experimentID,
+          json = {};
+        if (error && error.status === 503) {
+            res.status(503);
+            json.error = error.message;
+            return res.json(json);
+        }
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (result === null) {
+            res.status(202);
+            return res.json({ href: href });
+        }
+        if (result.error) {
+            res.status(400);
+            json.error = 'Could not store the sample: ' + describe_error(result.error);
+            return res.json(json);
+        }
+        json[result.id] = { href: href };
+        res.json(json);
+    });
+});
 
-            /* fix for timestamps having whitespaces: 2016-08-24T10:24:07.  6 */
-            if (req.body['@timestamp'] !== undefined) {
-                var replaced = req.body['@timestamp'].replace(/ /g, '0');
-                req.body['@timestamp'] = replaced;
-            }
-            client.index({
-                index: index,
-                type: experimentID,
-                body: req.body
-            },function(error, response) {
-              if (error) {
-                res.status(500);
-                callback(null, 'id not found');
-                return;
-              }
-              var json = {};
-              json[response._id] = {};
-              json[response._id].href = mf_server + '/phantom_mf/profiles/' + workflowID;
-              if (typeof taskID !== 'undefined') {
-                  json[response._id].href += '/' + taskID;
-              }
-              json[response._id].href += '/' + experimentID;
-              res.json(json);
-              callback(null, '3');
-          });
-      }
-    ],
-    function(err, results){
+
+/**
+ * @api {delete} /metrics/:workflowID/:taskID/:experimentID 4. Delete the samples of a task of an experiment
+ * @apiVersion 1.0.0
+ * @apiName DeleteMetrics
+ * @apiGroup Metrics
+ *
+ * @apiDescription Deletes all samples of the given task of an experiment,
+ * e.g. to send them again; the experiment itself is kept. A dry run only
+ * reports what would be deleted. Needs the role admin if authentication is
+ * enabled.
+ *
+ * @apiParam {String} workflowID    Identifier of a workflow
+ * @apiParam {String} taskID        Identifier of a task
+ * @apiParam {String} experimentID  Identifier of an experiment
+ * @apiParam {Boolean} [dry_run]    Only report what would be deleted
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X DELETE http://mf.excess-project.eu:3033/v1/phantom_mf/metrics/ms2/t2.1/AVZ-ll9FGYwmTvCuSnjW
+ *
+ * @apiSuccess {String} workflow    Identifier of the workflow
+ * @apiSuccess {String} task        Identifier of the task
+ * @apiSuccess {String} experiment  Identifier of the experiment
+ * @apiSuccess {Number} samples     Number of samples
+ * @apiSuccess {Boolean} dry_run    Whether nothing was deleted
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "task": "t2.1",
+ *       "experiment": "AVZ-ll9FGYwmTvCuSnjW",
+ *       "samples": 170,
+ *       "dry_run": false
+ *     }
+ *
+ * @apiError NoSamples There are no samples of the task and experiment.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "No samples of task 't2.1' of experiment 'AVZ-ll9FGYwmTvCuSnjW' found."
+ *     }
+ */
+router.delete('/:workflowID/:taskID/:experimentID', auth.require('admin'), function(req, res, next) {
+    var workflowID = req.params.workflowID.toLowerCase(),
+      experimentID = req.params.experimentID,
+      taskID = req.params.taskID.toLowerCase(),
+      dry_run = cascade.parse_dry_run(req.query.dry_run),
+      json = {};
+
+    cascade.delete_task(req.app.get('storage'), workflowID, taskID, experimentID, dry_run, function(error, report) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (report === null) {
+            res.status(404);
+            json.error = "No samples of task '" + taskID + "' of experiment '" + experimentID + "' found.";
+            return res.json(json);
+        }
+        json = report;
+        json.dry_run = dry_run;
+        res.json(json);
     });
 });
 
-var bodyString =
-'{' +
-   '"dynamic_templates": [' +
-      '{' +
-         '"string_fields": {' +
-            '"mapping": {' +
-               '"index": "analyzed",' +
-               '"omit_norms": true,' +
-               '"type": "string",' +
-               '"fields": {' +
-                  '"raw": {' +
-                     '"index": "not_analyzed",' +
-                     '"ignore_above": 256,' +
-                     '"type": "string"' +
-                  '}' +
-               '}' +
-            '},' +
-            '"match": "*",' +
-            '"match_mapping_type": "string"' +
-         '}' +
-      '}' +
-   '],' +
-   '"_all": {' +
-      '"enabled": true' +
-   '},' +
-   '"properties": {' +
-      '"@timestamp": {' +
-         '"enabled" : true,' +
-         '"type":"date",' +
-         '"format": "date_hour_minute_second_millis",' +
-         '"store": true,' +
-         '"path": "@timestamp"' +
-      '},' +
-      '"host": {' +
-         '"type": "string",' +
-         '"norms": {' +
-            '"enabled": false' +
-         '},' +
-         '"fields": {' +
-            '"raw": {' +
-               '"type": "string",' +
-               '"index": "not_analyzed",' +
-               '"ignore_above": 256' +
-            '}' +
-         '}' +
-      '},' +
-      '"name": {' +
-         '"type": "string",' +
-         '"norms": {' +
-            '"enabled": false' +
-         '},' +
-         '"fields": {' +
-            '"raw": {' +
-               '"type": "string",' +
-               '"index": "not_analyzed",' +
-               '"ignore_above": 256' +
-            '}' +
-         '}' +
-      '},' +
-      '"value": {' +
-         '"type": "long",' +
-         '"norms": {' +
-            '"enabled": false' +
-         '},' +
-         '"fields": {' +
-            '"raw": {' +
-               '"type": "long",' +
-               '"index": "not_analyzed",' +
-               '"ignore_above": 256' +
-            '}' +
-         '}' +
-      '}' +
-   '}' +
-'}';
-
-function aggregation_by(field_name) {
-    return '{' +
-        '"aggs": {' +
-            '"' + field_name + '_Stats" : {' +
-                '"stats" : {' +
-                    '"field" : "' + field_name + '"' +
-                '}' +
-            '},' +
-            '"Minimum_' + field_name + '": {' +
-                '"top_hits": {' +
-                    '"size": 1,' +
-                    '"sort": [' +
-                        '{' +
-                            '"' + field_name + '": {' +
-                                '"order": "asc"' +
-                            '}' +
-                        '}' +
-                    ']' +
-                '}' +
-            '},' +
-            '"Maximum_' + field_name + '": {' +
-                '"top_hits": {' +
-                    '"size": 1,' +
-                    '"sort": [' +
-                        '{' +
-                            '"' + field_name + '": {' +
-                                '"order": "desc"' +
-                            '}' +
-                        '}' +
-                    ']' +
-                '}' +
-            '}' +
-        '}' +
-    '}';
+/*
+ * Stores the items ({ workflow, task, experiment, sample }), hands the stored
+ * samples to streaming clients and Prometheus and updates the lifecycle of
+ * their experiments; calls back with the results of storage.addSamples.
+ */
+function store(req, items, callback) {
+    ingest.store(req.app.get('storage'), req.app.get('config').experiments, items, callback);
+}
+
+/*
+ * Maps a point of the line protocol onto an item of storage.addSamples, the
+ * parameters naming workflow, task and experiment of points without these
+ * tags; returns { error } if the point lacks them or sets reserved fields.
+ */
+function to_item(point, params, server_timestamp) {
+    var tags = point.tags,
+      workflow = tags.workflow || params.workflow,
+      experiment = tags.experiment || params.experiment,
+      sample = {},
+      names = Object.keys(tags).concat(Object.keys(point.fields));
+
+    if (typeof workflow === 'undefined' || typeof experiment === 'undefined') {
+        return { error: "The tags or parameters workflow and experiment are missing." };
+    }
+    for (var i = 0; i != names.length; ++i) {
+        if (reserved_fields.indexOf(names[i]) !== -1) {
+            return { error: "The tag or field '" + names[i] + "' is reserved." };
+        }
+    }
+    sample.type = point.measurement;
+    if (typeof tags.host !== 'undefined') {
+        sample.host = tags.host;
+    }
+    Object.keys(tags).forEach(function(name) {
+        if (point_tags.indexOf(name) === -1) {
+            sample[name] = tags[name];
+        }
+    });
+    Object.keys(point.fields).forEach(function(name) {
+        sample[name] = point.fields[name];
+    });
+    sample.server_timestamp = server_timestamp;
+    sample.local_timestamp = point.time === null ? server_timestamp :
+        dateFormat(new Date(point.time), "yyyy-mm-dd'T'HH:MM:ss.l");
+    return {
+        workflow: String(workflow).toLowerCase(),
+        task: String(tags.task || params.task || 'all').toLowerCase(),
+        experiment: String(experiment),
+        sample: sample
+    };
+}
+
+/* the message of an error of the storage, which Elasticsearch reports as { type, reason } */
+function describe_error(error) {
+    return typeof error === 'object' && error !== null ? String(error.reason || error.message || JSON.stringify(error)) : String(error);
 }
 
-function isEmpty(obj) {
-  for(var key in obj) {
-    if(obj.hasOwnProperty(key))
-      return false;
-  }
-  return true;
+/*
+ * Looks up the experiments of the items ({ workflow, experiment }), once per
+ * workflow and experiment, and calls back with the problem of every item:
+ * null if its experiment is registered for its workflow.
+ */
+function check_experiments(storage, items, callback) {
+    var found = Object.create(null),
+        pairs = [];
+
+    items.forEach(function(item) {
+        var key = experiment_key(item);
+        if (!(key in found)) {
+            found[key] = false;
+            pairs.push(item);
+        }
+    });
+    async.each(pairs, function(item, callback) {
+        storage.getExperiment(item.workflow, item.experiment, function(error, experiment) {
+            found[experiment_key(item)] = !error && experiment !== null;
+            callback(error || null);
+        });
+    }, function(error) {
+        if (error) {
+            return callback(error);
+        }
+        callback(null, items.map(function(item) {
+            if (found[experiment_key(item)]) {
+                return null;
+            }
+            return "The experiment '" + item.experiment + "' of the workflow '" + item.workflow + "' is not registered.";
+        }));
+    });
+}
+
+function experiment_key(item) {
+    return JSON.stringify([ item.workflow, item.experiment ]);
+}
+
+/*
+ * Rejects the request if it carries an ingest token of an experiment and one
+ * of the given samples belongs to another workflow or experiment. Samples
+ * may carry their index in the request for the error message.
+ */
+function check_scope(req, res, samples) {
+    var scope = auth.scope(req),
+        json = {};
+
+    if (scope === null) {
+        return true;
+    }
+    if (scope === false) {
+        res.status(401);
+        json.error = "Invalid or expired ingest token.";
+        res.json(json);
+        return false;
+    }
+    for (var i = 0; i != samples.length; ++i) {
+        if (String(samples[i].workflow).toLowerCase() !== scope.workflow ||
+            samples[i].experiment !== scope.experiment) {
+            res.status(403);
+            json.error = "Sample " + (typeof samples[i].index !== 'undefined' ? samples[i].index : i) + " of workflow '" + samples[i].workflow + "' and experiment '" +
+                samples[i].experiment + "' does not match the ingest token.";
+            res.json(json);
+            return false;
+        }
+    }
+    return true;
 }
 
 module.exports = router;
@@ -2,6 +2,11 @@ var express = require('express');
 var dateFormat = require('dateformat');
 var router = express.Router();
 var async = require('async');
+var downsample = require('../../lib/downsample');
+var exporter = require('../../lib/export');
+
+/* leading columns of exported samples, the metrics follow sorted by name */
+var sample_fields = [ 'local_timestamp', 'server_timestamp', '@timestamp', 'host', 'type', 'TaskID' ];
 
 /**
  * @api {get} /profiles/:workflowID 1. Get a list of the profiled tasks and experiments with given workflow ID
@@ -48,82 +53,39 @@ var async = require('async');
  *     }
  */
 router.get('/:workID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
       mf_server = req.app.get('mf_server'),
       workflow = req.params.workID.toLowerCase(),
       json = {};
 
-    client.indices.getSettings({
-        index: workflow + '*',
-    }, function(error, response) {
+    storage.getTasks(workflow, function(error, tasks) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        if (response !== undefined) {
-            var results = Object.keys(response);
-
-            async.map(results, function(index, callback) {
-                var task = index;
-                task = task.replace(workflow + '_', '');
-                // please remove for production mode
-                if (task.indexOf("2015") > -1) {
-                    return callback(null, json);
-                }
-
-                client.indices.getMapping({
-                    index: index,
-                }, function(error, response) {
-                    if (error === undefined) {
-                        var mappings = response[index].mappings;
-                        mappings = Object.keys(mappings);
-                        if (json[task] === undefined) {
-                            json[task] = {};
-                        }
-                        for (var i in mappings) {
-                            var item = {};
-                            // remove in prod. mode
-                            if (typeof task !== 'undefined') {
-                                item.href = mf_server + '/phantom_mf/profiles/' + workflow + '/' + task + '/' + mappings[i];
-                                json[task][mappings[i]] = item;
-                            } else {
-                                item.href = mf_server +  '/phantom_mf/profiles/' + workflow + '/' + mappings[i];
-                                json[mappings[i]] = item;
-                            }
-                        }
-                        return callback(null, json);
-                    } else {
-                        json.error = error;
-                    }
-                });
-            }, function(err, results) {
-                // remove in production mode
-                if (typeof results[0] == 'undefined') {
-                    res.status(500);
-                    var msg = {};
-                    msg.error = "No results found.";
-                    res.json(msg);
-                } else {
-                    for (var key in results[0]) {
-                        if (isEmpty(results[0][key])) {
-                            delete results[0][key];
-                        }
-                    }
-                    res.json(results[0]);
-                }
-            });
+        for (var task in tasks) {
+            var experiments = tasks[task];
+            if (experiments.length === 0) {
+                continue;
+            }
+            json[task] = {};
+            for (var i in experiments) {
+                var item = {};
+                item.href = mf_server + '/phantom_mf/profiles/' + workflow + '/' + task + '/' + experiments[i];
+                json[task][experiments[i]] = item;
+            }
+        }
+        if (isEmpty(json)) {
+            res.status(500);
+            var msg = {};
+            msg.error = "No results found.";
+            res.json(msg);
+        } else {
+            res.json(json);
         }
     });
 });
 
-function isEmpty(obj) {
-    var name;
-    for (name in obj) {
-        return false;
-    }
-    return true;
-}
-
 /**
  * @api {get} /profiles/:workflowID/:taskID 2. Get a list of the profiled experiments with given workflow ID and task ID
  * @apiVersion 1.0.0
@@ -139,6 +101,7 @@ function isEmpty(obj) {
  * @apiSuccess {Object} date                    Date, when the task is registered
  * @apiSuccess {Object} date.experimentID       Identifier of an experiment
  * @apiSuccess {String} date.experimentID.href  Link to the experiment
+ * @apiSuccess {Number} date.experimentID.workflow_version  Version of the workflow the experiment ran with
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -170,75 +133,57 @@ function isEmpty(obj) {
  *     }
  */
 router.get('/:workID/:taskID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
       workflow = req.params.workID.toLowerCase(),
       task = req.params.taskID.toLowerCase(),
       mf_server = req.app.get('mf_server'),
-      size = 1000,
       json = {};
 
-    // assign default taskID when application has no workflow
-    if (!is_defined(task)) {
-        res.status(500);
-        json.error = "Task not found";
-        res.json(json);
-        return;
-    }
-    var index = workflow + '_' + task;
-    index = index.toLowerCase();
-
-    client.indices.getMapping({
-        index: index,
-    }, function(error, response) {
+    storage.getTasks(workflow, function(error, tasks) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        if (response !== undefined) {
-            var mappings = response[index].mappings;
-            mappings = Object.keys(mappings);
-            async.map(mappings, function(experimentID, callback) {
-                client.get({
-                    index: 'mf',
-                    type: 'experiments',
-                    id: experimentID,
-                    parent: workflow
-                }, function(error, response) {
-                    if (response.found) {
-                        var result = response._source,
-                          timestamp = result.timestamp,
-                          href = mf_server + '/phantom_mf/profiles/' + workflow + '/' + task + '/' + experimentID;
-                        var element = {};
-                        element.href = href;
-                        if (typeof timestamp !== 'undefined') {
-                            timestamp = timestamp.split('-')[0];
-                            timestamp = timestamp.replace(/\./g, '-');
-                            if (json[timestamp] === undefined) {
-                                json[timestamp] = {};
-                            }
-                        } else if (typeof result['@timestamp'] !== 'undefined') {
-                            timestamp = result['@timestamp'].split('T')[0];
-                            if (json[timestamp] === undefined) {
-                                json[timestamp] = {};
-                            }
-                        }
-                        json[timestamp][experimentID] = element;
-                    } else {
-                        json.error = error;
-                    }
-                    return callback(null, json);
-                });
-            }, function(err, results) {
-                if (typeof results[0] == 'undefined') {
-                    res.status(500);
-                    var msg = {};
-                    msg.error = "No results found.";
-                    res.json(msg);
-                } else {
-                    res.json(results[0]);
+        var experiments = tasks[task] || [];
+        async.each(experiments, function(experimentID, callback) {
+            storage.getExperiment(workflow, experimentID, function(error, result) {
+                if (error) {
+                    return callback(error);
+                }
+                if (!result) {
+                    return callback(null);
                 }
+                var timestamp = result.timestamp,
+                  href = mf_server + '/phantom_mf/profiles/' + workflow + '/' + task + '/' + experimentID;
+                var element = {};
+                element.href = href;
+                element.workflow_version = result.workflow_version;
+                if (typeof timestamp !== 'undefined') {
+                    timestamp = timestamp.split('-')[0];
+                    timestamp = timestamp.replace(/\./g, '-');
+                } else if (typeof result['@timestamp'] !== 'undefined') {
+                    timestamp = result['@timestamp'].split('T')[0];
+                }
+                if (json[timestamp] === undefined) {
+                    json[timestamp] = {};
+                }
+                json[timestamp][experimentID] = element;
+                callback(null);
             });
-        }
+        }, function(err) {
+            if (err) {
+                res.status(500);
+                return next(err);
+            }
+            if (isEmpty(json)) {
+                res.status(500);
+                var msg = {};
+                msg.error = "No results found.";
+                res.json(msg);
+            } else {
+                res.json(json);
+            }
+        });
     });
 });
 
@@ -248,14 +193,35 @@ router.get('/:workID/:taskID', function(req, res, next) {
  * @apiName GetProfilesExperiment
  * @apiGroup Profiles
  *
+ * @apiDescription Returns every sample of the time range, or, if any of
+ * interval, agg and points is given, one series per host and metric with a
+ * value per time bucket. Without an interval, it is chosen such that each
+ * series has at most the given number of points (default 500). Buckets start
+ * at multiples of the interval and are left out if they hold no values.
+ *
+ * With the format parameter or an Accept header of text/csv,
+ * application/x-ndjson or application/vnd.apache.arrow.stream, the samples
+ * are streamed as they are read, as CSV, newline-delimited JSON or an Arrow
+ * IPC stream: in the wide layout a row per sample (or per host and bucket)
+ * with a column per metric, in the long layout a row per metric value with
+ * the columns metric and value.
+ *
  * @apiParam {String} workflowID      Identifier of a workflow
  * @apiParam {String} taskID          Identifier of a registered task
  * @apiParam {String} experimentID    Identifier of an experiment
  * @apiParam {String} [from]          Time filter, starting point of the metrics collection time (if not given, starting point is 5 min from current time)
  * @apiParam {String} [to]            Time filter, ending point of the metrics collection time (if not given, ending point is the current time)
+ * @apiParam {String} [interval]      Length of the time buckets, e.g. 500ms, 30s, 5m, 1h or 1d
+ * @apiParam {String="avg","min","max","sum","last","p95"} [agg=avg]  Aggregation of the values of a bucket
+ * @apiParam {Number{1-5000}} [points=500]  Target number of points per series if no interval is given
+ * @apiParam {String} [metrics]       Comma-separated metrics of the series (default: all numeric fields)
+ * @apiParam {String="json","csv","ndjson","arrow"} [format]  Format of the response, else chosen by the Accept header
+ * @apiParam {String="wide","long"} [layout=wide]  Layout of CSV, NDJSON and Arrow: a column or a row per metric
  *
  * @apiExample {curl} Example usage:
  *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/dummy/t1/AVSbT0ChGMPeuCn4QYjq
+ *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/dummy/t1/AVSbT0ChGMPeuCn4QYjq?from=2016-05-10T17:00:00&to=2016-05-10T19:00:00&agg=max'
+ *     curl -H 'Accept: text/csv' 'http://mf.excess-project.eu:3033/v1/phantom_mf/profiles/dummy/t1/AVSbT0ChGMPeuCn4QYjq?from=2016-05-10T17:00:00&to=2016-05-10T19:00:00'
  *
  * @apiSuccess {Object} Metrics                     Measurements of an experiment based on the system
  * @apiSuccess {String} Metrics.local_timestamp     Local time, when the metric data is collected
@@ -291,7 +257,43 @@ router.get('/:workID/:taskID', function(req, res, next) {
  *         }
  *     ]
  *
+ * @apiSuccess (Downsampled) {String} from          Starting point of the time range
+ * @apiSuccess (Downsampled) {String} to            Ending point of the time range
+ * @apiSuccess (Downsampled) {String} interval      Length of the time buckets
+ * @apiSuccess (Downsampled) {String} agg           Aggregation of the values of a bucket
+ * @apiSuccess (Downsampled) {Object} series        Series per host and metric
+ * @apiSuccess (Downsampled) {Object[]} series.host.metric  Buckets of a metric of a host
+ * @apiSuccess (Downsampled) {String} series.host.metric.timestamp  Start of the bucket (local_timestamp)
+ * @apiSuccess (Downsampled) {Number} series.host.metric.value      Aggregated value
+ * @apiSuccess (Downsampled) {Number} series.host.metric.count      Number of values in the bucket
+ *
+ * @apiSuccessExample Downsampled-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "from": "2016-05-10T17:00:00.000",
+ *       "to": "2016-05-10T19:00:00.000",
+ *       "interval": "15s",
+ *       "agg": "max",
+ *       "series": {
+ *         "node01.excess-project.eu": {
+ *           "DRAM_POWER:PACKAGE0": [
+ *             { "timestamp": "2016-05-10T17:35:45.000", "value": 1.571, "count": 12 },
+ *             { "timestamp": "2016-05-10T17:36:00.000", "value": 1.602, "count": 15 }
+ *           ]
+ *         }
+ *       }
+ *     }
+ *
+ * @apiSuccessExample CSV-Response:
+ *     HTTP/1.1 200 OK
+ *     Content-Type: text/csv; charset=utf-8
+ *
+ *     local_timestamp,server_timestamp,host,type,DRAM_ENERGY:PACKAGE0,DRAM_POWER:PACKAGE0,MemFree,MemTotal
+ *     2016-05-10T17:35:59.576,2016-05-10T17:36:01.541,node01.excess-project.eu,energy,1.5715,1.571,,
+ *     2016-05-10T17:35:59.708,2016-05-10T17:36:01.541,node01.excess-project.eu,memory,,,31720604,32771284
+ *
  * @apiError InternalSeverError No results found.
+ * @apiError BadRequest The interval, agg, points, format or layout parameter is invalid.
  *
  * @apiErrorExample Error-Response:
  *     HTTP/1.1 500 Internal Sever Error
@@ -300,87 +302,221 @@ router.get('/:workID/:taskID', function(req, res, next) {
  *     }
  */
 router.get('/:workID/:taskID/:expID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
       workflow = req.params.workID.toLowerCase(),
       task = req.params.taskID.toLowerCase(),
       experiment = req.params.expID,
-      filter = req.query.filter,
       from = req.query.from,
       to = req.query.to,
-      size = 1000,
+      requested = exporter.negotiate(req),
       json = [];
 
-    var index = workflow + '_' + task;
+    if (is_defined(requested.error)) {
+        res.status(400);
+        return res.json({ error: requested.error });
+    }
 
     /* if from or to timestamps are not given:
        get the metrics in the last 5 minutes */
     if (!is_defined(from) || !is_defined(to)) {
-        time_now = new Date();
+        var time_now = new Date();
         to = dateFormat(time_now, "yyyy-mm-dd'T'HH:MM:ss.l");
         from = dateFormat(new Date(time_now.valueOf() - 5 * 60000), "yyyy-mm-dd'T'HH:MM:ss.l"); // from is 5 minutes before to
     }
 
-    var body = '{"query": {' +
-                '"filtered": {' +
-                    '"filter": {' +
-                        '"range": {' + 
-                            '"local_timestamp": {' + 
-                                '"from": "' + from + '",' + 
-                                '"to": "' + to + '"' +
-                                '}' +
-                            '}' + 
-                        '}' +
-                    '}' +
-                '}}';
+    if (downsample.is_requested(req.query)) {
+        return get_histogram(req, res, next, {
+            workflow: workflow,
+            task: task,
+            experiment: experiment,
+            from: from,
+            to: to
+        }, requested);
+    }
+    if (requested.format !== 'json') {
+        return export_samples(req, res, next, {
+            workflow: workflow,
+            task: task,
+            experiment: experiment,
+            from: from,
+            to: to
+        }, requested);
+    }
 
-    client.search({
-        index: index,
-        type: experiment,
-        body: body,
-        searchType: 'count'
-    }, function(error, response) {
+    storage.getSamples({
+        workflow: workflow,
+        task: task,
+        experiment: experiment,
+        from: from,
+        to: to
+    }, function(error, samples) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        if (response.hits !== undefined) {
-            size = response.hits.total;
+        samples.forEach(function(item) {
+            json.push(fix_timestamp(item));
+        });
+
+        if (typeof json[0] == 'undefined') {
+            res.status(500);
+            var msg = {};
+            msg.error = "No results found.";
+            res.json(msg);
+        } else {
+            res.json(json);
         }
+    });
+});
 
-        client.search({
-            index: index,
-            type: experiment,
-            body: body,
-            size: size
-        }, function(error, response) {
+/*
+ * Streams the samples as CSV, NDJSON or Arrow; the columns of CSV and Arrow
+ * are taken from the first page and the metric names of the query.
+ */
+function export_samples(req, res, next, query, requested) {
+    var storage = req.app.get('storage'),
+      writer = null;
+
+    storage.scanSamples(query, function(samples, next_page) {
+        samples = samples.map(fix_timestamp);
+        if (writer !== null) {
+            return writer.write(samples, next_page);
+        }
+        get_columns(storage, query, requested.format, samples, function(error, columns) {
             if (error) {
-                res.status(500);
-                return next(error);
-            }
-            if (response.hits !== undefined) {
-                var results = response.hits.hits,
-                  keys = Object.keys(results),
-                  item = {};
-                keys.forEach(function(key) {
-                    item = results[key]._source;
-                    if (typeof item['@timestamp'] !== 'undefined') {
-                        item['@timestamp'] = item['@timestamp'].replace(/\s/g, '0');
-                    }
-                    json.push(item);
-                });
+                return next_page(error);
             }
+            writer = exporter.create(res, requested.format, {
+                layout: requested.layout,
+                columns: columns
+            });
+            writer.write(samples, next_page);
+        });
+    }, function(error) {
+        if (writer !== null) {
+            return error ? writer.abort() : writer.end();
+        }
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        res.status(500);
+        res.json({ error: "No results found." });
+    });
+}
 
-            if (typeof json[0] == 'undefined') {
-                res.status(500);
-                var msg = {};
-                msg.error = "No results found.";
-                res.json(msg);
-            } else {
-                res.json(json);
+/*
+ * Columns of the samples of the query, null for NDJSON: the fields of the
+ * given first page and the metrics of all pages (see getMetricNames), which
+ * Elasticsearch lists for all experiments of the task.
+ */
+function get_columns(storage, query, format, samples, callback) {
+    if (format === 'ndjson') {
+        return callback(null, null);
+    }
+    storage.getMetricNames(query, function(error, names) {
+        if (error) {
+            return callback(error);
+        }
+        var types = exporter.collect_types({}, samples);
+        names.forEach(function(name) {
+            if (sample_fields.indexOf(name) === -1 && !is_defined(types[name])) {
+                types[name] = 'number';
             }
         });
+        callback(null, exporter.to_columns(types, sample_fields));
     });
-});
+}
+
+function fix_timestamp(sample) {
+    if (typeof sample['@timestamp'] !== 'undefined') {
+        sample['@timestamp'] = sample['@timestamp'].replace(/\s/g, '0');
+    }
+    return sample;
+}
+
+function get_histogram(req, res, next, query, requested) {
+    var storage = req.app.get('storage'),
+      options = downsample.parse(req.query, query.from, query.to),
+      json = {};
+
+    if (is_defined(options.error)) {
+        res.status(400);
+        json.error = options.error;
+        return res.json(json);
+    }
+    if (is_defined(req.query.metrics)) {
+        options.metrics = String(req.query.metrics).split(',');
+    }
+
+    storage.getHistogram(query, options, function(error, series) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (isEmpty(series)) {
+            res.status(500);
+            json.error = "No results found.";
+            return res.json(json);
+        }
+        if (requested.format !== 'json') {
+            return exporter.send(res, requested.format, {
+                layout: requested.layout,
+                columns: series_columns(series)
+            }, series_rows(series));
+        }
+        json.from = query.from;
+        json.to = query.to;
+        json.interval = downsample.format_interval(options.interval);
+        json.agg = options.agg;
+        json.series = series;
+        res.json(json);
+    });
+}
+
+function series_columns(series) {
+    var metrics = {};
+    Object.keys(series).forEach(function(host) {
+        Object.keys(series[host]).forEach(function(metric) {
+            metrics[metric] = 'number';
+        });
+    });
+    return [
+        { name: 'timestamp', type: 'timestamp' },
+        { name: 'host', type: 'string' }
+    ].concat(Object.keys(metrics).sort().map(function(metric) {
+        return { name: metric, type: 'number' };
+    }));
+}
+
+/* one row per host and bucket with the values of all metrics */
+function series_rows(series) {
+    var rows = [];
+    Object.keys(series).sort().forEach(function(host) {
+        var buckets = {};
+        Object.keys(series[host]).sort().forEach(function(metric) {
+            series[host][metric].forEach(function(bucket) {
+                var row = buckets[bucket.timestamp] = buckets[bucket.timestamp] || {
+                    timestamp: bucket.timestamp,
+                    host: host
+                };
+                row[metric] = bucket.value;
+            });
+        });
+        Object.keys(buckets).sort().forEach(function(timestamp) {
+            rows.push(buckets[timestamp]);
+        });
+    });
+    return rows;
+}
+
+function isEmpty(obj) {
+    var name;
+    for (name in obj) {
+        return false;
+    }
+    return true;
+}
 
 function is_defined(variable) {
     return (typeof variable !== 'undefined');
@@ -0,0 +1,47 @@
+var express = require('express');
+var prometheus = require('../../lib/prometheus');
+var router = express.Router();
+
+/**
+ * @api {get} /metrics 1. Get the latest values and ingest counters in the Prometheus text format
+ * @apiVersion 1.0.0
+ * @apiName GetPrometheusMetrics
+ * @apiGroup Prometheus
+ *
+ * @apiDescription Served at the root of the server (not below
+ * /v1/phantom_mf) for Prometheus to scrape. Exposes the latest value of
+ * every metric sent to the metrics routes of this server process as the
+ * gauge mf_sample_value, labelled with workflow, task, host, the plug-in
+ * type and the metric name; series without a new sample for
+ * prometheus.expire_after seconds are left out. The counters
+ * mf_ingest_requests_total (per route: bulk, single, influx or otlp),
+ * mf_ingest_samples_total and mf_ingest_failed_samples_total (per
+ * workflow) describe the ingest of the server. Needs the role read if
+ * authentication is enabled.
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i http://mf.excess-project.eu:3033/metrics
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     Content-Type: text/plain; version=0.0.4; charset=utf-8
+ *
+ *     # HELP mf_sample_value Latest value of a metric sent by the plug-ins.
+ *     # TYPE mf_sample_value gauge
+ *     mf_sample_value{workflow="ms2",task="t2.1",host="node01.excess-project.eu",type="power",metric="GPU0:power"} 152.427
+ *     # HELP mf_ingest_requests_total Ingest requests of the metrics routes.
+ *     # TYPE mf_ingest_requests_total counter
+ *     mf_ingest_requests_total{route="bulk"} 1802
+ *     # HELP mf_ingest_samples_total Samples stored by the metrics routes.
+ *     # TYPE mf_ingest_samples_total counter
+ *     mf_ingest_samples_total{workflow="ms2"} 90100
+ *     # HELP mf_ingest_failed_samples_total Samples the storage failed to store.
+ *     # TYPE mf_ingest_failed_samples_total counter
+ *     mf_ingest_failed_samples_total{workflow="ms2"} 3
+ */
+router.get('/', function(req, res) {
+    res.set('Content-Type', prometheus.content_type);
+    res.send(prometheus.render(req.app.get('config').prometheus));
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+var express = require('express');
+var regression = require('../../lib/regression');
+var router = express.Router();
+
+var default_limit = 20,
+    max_limit = 100;
+
+/* experiments fetched beyond the limit, as some hold no result */
+var page_headroom = 20;
+
+/**
+ * @api {get} /regressions/:workflowID 1. Get the regression analysis of a workflow
+ * @apiVersion 1.0.0
+ * @apiName GetRegressions
+ * @apiGroup Regressions
+ *
+ * @apiDescription Every experiment marked as finished is checked for
+ * performance regressions: per task, its runtime, average power and energy
+ * are compared with the rolling baseline formed by the last
+ * regressions.window experiments of the workflow that finished before it.
+ * A value deviates if its modified z-score (0.6745 times the distance to the
+ * baseline median divided by the median absolute deviation) exceeds
+ * regressions.threshold and it differs from the median by at least
+ * regressions.min_change; higher values are regressions, lower ones
+ * improvements. Returns the current baseline, which the next finished
+ * experiment is compared with, and the results of the latest experiments.
+ *
+ * @apiParam {String} workflowID   Identifier of a workflow
+ * @apiParam {Boolean} [flagged]   Only list experiments with regressions
+ * @apiParam {Number} [limit=20]   Maximum number of experiments listed (up to 100)
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/regressions/ms2?flagged=true'
+ *
+ * @apiSuccess {String} workflow                 Identifier of the workflow
+ * @apiSuccess {Object} settings                 window, min_history, threshold and min_change in effect
+ * @apiSuccess {Object} baseline                 Current baseline
+ * @apiSuccess {String[]} baseline.experiments   Experiments forming the baseline, latest first
+ * @apiSuccess {Object} baseline.tasks           Per task and indicator the median, median_absolute_deviation, mean_absolute_deviation and count of the values
+ * @apiSuccess {Object[]} experiments            Checked experiments, latest first
+ * @apiSuccess {String} experiments.id           Identifier of the experiment
+ * @apiSuccess {String} experiments.end_time     End time of the experiment
+ * @apiSuccess {Number} experiments.regressions  Number of indicators that regressed
+ * @apiSuccess {String[]} experiments.baseline   Experiments it was compared with
+ * @apiSuccess {Object} experiments.tasks        Per task and indicator the value, the baseline median, median_absolute_deviation and number of values (history), z_score, relative change and status: regression, improvement, normal or insufficient_history
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "settings": { "window": 10, "min_history": 3, "threshold": 3.5, "min_change": 0.05 },
+ *       "baseline": {
+ *         "experiments": [ "AVZ-5cqVGYwmTvCuSqZC", "AVZ-ll9FGYwmTvCuSnjW", "AVX6y9eGGYwmTvCuQp2B", "AVX6t5FbGYwmTvCuQoyD" ],
+ *         "tasks": {
+ *           "t2.1": {
+ *             "runtime": { "median": 61.2, "median_absolute_deviation": 1.1, "mean_absolute_deviation": 2.5, "count": 4 },
+ *             "power": { "median": 152.4, "median_absolute_deviation": 3.2, "mean_absolute_deviation": 3.6, "count": 4 },
+ *             "energy": { "median": 9327, "median_absolute_deviation": 305, "mean_absolute_deviation": 541, "count": 4 }
+ *           }
+ *         }
+ *       },
+ *       "experiments": [
+ *         {
+ *           "id": "AVZ-5cqVGYwmTvCuSqZC",
+ *           "end_time": "2016-08-12T13:52:31.000Z",
+ *           "analysed": "2016-08-12T13:52:31.412Z",
+ *           "regressions": 1,
+ *           "baseline": [ "AVZ-ll9FGYwmTvCuSnjW", "AVX6y9eGGYwmTvCuQp2B", "AVX6t5FbGYwmTvCuQoyD" ],
+ *           "tasks": {
+ *             "t2.1": {
+ *               "runtime": { "value": 75.4, "median": 60.8, "median_absolute_deviation": 0.9, "history": 3, "z_score": 10.9, "change": 0.24, "status": "regression" },
+ *               "power": { "value": 150.2, "median": 152.4, "median_absolute_deviation": 3.2, "history": 3, "z_score": -0.46, "change": -0.014, "status": "normal" },
+ *               "energy": { "value": 11325, "median": 9265, "median_absolute_deviation": 243, "history": 3, "z_score": 5.7, "change": 0.22, "status": "regression" }
+ *             }
+ *           }
+ *         }
+ *       ]
+ *     }
+ *
+ * @apiError WorkflowNotAvailable Given ID does not refer to a workflow.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "Workflow 'ms2' not found."
+ *     }
+ */
+router.get('/:workflowID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        settings = req.app.get('config').regressions,
+        workflow = req.params.workflowID.toLowerCase(),
+        flagged = /^(true|1|yes)$/i.test(String(req.query.flagged)),
+        limit = default_limit,
+        json = {};
+
+    if (is_defined(req.query.limit)) {
+        if (!/^[1-9][0-9]*$/.test(req.query.limit) || parseInt(req.query.limit, 10) > max_limit) {
+            res.status(400);
+            json.error = "URL parameter 'limit' must be a number between 1 and " + max_limit + ".";
+            return res.json(json);
+        }
+        limit = parseInt(req.query.limit, 10);
+    }
+
+    storage.getWorkflow(workflow, function(error, found) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (found === null) {
+            res.status(404);
+            json.error = "Workflow '" + workflow + "' not found.";
+            return res.json(json);
+        }
+        regression.get_history(storage, workflow, null, settings, function(error, history) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            get_results(storage, workflow, flagged, limit, function(error, experiments) {
+                if (error) {
+                    res.status(500);
+                    return next(error);
+                }
+                json.workflow = workflow;
+                json.settings = settings;
+                json.baseline = {
+                    experiments: history.map(function(item) {
+                        return item.id;
+                    }),
+                    tasks: regression.get_baseline(history)
+                };
+                json.experiments = experiments.map(function(item) {
+                    return Object.assign({ id: item.id, end_time: item.source.end_time }, item.source.regression);
+                });
+                res.json(json);
+            });
+        });
+    });
+});
+
+/**
+ * @api {post} /regressions/:workflowID/:experimentID 2. Check a finished experiment for regressions
+ * @apiVersion 1.0.0
+ * @apiName PostRegressions
+ * @apiGroup Regressions
+ *
+ * @apiDescription Checks a finished experiment again, e.g. one that finished
+ * before the server detected regressions, against the experiments that
+ * finished before it; stores and returns the indicators and the result.
+ *
+ * @apiParam {String} workflowID    Identifier of a workflow
+ * @apiParam {String} experimentID  Identifier of a finished experiment
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X POST http://mf.excess-project.eu:3033/v1/phantom_mf/regressions/ms2/AVZ-5cqVGYwmTvCuSqZC
+ *
+ * @apiSuccess {Object} indicators  Runtime, power and energy per task
+ * @apiSuccess {Object} regression  Result as listed by GET /regressions/:workflowID
+ *
+ * @apiError ExperimentNotAvailable Given ID does not refer to an experiment of the workflow.
+ * @apiError Conflict The experiment is not finished.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 409 Conflict
+ *     {
+ *       "error": "Only finished experiments are checked for regressions."
+ *     }
+ */
+router.post('/:workflowID/:experimentID', function(req, res, next) {
+    var storage = req.app.get('storage'),
+        settings = req.app.get('config').regressions,
+        workflow = req.params.workflowID.toLowerCase(),
+        id = req.params.experimentID,
+        json = {};
+
+    storage.getExperiment(workflow, id, function(error, experiment) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (!experiment) {
+            res.status(404);
+            json.error = "Experiment with the ID '" + id + "' not found.";
+            return res.json(json);
+        }
+        if (experiment.status !== 'finished') {
+            res.status(409);
+            json.error = "Only finished experiments are checked for regressions.";
+            return res.json(json);
+        }
+        regression.analyse(storage, workflow, id, experiment, settings, function(error, fields) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            res.json(fields);
+        });
+    });
+});
+
+/*
+ * Calls back with the latest finished experiments of the workflow holding a
+ * result, with regressions if flagged, up to limit. Pages through the
+ * experiments, as those without a result are skipped.
+ */
+function get_results(storage, workflow, flagged, limit, callback) {
+    var results = [],
+        query = {
+            workflow: workflow,
+            status: [ 'finished' ],
+            sort: { field: 'end_time', order: 'desc' },
+            size: limit + page_headroom
+        };
+
+    (function next_page() {
+        storage.getExperiments(query, function(error, experiments) {
+            if (error) {
+                return callback(error);
+            }
+            experiments.forEach(function(experiment) {
+                var result = experiment.source.regression;
+                if (results.length < limit && is_defined(result) && (!flagged || result.regressions > 0)) {
+                    results.push(experiment);
+                }
+            });
+            if (results.length >= limit || experiments.length < query.size) {
+                return callback(null, results);
+            }
+            query.after = experiments[experiments.length - 1].sort;
+            next_page();
+        });
+    })();
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
+}
+
+module.exports = router;
@@ -33,54 +33,29 @@ var router = express.Router();
  *     }
  */
 router.get('/', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
         mf_server = req.app.get('mf_server'),
-        size = 1000,
         json = {};
 
-    client.search({
-        index: 'mf',
-        type: 'resources',
-        searchType: 'count'
-    }, function(error, response) {
+    storage.getResources(function(error, resources) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        if (response.hits !== undefined) {
-            size = response.hits.total;
-        }
-        if (size === 0) {
+        if (Object.keys(resources).length === 0) {
             res.status(404);
             json.error = "No resources found.";
             res.json(json);
             return;
         }
-
-        client.search({
-            index: 'mf',
-            type: 'resources',
-            size: size
-        }, function(error, response) {
-            if (error) {
-                res.status(500);
-                return next(error);
-            }
-            if (response.hits !== undefined) {
-                var results = response.hits.hits;
-                json = get_resource(mf_server, results);
-            }
-            res.json(json);
-        });
+        res.json(get_resource(mf_server, resources));
     });
 });
 
-function get_resource(mf_server, results) {
-    var keys = Object.keys(results),
-      platform = '',
+function get_resource(mf_server, resources) {
+    var keys = Object.keys(resources),
       response = {};
-    keys.forEach(function(key) {
-        platform = results[key]._id;
+    keys.forEach(function(platform) {
         var json = {};
         json.href = mf_server + '/phantom_rm/resources/' + platform;
         response[platform] = json;
@@ -138,20 +113,21 @@ function get_resource(mf_server, results) {
  *     }
  */
 router.get('/:platformID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
       id = req.params.platformID.toLowerCase(),
       json = {};
 
-    client.get({
-        index: 'mf',
-        type: 'resources',
-        id: id
-    }, function(error, response) {
+    storage.getResource(id, function(error, resources) {
         if (error) {
-            json.error = "Resources for the platform '" + id + "' is not found.";
+            res.status(500);
+            return next(error);
+        }
+        if (resources) {
+            json = resources;
         }
         else {
-            json = response._source;
+            res.status(404);
+            json.error = "Resources for the platform '" + id + "' is not found.";
         }
         res.json(json);
     });
@@ -212,15 +188,10 @@ router.get('/:platformID', function(req, res, next) {
 router.put('/:platformID', function(req, res, next) {
     var mf_server = req.app.get('mf_server'),
       id = req.params.platformID.toLowerCase(),
-      client = req.app.get('elastic'),
+      storage = req.app.get('storage'),
       json = {};
 
-    client.index({
-        index: 'mf',
-        type: 'resources',
-        id: id,
-        body: req.body
-    },function(error, response) {
+    storage.putResource(id, req.body, function(error) {
         if (error) {
             res.status(500);
             return next(error);
@@ -1,5 +1,7 @@
 var express = require('express');
 var async = require('async');
+var energy = require('../../lib/energy');
+var workflow_graph = require('../../lib/workflow');
 var router = express.Router();
 
 /**
@@ -8,6 +10,13 @@ var router = express.Router();
  * @apiName GetRuntimeByExperiment
  * @apiGroup Runtime
  *
+ * @apiDescription Besides the runtime, returns the energy to solution
+ * integrated from the power metrics of the samples (see lib/energy) per task,
+ * host and experiment, the average power and the energy-delay product, and
+ * the value the optimization criterion of the workflow minimizes: the
+ * runtime for time, the energy for energy, the energy-delay product for
+ * balanced. Energy values are null without power metrics.
+ *
  * @apiParam {String} workflowID    Identifier of a workflow
  * @apiParam {String} experimentID  Identifier of an experiment
  *
@@ -15,6 +24,7 @@ var router = express.Router();
  *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/runtime/ms2/AVZ-5cqVGYwmTvCuSqZC
  *
  * @apiSuccess {String} workflow           Identifier of the workflow
+ * @apiSuccess {Number} workflow_version   Version of the workflow the experiment ran with
  * @apiSuccess {String} start              Start local timestamp of the entire experiment
  * @apiSuccess {String} end                End local timestamp of the entire experiment
  * @apiSuccess {String} total_runtime      Duration of the entire experiment in seconds
@@ -24,6 +34,16 @@ var router = express.Router();
  * @apiSuccess {String} tasks.data.start   Start local timestamp of the task
  * @apiSuccess {String} tasks.data.end     End local timestamp of the task
  * @apiSuccess {String} tasks.data.runtime Duration of the task in seconds
+ * @apiSuccess {Number} tasks.data.energy  Energy to solution of the task in joules
+ * @apiSuccess {Number} tasks.data.average_power         Energy divided by runtime in watts
+ * @apiSuccess {Number} tasks.data.energy_delay_product  Energy times runtime in joule-seconds
+ * @apiSuccess {Object} tasks.data.hosts   Per host the energy, the average_power over the time covered by samples and the gaps in seconds left out of the integration
+ * @apiSuccess {Number} total_energy       Energy to solution of the entire experiment in joules
+ * @apiSuccess {Number} average_power      Total energy divided by the total runtime in watts
+ * @apiSuccess {Number} energy_delay_product  Total energy times the total runtime in joule-seconds
+ * @apiSuccess {Object} hosts              Per host the energy and the gaps of all tasks
+ * @apiSuccess {String} optimization       Optimization criterion of the workflow: time, energy or balanced
+ * @apiSuccess {Number} objective          Value minimized by the optimization criterion, null if unknown
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -36,7 +56,13 @@ var router = express.Router();
  *              "data": {
  *                 "start": "2016-08-12T15:20:40.631",
  *                 "end": "2016-08-12T15:21:22.205",
- *                 "runtime": 41.574
+ *                 "runtime": 41.574,
+ *                 "energy": 6312.4,
+ *                 "average_power": 151.84,
+ *                 "energy_delay_product": 262433.7,
+ *                 "hosts": {
+ *                    "node01.excess-project.eu": { "energy": 6312.4, "average_power": 152.02, "gaps": 0 }
+ *                 }
  *              }
  *           },
  *           {
@@ -44,14 +70,28 @@ var router = express.Router();
  *              "data": {
  *                 "start": "2016-08-12T15:21:46.975",
  *                 "end": "2016-08-12T15:22:25.983",
- *                 "runtime": 39.008
+ *                 "runtime": 39.008,
+ *                 "energy": 5790.1,
+ *                 "average_power": 148.43,
+ *                 "energy_delay_product": 225860.2,
+ *                 "hosts": {
+ *                    "node01.excess-project.eu": { "energy": 5790.1, "average_power": 149.1, "gaps": 0.5 }
+ *                 }
  *              }
  *           },
  *           ...
  *        ],
  *        "start": "2016-08-12T15:17:46.731",
  *        "end": "2016-08-12T15:25:30.452",
- *        "total_runtime": 463.721
+ *        "total_runtime": 463.721,
+ *        "total_energy": 68120.5,
+ *        "average_power": 146.9,
+ *        "energy_delay_product": 31588900.4,
+ *        "hosts": {
+ *           "node01.excess-project.eu": { "energy": 68120.5, "gaps": 0.5 }
+ *        },
+ *        "optimization": "energy",
+ *        "objective": 68120.5
  *     }
  *
  * @apiError InternalServerError No results found.
@@ -63,118 +103,92 @@ var router = express.Router();
  *     }
  */
 router.get('/:workID/:expID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
         workflow = req.params.workID,
-        experiment = req.params.expID,
-        size = 1000,
-        json = [];
+        experiment = req.params.expID;
 
     workflow = workflow.toLowerCase();
 
-    client.get({
-        index: 'mf',
-        type: 'workflows',
-        id: workflow
-    }, function(err, result) {
+    /* the task list of the workflow version the experiment ran with */
+    workflow_graph.load_for_experiment(storage, workflow, experiment, function(err, result, found) {
         if (err) {
             res.status(500);
             return next(err);
         }
-        if (result !== undefined) {
-            var es_result = {};
-            es_result.workflow = workflow;
-            var earliest_start = "2200-01-01T00:00:00.000";
-            var latest_end = 0;
-
-            var tasks = result._source.tasks;
-            es_result.tasks = [];
-            async.each(tasks, function(task, callback) {
-                    task = task.name;
-                    var resource = workflow + "_" + task;
-                    resource = resource.toLowerCase();
-
-                    client.search({
-                        index: resource,
-                        type: experiment,
-                        size: 1,
-                        sort: ["local_timestamp:asc"],
-                    }, function(err, result) {
-                        var start;
-                        var end;
-
-                        if (err) {
-                            res.status(500);
-                            return next(err);
-                        } else {
-                            if (result.hits !== undefined) {
-                                var only_results = result.hits.hits;
-                                var keys = Object.keys(only_results);
-                                keys.forEach(function(key) {
-                                    var metric_data = only_results[key]._source;
-                                    start = metric_data['local_timestamp'];
-                                    start = start.replace(/\s/g, '0');
-                                    if (new Date(start) < new Date(earliest_start)) {
-                                        earliest_start = start;
-                                    }
-                                });
-                            }
-                        }
-
-                        client.search({
-                            index: resource,
-                            type: experiment,
-                            size: 1,
-                            sort: ["local_timestamp:desc"],
-                        }, function(err, result) {
-                            var hostname;
+        if (!result) {
+            res.status(404);
+            res.json({ error: "Workflow with the ID '" + workflow + "' not found." });
+            return;
+        }
+        var es_result = {};
+        es_result.workflow = workflow;
+        if (found) {
+            es_result.workflow_version = found.workflow_version;
+        }
+        var earliest_start = "2200-01-01T00:00:00.000";
+        var latest_end = 0;
+        var measured = [];
 
-                            if (err) {
-                                res.status(500);
-                                return next(err);
-                            } else {
-                                if (result.hits !== undefined) {
-                                    var only_results = result.hits.hits;
-                                    var keys = Object.keys(only_results);
-                                    keys.forEach(function(key) {
-                                        var metric_data = only_results[key]._source;
-                                        host = metric_data.host;
-                                        end = metric_data['local_timestamp'];
-                                        end = end.replace(/\s/g, '0');
-                                        if (new Date(end) > new Date(latest_end)) {
-                                            latest_end = end;
-                                        }
-                                    });
-                                }
-                            }
+        var tasks = result.tasks || [];
+        es_result.tasks = [];
+        async.each(tasks, function(task, callback) {
+                task = task.name;
+                energy.get_task_energy(storage, workflow, task.toLowerCase(), experiment, function(err, data) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    if (typeof data.start !== 'undefined' &&
+                        new Date(data.start) < new Date(earliest_start)) {
+                        earliest_start = data.start;
+                    }
+                    if (typeof data.end !== 'undefined' &&
+                        new Date(data.end) > new Date(latest_end)) {
+                        latest_end = data.end;
+                    }
 
-                            var json = {};
-                            json.task = task;
-                            json.host = hostname;
-                            json.data = {};
-                            json.data.start = start;
-                            json.data.end = end;
-                            json.data.runtime = ((new Date(end) - new Date(start))) / 1000;
-                            if (!json.data.runtime) {
-                                json.data.runtime = 0;
-                            }
-                            es_result.tasks.push(json);
+                    var json = {};
+                    json.task = task;
+                    json.host = data.host;
+                    json.data = {};
+                    json.data.start = data.start;
+                    json.data.end = data.end;
+                    json.data.runtime = data.runtime;
+                    json.data.energy = data.energy;
+                    json.data.average_power = data.average_power;
+                    json.data.energy_delay_product = data.energy_delay_product;
+                    json.data.hosts = data.hosts;
+                    es_result.tasks.push(json);
+                    measured.push(data);
 
-                            callback();
-                        });
-                    });
-                },
-                function(err) {
-                    var total_runtime = ((new Date(latest_end) - new Date(earliest_start))) / 1000;
-                    es_result.start = earliest_start;
-                    es_result.end = latest_end;
-                    es_result.total_runtime = total_runtime;
-                    res.send(es_result);
+                    callback();
+                });
+            },
+            function(err) {
+                if (err) {
+                    res.status(500);
+                    return next(err);
                 }
-            );
-        } else {
-            res.status(500);
-            return next(err);
-        }
+                var total_runtime = ((new Date(latest_end) - new Date(earliest_start))) / 1000;
+                es_result.start = earliest_start;
+                es_result.end = latest_end;
+                es_result.total_runtime = total_runtime;
+
+                var total_energy = null;
+                measured.forEach(function(data) {
+                    if (data.energy !== null) {
+                        total_energy = (total_energy || 0) + data.energy;
+                    }
+                });
+                var derived = energy.derive(total_energy, total_runtime);
+                es_result.total_energy = total_energy;
+                es_result.average_power = derived.average_power;
+                es_result.energy_delay_product = derived.energy_delay_product;
+                es_result.hosts = energy.sum_hosts(measured);
+                es_result.optimization = result.optimization || null;
+                es_result.objective = energy.objective(result.optimization, total_runtime, total_energy);
+                res.send(es_result);
+            }
+        );
     });
 });
 
@@ -195,6 +209,10 @@ router.get('/:workID/:expID', function(req, res, next) {
  * @apiSuccess {String} end       End timestamp of the specific task and experiment
  * @apiSuccess {String} runtime   Duration of the experiment in seconds
  * @apiSuccess {String} host      Hostname of the system
+ * @apiSuccess {Number} energy    Energy to solution integrated from the power metrics in joules, null without power metrics
+ * @apiSuccess {Number} average_power         Energy divided by runtime in watts
+ * @apiSuccess {Number} energy_delay_product  Energy times runtime in joule-seconds
+ * @apiSuccess {Object} hosts     Per host the energy, the average_power over the time covered by samples and the gaps in seconds left out of the integration
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -202,7 +220,13 @@ router.get('/:workID/:expID', function(req, res, next) {
  *          "start":"2016-05-10T17:35:49.125",
  *          "end":"2016-05-10T17:36:01.749",
  *          "runtime":12.624000072479248,
- *          "host":"node01.excess-project.eu"
+ *          "host":"node01.excess-project.eu",
+ *          "energy":1905.2,
+ *          "average_power":150.92,
+ *          "energy_delay_product":24051.2,
+ *          "hosts":{
+ *             "node01.excess-project.eu":{ "energy":1905.2, "average_power":150.92, "gaps":0 }
+ *          }
  *     }
  *
  * @apiError InternalSeverError No results found.
@@ -214,76 +238,26 @@ router.get('/:workID/:expID', function(req, res, next) {
  *     }
  */
 router.get('/:workID/:taskID/:expID', function(req, res, next) {
-    var client = req.app.get('elastic'),
+    var storage = req.app.get('storage'),
         workflow = req.params.workID.toLowerCase(),
         task = req.params.taskID.toLowerCase(),
         experiment = req.params.expID;
 
-    var index = workflow + '_' + task;
-
-    return client.search({
-        index: index,
-        type: experiment,
-        size: 1,
-        sort: ["local_timestamp:asc"],
-    }, function(err, result) {
-        var start;
-        var end;
-        var start_original;
-        var end_original;
-
+    energy.get_task_energy(storage, workflow, task, experiment, function(err, data) {
         if (err) {
             res.status(500);
             return next(err);
-        } else {
-            if (result.hits !== undefined) {
-                var only_results = result.hits.hits;
-                var keys = Object.keys(only_results);
-                keys.forEach(function(key) {
-                    var metric_data = only_results[key]._source;
-                    start = metric_data['local_timestamp'];
-                    start_original = start;
-                    start = start.replace(/\s/g, '0');
-                    start = new Date(start);
-                    start = start.getTime() / 1000;
-                });
-            }
         }
-
-        client.search({
-            index: index,
-            type: experiment,
-            size: 1,
-            sort: ["local_timestamp:desc"],
-        }, function(err, result) {
-            var host;
-            var response;
-            if (err) {
-                res.status(500);
-                return next(err);
-            } else {
-                if (result.hits !== undefined) {
-                    var only_results = result.hits.hits;
-                    var keys = Object.keys(only_results);
-                    keys.forEach(function(key) {
-                        var metric_data = only_results[key]._source;
-                        host = metric_data.host;
-                        end = metric_data['local_timestamp'];
-                        end_original = end;
-                        end = end.replace(/\s/g, '0');
-                        end = new Date(end);
-                        end = end.getTime() / 1000;
-                    });
-                }
-            }
-
-            response = {};
-            response.start = start_original;
-            response.end = end_original;
-            response.runtime = (end - start);
-            response.host = host;
-            res.send(response);
-        });
+        var response = {};
+        response.start = data.start_original;
+        response.end = data.end_original;
+        response.runtime = data.runtime;
+        response.host = data.host;
+        response.energy = data.energy;
+        response.average_power = data.average_power;
+        response.energy_delay_product = data.energy_delay_product;
+        response.hosts = data.hosts;
+        res.send(response);
     });
 });
 
@@ -1,6 +1,20 @@
 var express = require('express');
+var exporter = require('../../lib/export');
 var router = express.Router();
 
+var max_percentiles = 20;
+
+/* fields of the samples, then calendar intervals by local_timestamp */
+var group_dimensions = [ 'host', 'task', 'experiment', 'type', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year' ];
+
+var max_dimensions = 4;
+
+/* per histogram */
+var max_bins = 1000;
+
+/* of the extended statistics, as exported to CSV, NDJSON and Arrow */
+var exported_statistics = [ 'count', 'min', 'max', 'avg', 'sum', 'sum_of_squares', 'variance', 'std_deviation' ];
+
 /**
  * @api {get} /statistics/:workflowID 1. Get statistics of a metric across all tasks and experiments with given workflow ID
  * @apiVersion 1.0.0
@@ -12,9 +26,17 @@ var router = express.Router();
  * @apiParam {String} [host]        Hostname of the system, e.g., host=node01
  * @apiParam {String} [from]        Start time of the statistics, e.g., from=2016-05-10T17:35:57.610
  * @apiParam {String} [to]          End time of the statistics, e.g., to=2016-05-10T17:35:57.610
+ * @apiParam {String} [percentiles] Comma-separated percentiles to compute, e.g., percentiles=50,95,99.9
+ * @apiParam {Boolean} [mad]        Whether to compute the median absolute deviation
+ * @apiParam {String} [histogram]   Histogram of the values, either 'auto' or the width of the bins
+ * @apiParam {Number{1-1000}} [bins] Number of bins of an automatic histogram (default: Freedman-Diaconis rule)
+ * @apiParam {String} [group_by]    Comma-separated dimensions to group the statistics by, nested in the given order: host, task, experiment, type, or a calendar interval of minute, hour, day, week, month, quarter and year
+ * @apiParam {String="json","csv","ndjson","arrow"} [format]  Format of the response, else chosen by the Accept header; histograms are only available as JSON
+ * @apiParam {String="wide","long"} [layout=wide]  Layout of CSV, NDJSON and Arrow: a row per metric (and group), or per statistic
  *
  * @apiExample {curl} Example usage:
  *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/statistics/ms2?metric=CPU0:core1'
+ *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/statistics/ms2?metric=power&group_by=host,task'
  *
  * @apiSuccess {Object} workflow                     workflow-related data
  * @apiSuccess {String} workflow.href                link to the stored workflow information
@@ -45,6 +67,14 @@ var router = express.Router();
  * @apiSuccess {String} max.TaskID                   identifier of the task
  * @apiSuccess {String} max.type                     type of plug-in the metric is associated with
  * @apiSuccess {String} max.metric                   metric value associated with a given metric name
+ * @apiSuccess {Number} coefficient_of_variation     standard deviation relative to the average, null if the average is 0
+ * @apiSuccess {Object} [percentiles]                requested percentiles of the metric, e.g., percentiles.95
+ * @apiSuccess {Number} [median_absolute_deviation]  median of the absolute deviations from the median
+ * @apiSuccess {Object} [histogram]                  distribution of the metric values
+ * @apiSuccess {Number} histogram.interval           width of the bins
+ * @apiSuccess {Object[]} histogram.buckets          bins with their bounds (from, to) and number of values (count)
+ * @apiSuccess {String[]} [group_by]                dimensions of the groups
+ * @apiSuccess {Object} [groups]                     statistics per group, nested by dimension, e.g., groups.node01.t1.statistics; calendar intervals are keyed by their start
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -82,6 +112,7 @@ var router = express.Router();
  *     }
  *
  * @apiError NoResults response is empty for the metric.
+ * @apiError BadRequest The percentiles, histogram, bins, format or layout parameter is invalid.
  *
  * @apiErrorExample Error-Response:
  *     HTTP/1.1 200 OK
@@ -90,10 +121,9 @@ var router = express.Router();
  *     }
  */
 router.get('/:workflowID', function(req, res, next) {
-    var workflowID = req.params.workflowID.toLowerCase(),
-        index = workflowID + '_*';
+    var workflowID = req.params.workflowID.toLowerCase();
 
-    return handle_response(req, res, next, index);
+    return handle_response(req, res, next, { workflow: workflowID });
 });
 
 /**
@@ -108,6 +138,13 @@ router.get('/:workflowID', function(req, res, next) {
  * @apiParam {String} [host]        Hostname of the system, e.g., host=node01
  * @apiParam {String} [from]        Start time of the statistics, e.g., from=2016-05-10T17:35:57.610
  * @apiParam {String} [to]          End time of the statistics, e.g., to=2016-05-10T17:35:57.610
+ * @apiParam {String} [percentiles] Comma-separated percentiles to compute, e.g., percentiles=50,95,99.9
+ * @apiParam {Boolean} [mad]        Whether to compute the median absolute deviation
+ * @apiParam {String} [histogram]   Histogram of the values, either 'auto' or the width of the bins
+ * @apiParam {Number{1-1000}} [bins] Number of bins of an automatic histogram (default: Freedman-Diaconis rule)
+ * @apiParam {String} [group_by]    Comma-separated dimensions to group the statistics by, nested in the given order: host, task, experiment, type, or a calendar interval of minute, hour, day, week, month, quarter and year
+ * @apiParam {String="json","csv","ndjson","arrow"} [format]  Format of the response, else chosen by the Accept header; histograms are only available as JSON
+ * @apiParam {String="wide","long"} [layout=wide]  Layout of CSV, NDJSON and Arrow: a row per metric (and group), or per statistic
  *
  * @apiExample {curl} Example usage:
  *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/statistics/ms2/t1?metric=metric=CPU0:core1&from=2016-05-10T17:35:57.610&to=2016-05-10T17:36:57.610'
@@ -141,6 +178,14 @@ router.get('/:workflowID', function(req, res, next) {
  * @apiSuccess {String} max.TaskID                   identifier of the task
  * @apiSuccess {String} max.type                     type of plug-in the metric is associated with
  * @apiSuccess {String} max.metric                   metric value associated with a given metric name
+ * @apiSuccess {Number} coefficient_of_variation     standard deviation relative to the average, null if the average is 0
+ * @apiSuccess {Object} [percentiles]                requested percentiles of the metric, e.g., percentiles.95
+ * @apiSuccess {Number} [median_absolute_deviation]  median of the absolute deviations from the median
+ * @apiSuccess {Object} [histogram]                  distribution of the metric values
+ * @apiSuccess {Number} histogram.interval           width of the bins
+ * @apiSuccess {Object[]} histogram.buckets          bins with their bounds (from, to) and number of values (count)
+ * @apiSuccess {String[]} [group_by]                dimensions of the groups
+ * @apiSuccess {Object} [groups]                     statistics per group, nested by dimension, e.g., groups.node01.t1.statistics; calendar intervals are keyed by their start
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -178,6 +223,7 @@ router.get('/:workflowID', function(req, res, next) {
  *     }
  *
  * @apiError NoResults response is empty for the metric.
+ * @apiError BadRequest The percentiles, histogram, bins, format or layout parameter is invalid.
  *
  * @apiErrorExample Error-Response:
  *     HTTP/1.1 200 OK
@@ -187,10 +233,9 @@ router.get('/:workflowID', function(req, res, next) {
  */
 router.get('/:workflowID/:taskID', function(req, res, next) {
     var workflowID = req.params.workflowID.toLowerCase(),
-      taskID = req.params.taskID.toLowerCase(),
-      index = workflowID + '_' + taskID;
+      taskID = req.params.taskID.toLowerCase();
 
-    return handle_response(req, res, next, index);
+    return handle_response(req, res, next, { workflow: workflowID, task: taskID });
 });
 
 /**
@@ -206,9 +251,17 @@ router.get('/:workflowID/:taskID', function(req, res, next) {
  * @apiParam {String} [host]        Hostname of the system, e.g., host=node01
  * @apiParam {String} [from]        Start time of the statistics, e.g., from=2016-05-10T17:35:57.610
  * @apiParam {String} [to]          End time of the statistics, e.g., to=2016-05-10T17:35:57.610
+ * @apiParam {String} [percentiles] Comma-separated percentiles to compute, e.g., percentiles=50,95,99.9
+ * @apiParam {Boolean} [mad]        Whether to compute the median absolute deviation
+ * @apiParam {String} [histogram]   Histogram of the values, either 'auto' or the width of the bins
+ * @apiParam {Number{1-1000}} [bins] Number of bins of an automatic histogram (default: Freedman-Diaconis rule)
+ * @apiParam {String} [group_by]    Comma-separated dimensions to group the statistics by, nested in the given order: host, task, experiment, type, or a calendar interval of minute, hour, day, week, month, quarter and year
+ * @apiParam {String="json","csv","ndjson","arrow"} [format]  Format of the response, else chosen by the Accept header; histograms are only available as JSON
+ * @apiParam {String="wide","long"} [layout=wide]  Layout of CSV, NDJSON and Arrow: a row per metric (and group), or per statistic
  *
  * @apiExample {curl} Example usage:
  *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/statistics/ms2/t1/AVqkW4L57rO13ZBQKOWJ?metric=metric=CPU0:core1'
+ *     curl -i 'http://mf.excess-project.eu:3033/v1/phantom_mf/statistics/ms2/t1/AVqkW4L57rO13ZBQKOWJ?metric=power&percentiles=50,95,99&mad=true&histogram=auto'
  *
  * @apiSuccess {Object} workflow                     workflow-related data
  * @apiSuccess {String} workflow.href                link to the stored workflow information
@@ -239,6 +292,14 @@ router.get('/:workflowID/:taskID', function(req, res, next) {
  * @apiSuccess {String} max.TaskID                   identifier of the task
  * @apiSuccess {String} max.type                     type of plug-in the metric is associated with
  * @apiSuccess {String} max.metric                   metric value associated with a given metric name
+ * @apiSuccess {Number} coefficient_of_variation     standard deviation relative to the average, null if the average is 0
+ * @apiSuccess {Object} [percentiles]                requested percentiles of the metric, e.g., percentiles.95
+ * @apiSuccess {Number} [median_absolute_deviation]  median of the absolute deviations from the median
+ * @apiSuccess {Object} [histogram]                  distribution of the metric values
+ * @apiSuccess {Number} histogram.interval           width of the bins
+ * @apiSuccess {Object[]} histogram.buckets          bins with their bounds (from, to) and number of values (count)
+ * @apiSuccess {String[]} [group_by]                dimensions of the groups
+ * @apiSuccess {Object} [groups]                     statistics per group, nested by dimension, e.g., groups.node01.t1.statistics; calendar intervals are keyed by their start
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -277,6 +338,7 @@ router.get('/:workflowID/:taskID', function(req, res, next) {
  *
  *
  * @apiError NoResults response is empty for the metric.
+ * @apiError BadRequest The percentiles, histogram, bins, format or layout parameter is invalid.
  *
  * @apiErrorExample Error-Response:
  *     HTTP/1.1 200 OK
@@ -287,23 +349,19 @@ router.get('/:workflowID/:taskID', function(req, res, next) {
 router.get('/:workflowID/:taskID/:experimentID', function(req, res, next) {
     var workflowID = req.params.workflowID.toLowerCase(),
       taskID = req.params.taskID.toLowerCase(),
-      type = req.params.experimentID,
-      index = workflowID + '_' + taskID;
+      experimentID = req.params.experimentID;
 
-    return handle_response(req, res, next, index, type);
+    return handle_response(req, res, next, { workflow: workflowID, task: taskID, experiment: experimentID });
 });
 
-function handle_response(req, res, next, index, type) {
-    var client = req.app.get('elastic'),
+function handle_response(req, res, next, query) {
+    var storage = req.app.get('storage'),
       mf_server = req.app.get('mf_server') + '/phantom_mf',
       workflowID = req.params.workflowID.toLowerCase(),
-      host = req.query.host,
       metric = req.query.metric,
-      from = req.query.from,
-      to = req.query.to,
-      body = aggregation_by(metric, type);
+      metrics = [];
 
-     if (!is_defined(metric)) {
+    if (!is_defined(metric)) {
         var error = {
             'error': {
                 'message': 'parameter metric is missing'
@@ -312,184 +370,349 @@ function handle_response(req, res, next, index, type) {
         res.json(error);
         return;
     }
+    if (typeof(metric) == "string") {
+        metrics[0] = metric;
+    }
+    else {
+        metrics = metric;
+    }
+
+    if (is_defined(req.query.host)) {
+        query.host = req.query.host;
+    }
+    if (is_defined(req.query.from) && is_defined(req.query.to)) {
+        query.from = req.query.from;
+        query.to = req.query.to;
+    }
 
-    if (is_defined(from) && is_defined(to)) {
-        body = filter_and_aggregate_by(metric, from, to, type, host);
+    var distribution = parse_distribution(req.query);
+    if (is_defined(distribution.error)) {
+        res.status(400);
+        return res.json({ error: distribution.error });
+    }
+    var requested = exporter.negotiate(req);
+    if (is_defined(requested.error)) {
+        res.status(400);
+        return res.json({ error: requested.error });
+    }
+    if (requested.format !== 'json' && is_defined(distribution.histogram)) {
+        res.status(400);
+        return res.json({ error: "Histograms are only available as JSON." });
+    }
+    if (is_defined(req.query.group_by)) {
+        var group_by = parse_group_by(req.query.group_by);
+        if (!Array.isArray(group_by)) {
+            res.status(400);
+            return res.json({ error: group_by });
+        }
+        distribution.options.group_by = group_by;
     }
 
-    client.indices.refresh({
-        index: index
-    }, function(error, response) {
+    storage.getStatistics(query, metrics, distribution.options, function(error, results) {
         if (error) {
             res.json(error);
             return;
         }
-        client.search({
-            index: index,
-            searchType: 'count',
-            body: body
-        }, function(error, response) {
+        if (requested.format !== 'json') {
+            return export_statistics(res, requested, metrics, results, distribution);
+        }
+        var bins = {};
+        if (is_defined(distribution.histogram)) {
+            for (var name in results) {
+                if (results[name].min === null) {
+                    continue;
+                }
+                bins[name] = histogram_bins(results[name], distribution.histogram);
+                if (bins[name] === null) {
+                    res.status(400);
+                    return res.json({ error: "The histogram of " + name + " would have more than " +
+                        max_bins + " bins; choose a larger bin width." });
+                }
+            }
+        }
+        get_distribution(storage, query, bins, function(error, counts) {
             if (error) {
-                res.json(error);
-                return;
+                res.status(500);
+                return next(error);
             }
-            else {
-                if(response.aggregations !== undefined) {
-                    var metrics = [],
-                        answers = [];
-                    if (typeof(metric) == "string") {
-                        metrics[0] = metric;
-                    }
-                    else {
-                        metrics = metric;
-                    }
-                    for (var key in metrics) {
-                        var answer = {},
-                            aggs = response.aggregations;
-                        answer['workflow'] = {};
-                        answer['workflow'].href = mf_server + '/workflows/' + workflowID;
-                        answer['metric'] = metrics[key];
-
-                        if (is_defined(from) && is_defined(to)) {
-                            aggs = aggs['filtered_stats'];
-                        }
-                        if(aggs['Minimum_' + metrics[key]]['hits']['total'] == 0) {
-                                var json = {};
-                                json.error = "response is empty for the metric";
-                                answers.push(json);
-                        }
-                        else {
-                            answer['statistics'] = aggs[metrics[key] + '_Stats'];
-                            answer['min'] = aggs['Minimum_' + metrics[key]]['hits']['hits'][0]['_source'];
-                            answer['max'] = aggs['Maximum_' + metrics[key]]['hits']['hits'][0]['_source'];
-                            answers.push(answer);
-                        }
-                    }
-                    res.json(answers);        
+            var answers = [];
+            for (var key in metrics) {
+                var answer = {},
+                    result = results[metrics[key]];
+                answer['workflow'] = {};
+                answer['workflow'].href = mf_server + '/workflows/' + workflowID;
+                answer['metric'] = metrics[key];
+
+                if (result.min === null) {
+                    var json = {};
+                    json.error = "response is empty for the metric";
+                    answers.push(json);
                 }
                 else {
-                    var json = {};
-                    json.error = "index " + index +" is not found in DB";
-                    res.json(json);
+                    answer['statistics'] = result.statistics;
+                    answer['min'] = result.min;
+                    answer['max'] = result.max;
+                    answer['coefficient_of_variation'] = coefficient_of_variation(result.statistics);
+                    add_distribution(answer, result, distribution, bins[metrics[key]], counts[metrics[key]]);
+                    if (is_defined(distribution.options.group_by)) {
+                        answer['group_by'] = distribution.options.group_by;
+                        answer['groups'] = describe_groups(result.groups, distribution.options.group_by.length, distribution);
+                    }
+                    answers.push(answer);
                 }
             }
+            res.json(answers);
         });
     });
 }
 
-function is_defined(variable) {
-    return (typeof variable !== 'undefined');
+/*
+ * Writes a row per metric, with group_by per metric and group, holding the
+ * dimensions, the statistics, the coefficient of variation, the percentiles
+ * (p50, p95, ...) and the median absolute deviation asked for.
+ */
+function export_statistics(res, requested, metrics, results, distribution) {
+    var group_by = distribution.options.group_by || [],
+      rows = [];
+
+    metrics.forEach(function(metric) {
+        var result = results[metric];
+        if (!is_defined(result) || result.min === null) {
+            return;
+        }
+        if (group_by.length === 0) {
+            rows.push(statistics_row({ metric: metric }, result, distribution));
+        } else {
+            group_rows(rows, { metric: metric }, result.groups, group_by, distribution);
+        }
+    });
+
+    var columns = [ { name: 'metric', type: 'string' } ].concat(group_by.map(function(dimension) {
+        /* calendar intervals are keyed by their start */
+        var calendar = group_dimensions.indexOf(dimension) >= group_dimensions.indexOf('minute');
+        return { name: dimension, type: calendar ? 'timestamp' : 'string' };
+    }), exported_statistics.concat([ 'coefficient_of_variation' ], (distribution.percentiles || []).map(function(percent) {
+        return 'p' + percent;
+    }), distribution.options.mad ? [ 'median_absolute_deviation' ] : []).map(function(name) {
+        return { name: name, type: 'number' };
+    }));
+
+    exporter.send(res, requested.format, {
+        layout: requested.layout,
+        variable: 'statistic',
+        columns: columns
+    }, rows);
+}
+
+/* adds the rows of the leaves of nested groups, keys holds the dimensions above */
+function group_rows(rows, keys, groups, group_by, distribution) {
+    var dimension = group_by[Object.keys(keys).length - 1];
+    Object.keys(groups).sort().forEach(function(key) {
+        var row = Object.assign({}, keys);
+        row[dimension] = key;
+        if (Object.keys(row).length - 1 < group_by.length) {
+            return group_rows(rows, row, groups[key], group_by, distribution);
+        }
+        rows.push(statistics_row(row, groups[key], distribution));
+    });
+}
+
+function statistics_row(row, result, distribution) {
+    exported_statistics.forEach(function(name) {
+        row[name] = result.statistics[name];
+    });
+    row.coefficient_of_variation = coefficient_of_variation(result.statistics);
+    (distribution.percentiles || []).forEach(function(percent) {
+        row['p' + percent] = result.percentiles[percent];
+    });
+    if (distribution.options.mad) {
+        row.median_absolute_deviation = result.median_absolute_deviation;
+    }
+    return row;
 }
 
-function filter_and_aggregate_by(field_name, from, to, type, host) {
-    var filter_type = '';
-    if (is_defined(type)) {
-        filter_type = '{ ' +
-                        '"type": { "value": "' + type + '" }' +
-                    '},';
+/*
+ * Parses the parameters percentiles, mad, histogram and bins; returns the
+ * options for storage.getStatistics and the histogram ({ width } or
+ * { bins }, which may be undefined for automatic binning), or { error }.
+ */
+function parse_distribution(params) {
+    var result = { options: {} },
+      histogram = params.histogram,
+      bins;
+
+    if (is_defined(params.percentiles)) {
+        var percentiles = String(params.percentiles).split(',');
+        if (percentiles.length > max_percentiles || percentiles.some(function(percent) {
+            return !/^\d+(\.\d+)?$/.test(percent) || Number(percent) > 100;
+        })) {
+            return { error: "The percentiles must be at most " + max_percentiles + " numbers between 0 and 100." };
+        }
+        result.percentiles = percentiles.map(Number);
+        result.options.percentiles = result.percentiles.slice();
+    }
+    if (is_defined(params.mad) && !/^(false|0|no)$/i.test(params.mad)) {
+        result.options.mad = true;
+    }
+    if (is_defined(params.bins)) {
+        bins = Number(params.bins);
+        if (!/^\d+$/.test(params.bins) || bins < 1 || bins > max_bins) {
+            return { error: "The number of bins must be between 1 and " + max_bins + "." };
+        }
+        histogram = is_defined(histogram) ? histogram : 'auto';
+    }
+    if (!is_defined(histogram)) {
+        return result;
     }
-    if(is_defined(host)) {
-        filter_type += '{ ' +
-                        '"prefix": { "host": "' + host + '" }' +
-                    '},';
+    if (histogram === 'auto') {
+        result.histogram = { bins: bins };
+        if (!is_defined(bins)) {
+            /* quartiles for the Freedman-Diaconis rule */
+            result.options.percentiles = (result.options.percentiles || []).concat([ 25, 75 ]);
+        }
+    } else if (!(Number(histogram) > 0)) {
+        return { error: "The histogram must be 'auto' or a positive bin width." };
+    } else if (is_defined(bins)) {
+        return { error: "The number of bins only applies to histogram=auto." };
+    } else {
+        result.histogram = { width: Number(histogram) };
     }
-    return '{' +
-        '"aggs": {' +
-            '"filtered_stats": {' +
-                '"filter": {' +
-                    '"and": [' +
-                        filter_type +
-                        date_filter(from, to) +
-                    ']' +
-                '},' +
-                aggregation_by(field_name).slice(1, -1) +
-            '}' +
-        '}' +
-    '}';
+    return result;
 }
 
-function date_filter(from, to) {
-    var filter = '';
-
-    if (is_defined(from) && is_defined(to)) {
-        filter =
-            '{ ' +
-                '"range": {' +
-                    '"local_timestamp": {' +
-                        '"from": "' + from + '",' +
-                        '"to": "' + to + '"' +
-                    '}' +
-                '}' +
-            '}';
+/*
+ * Returns the dimensions of the comma-separated parameter group_by, or an
+ * error message.
+ */
+function parse_group_by(value) {
+    var dimensions = String(value).split(',');
+    if (dimensions.length > max_dimensions) {
+        return "Statistics can be grouped by at most " + max_dimensions + " dimensions.";
+    }
+    for (var i = 0; i < dimensions.length; ++i) {
+        if (group_dimensions.indexOf(dimensions[i]) === -1) {
+            return "Unknown group_by dimension '" + dimensions[i] + "', use " + group_dimensions.join(', ') + ".";
+        }
+        if (dimensions.indexOf(dimensions[i]) !== i) {
+            return "The group_by dimension '" + dimensions[i] + "' is given twice.";
+        }
     }
+    return dimensions;
+}
 
-    return filter;
+/* nested groups with the statistics of their metric values as leaves */
+function describe_groups(groups, depth, distribution) {
+    var results = {};
+    for (var key in groups) {
+        if (depth > 1) {
+            results[key] = describe_groups(groups[key], depth - 1, distribution);
+            continue;
+        }
+        var group = groups[key];
+        results[key] = {
+            statistics: group.statistics,
+            coefficient_of_variation: coefficient_of_variation(group.statistics)
+        };
+        if (is_defined(distribution.percentiles)) {
+            results[key].percentiles = requested_percentiles(group, distribution);
+        }
+        if (distribution.options.mad) {
+            results[key].median_absolute_deviation = group.median_absolute_deviation;
+        }
+    }
+    return results;
 }
 
-function type_filter(type) {
-    var filter = '';
-
-    if (is_defined(type)) {
-        filter =
-            '"query": {' +
-                '"filtered": {' +
-                    '"filter": {' +
-                        '"type": { "value": "' + type + '" }' +
-                    '}' +
-                '}' +
-            '},';
+/*
+ * Returns the bins ({ from, interval, count }) of the histogram of a metric,
+ * or null if a fixed bin width yields too many bins. Fixed-width bins start
+ * at multiples of the width, automatic ones span minimum to maximum.
+ */
+function histogram_bins(result, histogram) {
+    var statistics = result.statistics,
+      min = statistics.min,
+      max = statistics.max,
+      count;
+
+    if (is_defined(histogram.width)) {
+        var first = Math.floor(min / histogram.width);
+        count = Math.floor(max / histogram.width) - first + 1;
+        if (count > max_bins) {
+            return null;
+        }
+        return { from: first * histogram.width, interval: histogram.width, count: count };
+    }
+    if (max === min) {
+        return { from: min, interval: 0, count: 1 };
     }
+    count = histogram.bins;
+    if (!is_defined(count)) {
+        var width = 2 * (result.percentiles['75'] - result.percentiles['25']) / Math.cbrt(statistics.count);
+        /* Sturges' rule if most values are equal */
+        count = width > 0 ? Math.ceil((max - min) / width) : Math.ceil(Math.log2(statistics.count)) + 1;
+        count = Math.min(count, max_bins);
+    }
+    return { from: min, interval: (max - min) / count, count: count };
+}
 
-    return filter;
+/* counts of the values in the bins, for metrics with a single value without the storage */
+function get_distribution(storage, query, bins, callback) {
+    var queried = {};
+    for (var metric in bins) {
+        if (bins[metric].interval > 0) {
+            queried[metric] = bins[metric];
+        }
+    }
+    if (Object.keys(queried).length === 0) {
+        return callback(null, {});
+    }
+    storage.getDistribution(query, queried, callback);
 }
 
-function aggregation_by(field_name, type) {
-    var fields = [];
-    var query_msg = '{' + type_filter(type) +
-        '"aggs": {';
-    if(typeof(field_name) == "string") {
-        fields[0] = field_name;
+function add_distribution(answer, result, distribution, bins, counts) {
+    if (is_defined(distribution.percentiles)) {
+        answer['percentiles'] = requested_percentiles(result, distribution);
     }
-    else {
-        fields = field_name;
+    if (distribution.options.mad) {
+        answer['median_absolute_deviation'] = result.median_absolute_deviation;
+    }
+    if (!is_defined(bins)) {
+        return;
     }
-    for (var key in fields) {
-        query_msg +=
-            '"' + fields[key] + '_Stats" : {' +
-                '"extended_stats" : {' +
-                    '"field" : "' + fields[key] + '"' +
-                '}' +
-            '},' +
-            '"Minimum_' + fields[key] + '": {' +
-                '"top_hits": {' +
-                    '"size": 1,' +
-                    '"sort": [' +
-                        '{' +
-                            '"' + fields[key] + '": {' +
-                                '"order": "asc"' +
-                            '}' +
-                        '}' +
-                    ']' +
-                '}' +
-            '},' +
-            '"Maximum_' + fields[key] + '": {' +
-                '"top_hits": {' +
-                    '"size": 1,' +
-                    '"sort": [' +
-                        '{' +
-                            '"' + fields[key] + '": {' +
-                                '"order": "desc"' +
-                            '}' +
-                        '}' +
-                    ']' +
-                '}' +
-            '},'
+    var buckets = [];
+    for (var i = 0; i < bins.count; ++i) {
+        buckets.push({
+            from: bins.from + i * bins.interval,
+            to: is_defined(distribution.histogram.width) || i < bins.count - 1 ?
+                bins.from + (i + 1) * bins.interval : result.statistics.max,
+            count: is_defined(counts) ? counts[i] : result.statistics.count
+        });
     }
-    query_msg = query_msg.slice(0, -1);
-    query_msg +=
-        '}' +
-    '}';
-    return query_msg;
+    answer['histogram'] = {
+        interval: bins.interval,
+        buckets: buckets
+    };
+}
+
+/* without the quartiles only computed for automatic histograms */
+function requested_percentiles(result, distribution) {
+    var percentiles = {};
+    distribution.percentiles.forEach(function(percent) {
+        percentiles[percent] = result.percentiles[percent];
+    });
+    return percentiles;
+}
+
+/* standard deviation relative to the mean */
+function coefficient_of_variation(statistics) {
+    if (!statistics.count || !statistics.avg) {
+        return null;
+    }
+    return statistics.std_deviation / Math.abs(statistics.avg);
+}
+
+function is_defined(variable) {
+    return (typeof variable !== 'undefined');
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
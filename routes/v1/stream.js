@@ -0,0 +1,140 @@
+var express = require('express');
+var stream = require('../../lib/stream');
+var websocket = require('../../lib/websocket');
+var router = express.Router();
+
+/* SSE comments keeping proxies from closing idle connections */
+var keep_alive = 15 * 1000;
+
+/* clients too slow to take the samples are disconnected */
+var max_buffered = 4 * 1024 * 1024;
+
+/**
+ * @api {get} /stream/:workflowID/:taskID/:experimentID 1. Stream new samples of a task of an experiment
+ * @apiVersion 1.0.0
+ * @apiName GetStream
+ * @apiGroup Stream
+ *
+ * @apiDescription Pushes every sample of the given workflow, task and
+ * experiment as it arrives through the metrics routes, either as
+ * Server-Sent Events (Accept: text/event-stream) or over a WebSocket
+ * (Upgrade: websocket). Each event or message holds one sample as JSON; the
+ * SSE event ID is the sample's local_timestamp, followed by digests telling
+ * the samples of the same local_timestamp apart.
+ *
+ * To resume after a reconnect, clients give the ID of the last event they
+ * received as 'since' (EventSource sends it as Last-Event-ID on its own); the
+ * samples stored since are sent first. WebSocket clients give the
+ * local_timestamp of the last sample instead, and receive the samples of
+ * this local_timestamp again. Browsers cannot set
+ * headers for EventSource and WebSocket, so the API key may be given as the
+ * URL parameter access_token instead.
+ *
+ * Only samples sent to the same server process are streamed.
+ *
+ * @apiParam {String} workflowID    Identifier of a workflow
+ * @apiParam {String} taskID        Identifier of a task
+ * @apiParam {String} experimentID  Identifier of an experiment
+ * @apiParam {String} [host]        only samples of hosts starting with the given name
+ * @apiParam {String} [metrics]     comma-separated metrics to include besides the timestamps and the host
+ * @apiParam {String} [since]       ID of the last event or local_timestamp of the last sample received
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -N -H "Accept: text/event-stream" \
+ *       "http://mf.excess-project.eu:3033/v1/phantom_mf/stream/ms2/t2.1/AVZ-ll9FGYwmTvCuSnjW?metrics=CPU0::PAPI_TOT_CYC"
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     Content-Type: text/event-stream
+ *
+ *     id: 2016-08-12T15:20:40.631 3f2a9c1b
+ *     data: {"@timestamp":"2016-08-12T15:20:40.631","host":"node01","CPU0::PAPI_TOT_CYC":46016,"local_timestamp":"2016-08-12T15:20:40.631","server_timestamp":"2016-08-12T15:20:40.702"}
+ *
+ * @apiError NotAcceptable The request asks neither for Server-Sent Events nor for a WebSocket.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 406 Not Acceptable
+ *     {
+ *       "error": "Streaming needs 'Accept: text/event-stream' or a WebSocket upgrade."
+ *     }
+ */
+router.get('/:workflowID/:taskID/:experimentID', function(req, res, next) {
+    var query = {
+        workflow: req.params.workflowID.toLowerCase(),
+        task: req.params.taskID.toLowerCase(),
+        experiment: req.params.experimentID
+    },
+      since = req.query.since || req.get('Last-Event-ID'),
+      json = {};
+
+    if (typeof req.query.host !== 'undefined') {
+        query.host = String(req.query.host);
+    }
+    if (typeof req.query.metrics !== 'undefined') {
+        query.metrics = String(req.query.metrics).split(',');
+    }
+    if (since) {
+        query.since = String(since);
+    }
+
+    if (websocket.is_upgrade(req)) {
+        return stream_websocket(req, res, query);
+    }
+    if (!req.accepts('text/event-stream')) {
+        res.status(406);
+        json.error = "Streaming needs 'Accept: text/event-stream' or a WebSocket upgrade.";
+        return res.json(json);
+    }
+    stream_events(req, res, query);
+});
+
+function stream_events(req, res, query) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    var timer = setInterval(function() {
+        res.write(': keep-alive\n\n');
+    }, keep_alive);
+
+    var unsubscribe = stream.subscribe(req.app.get('storage'), query, function(sample, position) {
+        if (res.writableLength > max_buffered) {
+            return res.end();
+        }
+        res.write('id: ' + position + '\ndata: ' + JSON.stringify(sample) + '\n\n');
+    }, function(error) {
+        if (error) {
+            res.write('event: error\ndata: ' + JSON.stringify({ error: error.message }) + '\n\n');
+            res.end();
+        }
+    });
+
+    res.on('close', function() {
+        clearInterval(timer);
+        unsubscribe();
+    });
+}
+
+function stream_websocket(req, res, query) {
+    websocket.accept(req, res, function(connection) {
+        var unsubscribe = stream.subscribe(req.app.get('storage'), query, function(sample) {
+            if (connection.buffered() > max_buffered) {
+                return connection.close(1008);
+            }
+            connection.send(JSON.stringify(sample));
+        }, function(error) {
+            if (error) {
+                connection.close(1011);
+            }
+        });
+
+        connection.on('close', unsubscribe);
+    });
+}
+
+module.exports = router;
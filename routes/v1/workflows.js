@@ -1,6 +1,10 @@
 var express = require('express');
 var async = require('async');
 var dateFormat = require('dateformat');
+var workflow_graph = require('../../lib/workflow');
+var check_id = require('../../lib/sample').check_id;
+var cascade = require('../../lib/cascade');
+var auth = require('../../lib/auth');
 var router = express.Router();
 
 /**
@@ -35,44 +39,21 @@ var router = express.Router();
  *     }
  */
 router.get('/', function(req, res, next) {
-    var client = req.app.get('elastic'),
-        size = 1000,
+    var storage = req.app.get('storage'),
         json = {};
 
-    client.search({
-        index: 'mf',
-        type: 'workflows',
-        searchType: 'count'
-    }, function(error, response) {
+    storage.getWorkflows(function(error, workflows) {
         if (error) {
             res.status(500);
             return next(error);
         }
-        if (response.hits !== undefined) {
-            size = response.hits.total;
-        }
-        if (size === 0) {
+        if (Object.keys(workflows).length === 0) {
             res.status(404);
             json.error = "No workflows found.";
             res.json(json);
             return;
         }
-
-        client.search({
-            index: 'mf',
-            type: 'workflows',
-            size: size
-        }, function(error, response) {
-            if (error) {
-                res.status(500);
-                return next(error);
-            }
-            if (response.hits !== undefined) {
-                var results = response.hits.hits;
-                json = get_details(results);
-            }
-            res.json(json);
-        });
+        res.json(get_details(workflows));
     });
 });
 
@@ -80,11 +61,11 @@ function is_defined(variable) {
     return (typeof variable !== 'undefined');
 }
 
-function get_details(results) {
-    var keys = Object.keys(results),
+function get_details(workflows) {
+    var keys = Object.keys(workflows),
         response = {};
     keys.forEach(function(key) {
-        var source = results[key]._source,
+        var source = workflows[key],
             item = JSON.parse(JSON.stringify(source));
         if (is_defined(source.tasks)) {
             item.tasks = [];
@@ -92,7 +73,7 @@ function get_details(results) {
                 item.tasks.push(source.tasks[i].name);
             }
         }
-        response[results[key]._id] = item;
+        response[key] = item;
     });
     return response;
 }
@@ -104,9 +85,11 @@ function get_details(results) {
  * @apiGroup Workflows
  *
  * @apiParam {String} workflowID     Identifier of a workflow
+ * @apiParam {Number} [version]      Version of the workflow, the latest one by default
  *
  * @apiExample {curl} Example usage:
  *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2
+ *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2?version=2
  *
  * @apiSuccess (body) {String} application     Identifier of the workflow
  * @apiSuccess (body) {String} author          Author name if provided while registering a new workflow
@@ -147,17 +130,28 @@ function get_details(results) {
  */
 router.get('/:id', function(req, res, next) {
     var id = req.params.id.toLowerCase(),
-        client = req.app.get('elastic'),
+        version = workflow_graph.parse_version(req.query.version),
+        storage = req.app.get('storage'),
         json = {};
 
-    client.get({
-        index: 'mf',
-        type: 'workflows',
-        id: id
-    }, function(error, response) {
-        if (response.found) {
-            json = response._source;
+    if (version === null) {
+        res.status(400);
+        json.error = "The version must be a positive integer.";
+        return res.json(json);
+    }
+
+    workflow_graph.load(storage, id, version, function(error, workflow) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (workflow) {
+            json = workflow;
+        } else if (is_defined(version)) {
+            res.status(404);
+            json.error = "Version " + version + " of the workflow with the ID '" + id + "' not found.";
         } else {
+            res.status(404);
             json.error = "Workflow with the ID '" + id + "' not found.";
         }
         res.json(json);
@@ -204,16 +198,30 @@ router.get('/:id', function(req, res, next) {
  * @apiParam (body) {String} [tasks.cores_nr]  Range of CPU cores used for executing the task on
 
  * @apiSuccess {String} href                   Link to the stored workflow resource
+ * @apiSuccess {Number} version                Version created by this update
  *
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
  *     {
  *       "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2",
+ *       "version": 2
  *     }
  *
+ * @apiError InvalidID The workflow ID is reserved ('__proto__', 'constructor' or 'prototype'), contains whitespace or any of \ / * ? " < > | , # :, or is longer than 100 bytes.
+ * @apiError InvalidWorkflow The task graph is invalid: unknown task references in previous/next, duplicate or invalid task names (see InvalidID), cycles, or malformed core ranges.
  * @apiError StorageError Given workflow could not be stored.
  *
  * @apiErrorExample Error-Response:
+ *     HTTP/1.1 400 Bad Request
+ *     {
+ *       "error": "Invalid workflow.",
+ *       "problems": [
+ *         { "task": "T2.1", "field": "previous", "message": "Unknown task 'T0'." },
+ *         { "task": "T1", "field": "cores_nr", "message": "Malformed core range '2-1', expected e.g. '2', '1-2' or '0-3,8-11'." }
+ *       ]
+ *     }
+ *
+ * @apiErrorExample Error-Response:
  *     HTTP/1.1 500 Internal Server Error
  *     {
  *       "error": "Could not create the workflow."
@@ -222,21 +230,256 @@ router.get('/:id', function(req, res, next) {
 router.put('/:id', function(req, res, next) {
     var id = req.params.id.toLowerCase(),
         mf_server = req.app.get('mf_server'),
-        client = req.app.get('elastic'),
+        storage = req.app.get('storage'),
         json = {};
 
-    client.index({
-        index: 'mf',
-        type: 'workflows',
-        id: id,
-        body: req.body
-    }, function(error, response) {
-        if (error !== 'undefined') {
-            json.href = mf_server + '/phantom_mf/workflows/' + id;
-        } else {
+    if (check_id('workflow', id) !== null) {
+        res.status(400);
+        json.error = check_id('workflow', id);
+        return res.json(json);
+    }
+    var problems = workflow_graph.validate(req.body);
+    if (problems.length > 0) {
+        res.status(400);
+        json.error = "Invalid workflow.";
+        json.problems = problems;
+        return res.json(json);
+    }
+
+    storage.putWorkflow(id, req.body, function(error, version) {
+        if (error) {
             res.status(500);
             json.error = "Could not create the workflow.";
+        } else {
+            json.href = mf_server + '/phantom_mf/workflows/' + id;
+            json.version = version;
+        }
+        res.json(json);
+    });
+});
+
+/**
+ * @api {get} /workflows/:workflowID/graph 4. Get the task graph of a workflow
+ * @apiVersion 1.0.0
+ * @apiName GetWorkflowGraph
+ * @apiGroup Workflows
+ *
+ * @apiParam {String} workflowID     Identifier of a workflow
+ * @apiParam {Number} [version]      Version of the workflow, the latest one by default
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2/graph
+ *
+ * @apiSuccess {Array}  nodes           Tasks of the workflow
+ * @apiSuccess {String} nodes.name      Identifier of the task
+ * @apiSuccess {Array}  nodes.previous  Names of the tasks the task depends on
+ * @apiSuccess {Array}  nodes.next      Names of the tasks depending on the task
+ * @apiSuccess {Array}  edges           Dependencies as pairs of task names (from, to)
+ * @apiSuccess {Array}  order           Task names in topological order
+ * @apiSuccess {Array}  entry           Tasks without predecessors
+ * @apiSuccess {Array}  exit            Tasks without successors
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "nodes": [
+ *         { "name": "T1", "exec": "/home/ubuntu/ms2/t1.sh", "cores_nr": "1-2", "previous": [], "next": [ "T2.1" ] },
+ *         { "name": "T2.1", "exec": "/home/ubuntu/ms2/t21.sh", "cores_nr": "1-2", "previous": [ "T1" ], "next": [] }
+ *       ],
+ *       "edges": [ { "from": "T1", "to": "T2.1" } ],
+ *       "order": [ "T1", "T2.1" ],
+ *       "entry": [ "T1" ],
+ *       "exit": [ "T2.1" ]
+ *     }
+ *
+ * @apiError WorkflowNotAvailable Given ID does not refer to a workflow.
+ * @apiError InvalidWorkflow The stored workflow has no valid task graph.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 422 Unprocessable Entity
+ *     {
+ *       "error": "Workflow 'ms2' has no valid task graph.",
+ *       "problems": [
+ *         { "task": "T2.1", "field": "previous", "message": "Unknown task 'T0'." }
+ *       ]
+ *     }
+ */
+router.get('/:id/graph', function(req, res, next) {
+    var id = req.params.id.toLowerCase(),
+        version = workflow_graph.parse_version(req.query.version),
+        storage = req.app.get('storage'),
+        json = {};
+
+    if (version === null) {
+        res.status(400);
+        json.error = "The version must be a positive integer.";
+        return res.json(json);
+    }
+
+    workflow_graph.load(storage, id, version, function(error, workflow) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (!workflow) {
+            res.status(404);
+            json.error = "Workflow with the ID '" + id + "' not found.";
+            return res.json(json);
+        }
+        var graph = workflow_graph.graph(workflow);
+        if (graph === null) {
+            res.status(422);
+            json.error = "Workflow '" + id + "' has no valid task graph.";
+            json.problems = workflow_graph.validate(workflow);
+            return res.json(json);
+        }
+        res.json(graph);
+    });
+});
+
+/**
+ * @api {get} /workflows/:workflowID/versions 5. Get all versions of a workflow
+ * @apiVersion 1.0.0
+ * @apiName GetWorkflowVersions
+ * @apiGroup Workflows
+ *
+ * @apiDescription Every update of a workflow creates a new version, while
+ * older versions are kept unchanged. Workflows registered before versioning
+ * was introduced have no versions.
+ *
+ * @apiParam {String} workflowID     Identifier of a workflow
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2/versions
+ *
+ * @apiSuccess {Number} version  Version number, starting with 1
+ * @apiSuccess {String} created  Time the version was registered
+ * @apiSuccess {String} href     Link to the version of the workflow
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     [
+ *       {
+ *         "version": 1,
+ *         "created": "2017-02-02T10:24:07.000Z",
+ *         "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2?version=1"
+ *       },
+ *       {
+ *         "version": 2,
+ *         "created": "2017-02-05T16:02:41.000Z",
+ *         "href": "http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2?version=2"
+ *       }
+ *     ]
+ *
+ * @apiError WorkflowNotAvailable Given ID does not refer to a workflow.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "error": "Workflow with the ID '" + workflowID + "' not found."
+ *     }
+ */
+router.get('/:id/versions', function(req, res, next) {
+    var id = req.params.id.toLowerCase(),
+        storage = req.app.get('storage'),
+        mf_server = req.app.get('mf_server'),
+        json = {};
+
+    storage.getWorkflow(id, function(error, workflow) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (!workflow) {
+            res.status(404);
+            json.error = "Workflow with the ID '" + id + "' not found.";
+            return res.json(json);
+        }
+        storage.getWorkflowVersions(id, function(error, versions) {
+            if (error) {
+                res.status(500);
+                return next(error);
+            }
+            res.json(versions.map(function(item) {
+                item.href = mf_server + '/phantom_mf/workflows/' + id + '?version=' + item.version;
+                return item;
+            }));
+        });
+    });
+});
+
+/**
+ * @api {delete} /workflows/:workflowID 6. Delete a workflow with all its experiments and samples
+ * @apiVersion 1.0.0
+ * @apiName DeleteWorkflow
+ * @apiGroup Workflows
+ *
+ * @apiDescription Deletes the workflow with all its versions, all its
+ * experiments and their samples. As this cannot be undone, the request must
+ * repeat the workflow ID in the URL parameter 'confirm', unless it is a dry
+ * run, which only reports what would be deleted. Needs the role admin if
+ * authentication is enabled.
+ *
+ * @apiParam {String} workflowID  Identifier of a workflow
+ * @apiParam {String} [confirm]   The workflow ID again, required unless dry_run is given
+ * @apiParam {Boolean} [dry_run]  Only report what would be deleted
+ *
+ * @apiExample {curl} Example usage:
+ *     curl -i -X DELETE "http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2?dry_run=true"
+ *     curl -i -X DELETE "http://mf.excess-project.eu:3033/v1/phantom_mf/workflows/ms2?confirm=ms2"
+ *
+ * @apiSuccess {String} workflow     Identifier of the workflow
+ * @apiSuccess {Number} versions     Number of versions of the workflow
+ * @apiSuccess {Array}  experiments  Identifiers of the experiments of the workflow
+ * @apiSuccess {Object} tasks        Number of samples per task
+ * @apiSuccess {Number} samples      Number of samples of all tasks
+ * @apiSuccess {Boolean} dry_run     Whether nothing was deleted
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "workflow": "ms2",
+ *       "versions": 2,
+ *       "experiments": [ "AVZ-ll9FGYwmTvCuSnjW", "AVZ-kZTjGYwmTvCuSnZV" ],
+ *       "tasks": { "t1": 1282, "t2.1": 341 },
+ *       "samples": 1623,
+ *       "dry_run": false
+ *     }
+ *
+ * @apiError WorkflowNotAvailable Given ID does not refer to a workflow.
+ * @apiError ConfirmationRequired The URL parameter 'confirm' is missing or does not match.
+ *
+ * @apiErrorExample Error-Response:
+ *     HTTP/1.1 400 Bad Request
+ *     {
+ *       "error": "Deleting the workflow 'ms2' deletes all its experiments and samples; repeat the request with ?confirm=ms2."
+ *     }
+ */
+router.delete('/:id', auth.require('admin'), function(req, res, next) {
+    var id = req.params.id.toLowerCase(),
+        storage = req.app.get('storage'),
+        dry_run = cascade.parse_dry_run(req.query.dry_run),
+        json = {};
+
+    if (!dry_run && String(req.query.confirm).toLowerCase() !== id) {
+        res.status(400);
+        json.error = "Deleting the workflow '" + id + "' deletes all its experiments and samples; " +
+            "repeat the request with ?confirm=" + id + ".";
+        return res.json(json);
+    }
+
+    cascade.delete_workflow(storage, id, dry_run, function(error, report) {
+        if (error) {
+            res.status(500);
+            return next(error);
+        }
+        if (report === null) {
+            res.status(404);
+            json.error = "Workflow with the ID '" + id + "' not found.";
+            return res.json(json);
         }
+        json = report;
+        json.dry_run = dry_run;
         res.json(json);
     });
 });
@@ -24,8 +24,9 @@ DIST_DIR=${BASE_DIR}/dist
 #
 # SOFTWARE
 #
-ELASTICSEARCH_VERSION="2.4.0"
+ELASTICSEARCH_VERSION="7.17.24"
 ELASTICSEARCH="elasticsearch-${ELASTICSEARCH_VERSION}"
+ELASTICSEARCH_ARCHIVE="${ELASTICSEARCH}-linux-x86_64"
 NODE_JS_VERSION="4.2.1"
 NODE_JS="node-v${NODE_JS_VERSION}-linux-x64"
 
@@ -57,13 +58,13 @@ echo
 echo "Installing external dependencies:"
 echo "> elasticsearch"
 cd ${TMP_DIR}
-if [ ! -f "${ELASTICSEARCH}.tar.gz" ]
+if [ ! -f "${ELASTICSEARCH_ARCHIVE}.tar.gz" ]
 then
-    wget https://download.elasticsearch.org/elasticsearch/elasticsearch/${ELASTICSEARCH}.tar.gz
+    wget https://artifacts.elastic.co/downloads/elasticsearch/${ELASTICSEARCH_ARCHIVE}.tar.gz
 fi
 if [ ! -d "${DIST_DIR}/${ELASTICSEARCH}" ]
 then
-    tar -xf ${ELASTICSEARCH}.tar.gz
+    tar -xf ${ELASTICSEARCH_ARCHIVE}.tar.gz
     mv ${ELASTICSEARCH} ${DIST_DIR}/elasticsearch
 fi
 
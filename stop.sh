@@ -27,8 +27,25 @@ cd ${TMP_DIR}
 
 #
 # STOPPING SERVICES
+# (the server first writes its buffered samples to elasticsearch)
 #
 echo "Stopping services ..."
+echo "> node"
+if [ -f "node.pid" ]
+then
+    PID=$(cat node.pid)
+    kill ${PID}
+    # wait up to 30 seconds for the buffered samples to be written
+    for i in $(seq 1 30)
+    do
+        kill -0 ${PID} 2>/dev/null || break
+        sleep 1
+    done
+    rm -f node.pid
+else
+    echo "Couldn't find PID associated with node process."
+    echo "Please kill the service manually."
+fi
 echo "> elasticsearch"
 if [ -f "elasticsearch.pid" ]
 then
@@ -40,15 +57,5 @@ else
     echo "Please kill the service manually."
 fi
 
-echo "> node"
-if [ -f "node.pid" ]
-then
-    PID=$(cat node.pid)
-    kill ${PID}
-    rm -f node.pid
-else
-    echo "Couldn't find PID associated with node process."
-    echo "Please kill the service manually."
-fi
 echo "Done."
 echo
\ No newline at end of file
@@ -0,0 +1,59 @@
+var assert = require('assert');
+var downsample = require('../lib/downsample');
+
+var from = '2016-05-10T17:00:00.000',
+    to = '2016-05-10T18:00:00.000';
+
+describe('downsample', function() {
+    describe('parse', function() {
+        it('takes the given interval and aggregation', function() {
+            assert.deepEqual(downsample.parse({ interval: '30s', agg: 'max' }, from, to), { interval: 30000, agg: 'max' });
+            assert.deepEqual(downsample.parse({ interval: '1s' }, from, to), { interval: 1000, agg: 'avg' });
+        });
+
+        it('chooses the smallest interval yielding at most the points', function() {
+            assert.equal(downsample.parse({}, from, to).interval, 10000);
+            assert.equal(downsample.parse({ points: '60' }, from, to).interval, 60000);
+            assert.equal(downsample.parse({ points: '7' }, from, to).interval, 10 * 60000);
+            assert.equal(downsample.parse({ points: '1' }, '2016-01-01', '2016-01-03').interval, 2 * 24 * 3600000);
+        });
+
+        it('rejects malformed parameters', function() {
+            [
+                { agg: 'median' },
+                { interval: '0s' },
+                { interval: '30' },
+                { interval: '1.5m' },
+                { points: '0' },
+                { points: '5001' },
+                { points: 'many' },
+                { interval: '100ms' }
+            ].forEach(function(params) {
+                assert.equal(typeof downsample.parse(params, from, to).error, 'string', JSON.stringify(params));
+            });
+            assert.equal(typeof downsample.parse({}, to, from).error, 'string');
+            assert.equal(typeof downsample.parse({}, 'yesterday', to).error, 'string');
+        });
+    });
+
+    describe('format_interval', function() {
+        it('uses the largest unit dividing the interval', function() {
+            assert.equal(downsample.format_interval(250), '250ms');
+            assert.equal(downsample.format_interval(90000), '90s');
+            assert.equal(downsample.format_interval(120000), '2m');
+            assert.equal(downsample.format_interval(24 * 3600000), '1d');
+        });
+    });
+
+    describe('is_requested', function() {
+        it('is set by interval, agg or points', function() {
+            assert.equal(downsample.is_requested({}), false);
+            assert.equal(downsample.is_requested({ from: from }), false);
+            [ 'interval', 'agg', 'points' ].forEach(function(name) {
+                var params = {};
+                params[name] = '1';
+                assert.equal(downsample.is_requested(params), true);
+            });
+        });
+    });
+});
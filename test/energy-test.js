@@ -0,0 +1,133 @@
+var assert = require('assert');
+var energy = require('../lib/energy');
+var storage_backends = require('../lib/storage');
+
+var start = Date.UTC(2016, 4, 10, 17);
+
+/* a power sample of the given host, seconds after start */
+function power_sample(host, seconds, watts) {
+    return {
+        host: host,
+        local_timestamp: new Date(start + seconds * 1000).toISOString().replace('Z', ''),
+        'CPU0:power': watts
+    };
+}
+
+describe('energy', function() {
+    describe('integrate', function() {
+        it('integrates power by the trapezoidal rule', function() {
+            var result = energy.integrate([
+                power_sample('node01', 0, 100),
+                power_sample('node01', 1, 200),
+                power_sample('node01', 3, 200)
+            ]);
+            assert.equal(result.energy, 150 + 400);
+            assert.deepEqual(result.hosts, {
+                node01: { energy: 550, average_power: 550 / 3, gaps: 0 }
+            });
+        });
+
+        it('sums the devices of a host and the hosts', function() {
+            var samples = [ 0, 1, 2 ].map(function(seconds) {
+                var sample = power_sample('node01', seconds, 100);
+                sample['GPU0:power'] = '50';
+                return sample;
+            }).concat([ power_sample('node02', 0, 10), power_sample('node02', 2, 10) ]);
+            var result = energy.integrate(samples);
+            assert.equal(result.hosts.node01.energy, 300);
+            assert.equal(result.hosts.node01.average_power, 150);
+            assert.equal(result.hosts.node02.energy, 20);
+            assert.equal(result.energy, 320);
+        });
+
+        it('leaves out and reports gaps', function() {
+            var samples = [ 0, 1, 2, 3, 13, 14 ].map(function(seconds) {
+                return power_sample('node01', seconds, 100);
+            });
+            var result = energy.integrate(samples);
+            assert.equal(result.energy, 400);
+            assert.equal(result.hosts.node01.gaps, 10);
+        });
+
+        it('ignores other metrics and samples without a time', function() {
+            var samples = [ power_sample('node01', 0, 100), power_sample('node01', 1, 100) ];
+            samples[0].temperature = 60;
+            samples.push({ host: 'node01', 'CPU0:power': 1000 });
+            assert.equal(energy.integrate(samples).energy, 100);
+            assert.deepEqual(energy.integrate([ { local_timestamp: start, temperature: 60 } ]),
+                { energy: null, hosts: {} });
+        });
+    });
+
+    describe('to_time', function() {
+        it('reads local times as UTC and keeps numbers', function() {
+            assert.equal(energy.to_time('2016-05-10T17:00:00.000'), start);
+            assert.equal(energy.to_time('2016-05-10T17:00:00.000+01:00'), start - 3600 * 1000);
+            assert.equal(energy.to_time(start), start);
+            assert(isNaN(energy.to_time(null)));
+        });
+    });
+
+    describe('derive', function() {
+        it('derives average power and energy-delay product', function() {
+            assert.deepEqual(energy.derive(100, 4), { energy: 100, average_power: 25, energy_delay_product: 400 });
+            assert.deepEqual(energy.derive(null, 4), { energy: null, average_power: null, energy_delay_product: null });
+            assert.equal(energy.derive(100, 0).average_power, null);
+        });
+    });
+
+    describe('objective', function() {
+        it('returns the value of the criterion', function() {
+            assert.equal(energy.objective('time', 2, 3), 2);
+            assert.equal(energy.objective('energy', 2, 3), 3);
+            assert.equal(energy.objective('balanced', 2, 3), 6);
+            assert.equal(energy.objective('balanced', 2, null), null);
+            assert.equal(energy.objective('speed', 2, 3), null);
+        });
+    });
+
+    describe('get_task_energy', function() {
+        var storage;
+
+        before(function(done) {
+            var items = [];
+            for (var seconds = 0; seconds <= 2500; ++seconds) {
+                items.push({
+                    workflow: 'ms2',
+                    task: 't1',
+                    experiment: 'e1',
+                    sample: power_sample('node01', seconds, seconds % 2 ? 100 : 200)
+                });
+            }
+            storage = storage_backends.create('memory');
+            storage.init(function(error) {
+                if (error) {
+                    return done(error);
+                }
+                storage.addSamples(items, done);
+            });
+        });
+
+        it('integrates all pages of samples', function(done) {
+            energy.get_task_energy(storage, 'ms2', 't1', 'e1', function(error, data) {
+                assert.ifError(error);
+                assert.equal(data.runtime, 2500);
+                assert.equal(data.energy, 2500 * 150);
+                assert.equal(data.average_power, 150);
+                assert.equal(data.energy_delay_product, 2500 * 150 * 2500);
+                assert.deepEqual(Object.keys(data.hosts), [ 'node01' ]);
+                done();
+            });
+        });
+
+        it('reports no energy without samples', function(done) {
+            energy.get_task_energy(storage, 'ms2', 't2', 'e1', function(error, data) {
+                assert.ifError(error);
+                assert.equal(data.runtime, 0);
+                assert.equal(data.energy, null);
+                assert.deepEqual(data.hosts, {});
+                done();
+            });
+        });
+    });
+});
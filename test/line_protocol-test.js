@@ -0,0 +1,103 @@
+var assert = require('assert');
+var line_protocol = require('../lib/line_protocol');
+
+function parse_one(line, precision) {
+    var results = line_protocol.parse(line, precision || 'ns');
+    assert.equal(results.length, 1);
+    return results[0];
+}
+
+describe('line protocol', function() {
+    describe('parse', function() {
+        it('reads measurement, tags, fields and timestamp', function() {
+            var result = parse_one('power,host=node01,task=t1 GPU0:power=152.427,GPU1:power=148i 1462899600123456789');
+            assert.deepEqual(result, {
+                line: 1,
+                point: {
+                    measurement: 'power',
+                    tags: { host: 'node01', task: 't1' },
+                    fields: { 'GPU0:power': 152.427, 'GPU1:power': 148 },
+                    time: 1462899600123
+                }
+            });
+        });
+
+        it('skips empty lines and comments and counts lines', function() {
+            var results = line_protocol.parse('# comment\n\nmem free=1\r\n  \nmem free=2', 'ns');
+            assert.deepEqual(results.map(function(result) {
+                return result.line;
+            }), [ 3, 5 ]);
+            assert.equal(results[0].point.time, null);
+        });
+
+        it('reads the field types', function() {
+            var fields = parse_one('m a=1.5,b=-2i,c=3u,d=t,e=FALSE,f=1e3,g=.5,h="text"').point.fields;
+            assert.deepEqual(fields, { a: 1.5, b: -2, c: 3, d: true, e: false, f: 1000, g: 0.5, h: 'text' });
+        });
+
+        it('unescapes measurements, tags and field keys', function() {
+            var point = parse_one('weird\\,name\\ x,cpu=cpu\\ 0,a\\=b=c\\,d field\\ key=1').point;
+            assert.equal(point.measurement, 'weird,name x');
+            assert.deepEqual(point.tags, { cpu: 'cpu 0', 'a=b': 'c,d' });
+            assert.deepEqual(point.fields, { 'field key': 1 });
+        });
+
+        it('unescapes double quotes and backslashes of strings', function() {
+            var fields = parse_one('m label="a \\"q\\" b",path="c:\\\\dir",plain="x\\y"').point.fields;
+            assert.deepEqual(fields, { label: 'a "q" b', path: 'c:\\dir', plain: 'x\\y' });
+        });
+
+        it('keeps commas and spaces within strings', function() {
+            assert.deepEqual(parse_one('m a="x, y=1",b=2 1000').point.fields, { a: 'x, y=1', b: 2 });
+        });
+
+        it('converts timestamps of every precision to milliseconds', function() {
+            var expected = {
+                n: [ '1462899600123456789', 1462899600123 ],
+                ns: [ '1462899600123456789', 1462899600123 ],
+                u: [ '1462899600123456', 1462899600123 ],
+                us: [ '1462899600123456', 1462899600123 ],
+                ms: [ '1462899600123', 1462899600123 ],
+                s: [ '1462899600', 1462899600000 ],
+                m: [ '24381660', 1462899600000 ],
+                h: [ '406361', 1462899600000 ]
+            };
+            assert.deepEqual(Object.keys(expected).sort(), Object.keys(line_protocol.precisions).sort());
+            Object.keys(expected).forEach(function(precision) {
+                var point = parse_one('m a=1 ' + expected[precision][0], precision).point;
+                assert.strictEqual(point.time, expected[precision][1], precision);
+            });
+        });
+
+        it('reports malformed lines with their number', function() {
+            var errors = line_protocol.parse([
+                'm a=abc',
+                'm',
+                'm,host a=1',
+                'm,host= a=1',
+                'm a="unterminated',
+                'm a=1 12x',
+                'm a=1 99999999999999999999999999',
+                ',x=1 a=1',
+                'm a=1x',
+                'm a b=1',
+                'm a=1,=2'
+            ].join('\n'), 'ns').map(function(result) {
+                return result.line + ': ' + result.error;
+            });
+            assert.deepEqual(errors, [
+                "1: Invalid value of the field 'a'.",
+                '2: The fields are missing.',
+                '3: Invalid tag at column 3.',
+                "4: The tag 'host' has no value.",
+                "5: The string of the field 'a' is not terminated.",
+                "6: Invalid timestamp '12x'.",
+                "7: The timestamp '99999999999999999999999999' is out of range.",
+                '8: The measurement is missing.',
+                "9: Invalid value of the field 'a'.",
+                '10: Invalid field at column 3.',
+                '11: Invalid field at column 7.'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,228 @@
+var assert = require('assert');
+var otlp = require('../lib/otlp');
+
+/* protobuf encoding of the test messages */
+
+function varint(value) {
+    var bytes = [];
+    value = BigInt(value);
+    do {
+        var byte = Number(value & 0x7fn);
+        value >>= 7n;
+        bytes.push(value > 0n ? byte | 0x80 : byte);
+    } while (value > 0n);
+    return Buffer.from(bytes);
+}
+
+function key(number, wire_type) {
+    return varint(number << 3 | wire_type);
+}
+
+function message(number, fields) {
+    var body = Buffer.concat(fields);
+    return Buffer.concat([ key(number, 2), varint(body.length), body ]);
+}
+
+function string(number, text) {
+    var bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([ key(number, 2), varint(bytes.length), bytes ]);
+}
+
+function fixed64(number, value) {
+    var bytes = Buffer.alloc(8);
+    bytes.writeBigUInt64LE(BigInt(value));
+    return Buffer.concat([ key(number, 1), bytes ]);
+}
+
+function double(number, value) {
+    var bytes = Buffer.alloc(8);
+    bytes.writeDoubleLE(value);
+    return Buffer.concat([ key(number, 1), bytes ]);
+}
+
+function attribute(name, value) {
+    return message(1, [ string(1, name), message(2, [ string(1, value) ]) ]);
+}
+
+/* an ExportMetricsServiceRequest with one resource, scope and the given metrics */
+function request(metrics) {
+    return message(1, [
+        message(1, [
+            attribute('workflow', 'ms2'),
+            attribute('task', 't1'),
+            attribute('experiment', 'E1'),
+            attribute('host.name', 'node01')
+        ]),
+        message(2, [ message(1, [ string(1, 'power') ]) ].concat(metrics))
+    ]);
+}
+
+function gauge(name, points) {
+    return message(2, [ string(1, name), message(5, points) ]);
+}
+
+function point(time, value, fields) {
+    return message(1, [ fixed64(3, time), double(4, value) ].concat(fields || []));
+}
+
+describe('otlp', function() {
+    describe('decode', function() {
+        it('decodes a request into the structure of the JSON encoding', function() {
+            var decoded = otlp.decode(request([ gauge('GPU0:power', [ point('1462899600123456789', 152.427) ]) ]));
+            var resource = decoded.resourceMetrics[0];
+            assert.deepEqual(resource.resource.attributes[3], { key: 'host.name', value: { stringValue: 'node01' } });
+            assert.deepEqual(resource.scopeMetrics[0].scope, { name: 'power' });
+            assert.deepEqual(resource.scopeMetrics[0].metrics[0], {
+                name: 'GPU0:power',
+                gauge: { dataPoints: [ { timeUnixNano: '1462899600123456789', asDouble: 152.427 } ] }
+            });
+        });
+
+        it('reads negative integers', function() {
+            var bytes = Buffer.alloc(8);
+            bytes.writeBigInt64LE(-5n);
+            var decoded = otlp.decode(request([
+                gauge('temp', [ message(1, [ Buffer.concat([ key(6, 1), bytes ]) ]) ]),
+                gauge('cores', [ message(1, [ message(7, [ string(1, 'n'), message(2, [ Buffer.concat([ key(3, 0), varint(BigInt.asUintN(64, -3n)) ]) ]) ]) ]) ])
+            ]));
+            var metrics = decoded.resourceMetrics[0].scopeMetrics[0].metrics;
+            assert.strictEqual(metrics[0].gauge.dataPoints[0].asInt, '-5');
+            assert.strictEqual(metrics[1].gauge.dataPoints[0].attributes[0].value.intValue, '-3');
+        });
+
+        it('reads packed and unpacked repeated scalars', function() {
+            var counts = Buffer.alloc(16);
+            counts.writeBigUInt64LE(3n, 0);
+            counts.writeBigUInt64LE(4n, 8);
+            var decoded = otlp.decode(request([ message(2, [ string(1, 'latency'), message(9, [ message(1, [
+                Buffer.concat([ key(6, 2), varint(16), counts ]),
+                double(7, 0.5),
+                double(7, 1.5)
+            ]) ]) ]) ]));
+            var data_point = decoded.resourceMetrics[0].scopeMetrics[0].metrics[0].histogram.dataPoints[0];
+            assert.deepEqual(data_point.bucketCounts, [ '3', '4' ]);
+            assert.deepEqual(data_point.explicitBounds, [ 0.5, 1.5 ]);
+        });
+
+        it('skips unknown fields of every wire type', function() {
+            var decoded = otlp.decode(Buffer.concat([
+                Buffer.concat([ key(15, 0), varint(300) ]),
+                Buffer.concat([ key(16, 1), Buffer.alloc(8) ]),
+                string(17, 'unknown'),
+                Buffer.concat([ key(18, 5), Buffer.alloc(4) ]),
+                request([])
+            ]));
+            assert.equal(decoded.resourceMetrics.length, 1);
+        });
+
+        it('accepts the largest varint of ten bytes', function() {
+            var decoded = otlp.decode(message(1, [ message(2, [ message(2, [ string(1, 'cores'), message(5, [ message(1, [
+                message(7, [ string(1, 'n'), message(2, [ Buffer.concat([ key(3, 0), varint(0xffffffffffffffffn) ]) ]) ])
+            ]) ]) ]) ]) ]));
+            var data_point = decoded.resourceMetrics[0].scopeMetrics[0].metrics[0].gauge.dataPoints[0];
+            assert.strictEqual(data_point.attributes[0].value.intValue, '-1');
+        });
+
+        it('rejects varints of more than 64 bits', function() {
+            assert.throws(function() {
+                otlp.decode(Buffer.concat([ key(15, 0), Buffer.from([ 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x02 ]) ]));
+            }, /Invalid varint/);
+            assert.throws(function() {
+                otlp.decode(Buffer.concat([ key(15, 0), Buffer.from([ 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x00 ]) ]));
+            }, /Invalid varint/);
+        });
+
+        it('rejects truncated varints', function() {
+            assert.throws(function() {
+                otlp.decode(Buffer.from([ 0x0a, 0x80 ]));
+            }, /Invalid varint/);
+            assert.throws(function() {
+                otlp.decode(Buffer.from([ 0x80 ]));
+            }, /Invalid varint/);
+        });
+
+        it('rejects truncated messages', function() {
+            var encoded = request([ gauge('GPU0:power', [ point('1462899600123456789', 152.427) ]) ]);
+            for (var length = 1; length < encoded.length; ++length) {
+                assert.throws(function() {
+                    otlp.decode(encoded.subarray(0, length));
+                }, /Truncated protobuf message|Invalid varint/, 'length ' + length);
+            }
+        });
+
+        it('rejects lengths beyond the message', function() {
+            assert.throws(function() {
+                otlp.decode(Buffer.concat([ key(1, 2), varint(0xffffffffffffn), Buffer.alloc(4) ]));
+            }, /Truncated protobuf message/);
+        });
+
+        it('rejects wrong and unknown wire types', function() {
+            assert.throws(function() {
+                otlp.decode(Buffer.concat([ key(1, 0), varint(1) ]));
+            }, /Invalid wire type of the field 'resourceMetrics'/);
+            assert.throws(function() {
+                otlp.decode(Buffer.concat([ key(15, 3) ]));
+            }, /Unsupported wire type 3/);
+        });
+    });
+
+    describe('convert', function() {
+        it('groups the data points of equal time and attributes into samples', function() {
+            var core = message(7, [ string(1, 'core'), message(2, [ string(1, '0') ]) ]);
+            var result = otlp.convert(otlp.decode(request([
+                gauge('GPU0:power', [ point('1462899600123456789', 152.427, [ core ]) ]),
+                gauge('GPU1:power', [ point('1462899600123456789', 148, [ core ]), point('1462899601000000000', 150, [ core ]) ])
+            ])));
+            assert.deepEqual(result.rejected, []);
+            assert.deepEqual(result.samples, [ {
+                workflow: 'ms2',
+                task: 't1',
+                experiment: 'E1',
+                host: 'node01',
+                type: 'power',
+                time: 1462899600123,
+                attributes: { core: '0' },
+                metrics: { 'GPU0:power': 152.427, 'GPU1:power': 148 },
+                points: 2
+            }, {
+                workflow: 'ms2',
+                task: 't1',
+                experiment: 'E1',
+                host: 'node01',
+                type: 'power',
+                time: 1462899601000,
+                attributes: { core: '0' },
+                metrics: { 'GPU1:power': 150 },
+                points: 1
+            } ]);
+        });
+
+        it('rejects the data points of resources lacking attributes', function() {
+            var result = otlp.convert({ resourceMetrics: [ { resource: { attributes: [
+                { key: 'workflow', value: { stringValue: 'ms2' } }
+            ] }, scopeMetrics: [ { metrics: [ { name: 'temp', gauge: { dataPoints: [ { asDouble: 1 }, { asDouble: 2 } ] } } ] } ] } ] });
+            assert.deepEqual(result, {
+                samples: [],
+                rejected: [ { points: 2, error: 'The resource attributes task, experiment, host.name are missing.' } ]
+            });
+        });
+
+        it('rejects requests that are no objects', function() {
+            [ null, [], 'text', 1 ].forEach(function(value) {
+                assert.throws(function() {
+                    otlp.convert(value);
+                }, /no ExportMetricsServiceRequest/);
+            });
+        });
+    });
+
+    describe('encode_response', function() {
+        it('is empty without rejected data points', function() {
+            assert.equal(otlp.encode_response(0, '').length, 0);
+        });
+
+        it('reports rejected data points as partial success', function() {
+            assert.deepEqual(otlp.encode_response(300, 'bad'), Buffer.from([ 0x0a, 0x08, 0x08, 0xac, 0x02, 0x12, 0x03, 0x62, 0x61, 0x64 ]));
+        });
+    });
+});
@@ -0,0 +1,175 @@
+var assert = require('assert');
+var regression = require('../lib/regression');
+var storage_backends = require('../lib/storage');
+
+var settings = { window: 5, min_history: 3, threshold: 3.5, min_change: 0.05 };
+
+var start = Date.UTC(2016, 4, 10, 17);
+
+/* a finished experiment as get_history returns it, with the runtime of task t1 */
+function finished(runtime) {
+    return { source: { indicators: { t1: { runtime: runtime, power: null, energy: null } } } };
+}
+
+describe('regression', function() {
+    describe('get_baseline', function() {
+        it('takes median and deviations per task and indicator', function() {
+            var baseline = regression.get_baseline([ 10, 12, 11, 30 ].map(finished));
+            assert.deepEqual(baseline, {
+                t1: {
+                    runtime: {
+                        median: 11.5,
+                        median_absolute_deviation: 1,
+                        mean_absolute_deviation: 5.25,
+                        count: 4
+                    }
+                }
+            });
+        });
+
+        it('leaves out indicators without values', function() {
+            var history = [ finished(10), { source: { indicators: { t1: { runtime: 'n/a' }, t2: {} } } } ];
+            assert.equal(regression.get_baseline(history).t1.runtime.count, 1);
+            assert.deepEqual(regression.get_baseline(history).t2, {});
+        });
+    });
+
+    describe('judge', function() {
+        var baseline = regression.get_baseline([ 10, 12, 11, 10, 12 ].map(finished));
+
+        it('flags values deviating from the baseline', function() {
+            var result = regression.judge({ t1: { runtime: 20, power: null, energy: null } }, baseline, settings);
+            assert.equal(result.regressions, 1);
+            assert.deepEqual(result.tasks.t1, {
+                runtime: {
+                    value: 20,
+                    median: 11,
+                    median_absolute_deviation: 1,
+                    history: 5,
+                    z_score: 0.6745 * 9,
+                    change: 9 / 11,
+                    status: 'regression'
+                }
+            });
+        });
+
+        it('tells improvements and normal values apart', function() {
+            var result = regression.judge({ t1: { runtime: 5 }, t2: { runtime: 5 } }, baseline, settings);
+            assert.equal(result.regressions, 0);
+            assert.equal(result.tasks.t1.runtime.status, 'improvement');
+            assert.equal(regression.judge({ t1: { runtime: 12 } }, baseline, settings).tasks.t1.runtime.status, 'normal');
+        });
+
+        it('ignores small changes', function() {
+            var tight = regression.get_baseline([ 100, 100.1, 100, 100.1, 100 ].map(finished));
+            assert.equal(regression.judge({ t1: { runtime: 101 } }, tight, settings).tasks.t1.runtime.status, 'normal');
+            assert.equal(regression.judge({ t1: { runtime: 110 } }, tight, settings).tasks.t1.runtime.status, 'regression');
+        });
+
+        it('needs enough history', function() {
+            var short = regression.get_baseline([ 10, 11 ].map(finished));
+            var result = regression.judge({ t1: { runtime: 20 }, t2: { runtime: 1 } }, short, settings);
+            assert.deepEqual(result.tasks.t1.runtime, { value: 20, history: 2, status: 'insufficient_history' });
+            assert.deepEqual(result.tasks.t2.runtime, { value: 1, history: 0, status: 'insufficient_history' });
+        });
+
+        it('falls back to the mean absolute deviation', function() {
+            var flat = regression.get_baseline([ 10, 10, 10, 10, 20 ].map(finished));
+            var judged = regression.judge({ t1: { runtime: 30 } }, flat, settings).tasks.t1.runtime;
+            assert.equal(judged.median_absolute_deviation, 0);
+            assert.equal(judged.z_score, 20 / (1.2533 * 2));
+            assert.equal(judged.status, 'regression');
+            judged = regression.judge({ t1: { runtime: 10 } }, regression.get_baseline([ 10, 10, 10 ].map(finished)), settings);
+            assert.equal(judged.tasks.t1.runtime.z_score, 0);
+        });
+    });
+
+    describe('with storage', function() {
+        var storage;
+
+        /* adds experiments that finished i seconds after start, every third without indicators */
+        function add_experiments(count, callback) {
+            var i = 0;
+            (function add() {
+                if (i === count) {
+                    return callback(null);
+                }
+                var experiment = {
+                    status: 'finished',
+                    end_time: new Date(start + i * 1000).toISOString()
+                };
+                if (i % 3 !== 0) {
+                    experiment.indicators = { t1: { runtime: i, power: null, energy: null } };
+                }
+                ++i;
+                storage.addExperiment('ms2', experiment, function(error) {
+                    return error ? callback(error) : add();
+                });
+            })();
+        }
+
+        before(function(done) {
+            storage = storage_backends.create('memory');
+            storage.putWorkflow('ms2', { tasks: [ { name: 'T1' } ] }, function(error) {
+                if (error) {
+                    return done(error);
+                }
+                add_experiments(30, done);
+            });
+        });
+
+        it('reads the latest experiments with indicators', function(done) {
+            regression.get_history(storage, 'ms2', null, settings, function(error, history) {
+                assert.ifError(error);
+                assert.deepEqual(history.map(function(experiment) {
+                    return experiment.source.indicators.t1.runtime;
+                }), [ 29, 28, 26, 25, 23 ]);
+                done();
+            });
+        });
+
+        it('reads the experiments that finished before the given time', function(done) {
+            var before = new Date(start + 20 * 1000).toISOString();
+            regression.get_history(storage, 'ms2', before, { window: 20 }, function(error, history) {
+                assert.ifError(error);
+                assert.deepEqual(history.map(function(experiment) {
+                    return experiment.source.indicators.t1.runtime;
+                }), [ 19, 17, 16, 14, 13, 11, 10, 8, 7, 5, 4, 2, 1 ]);
+                done();
+            });
+        });
+
+        it('measures, judges and stores a finished experiment', function(done) {
+            var end_time = new Date(start + 60 * 1000).toISOString(),
+                samples = [ 0, 100 ].map(function(seconds) {
+                    return {
+                        workflow: 'ms2',
+                        task: 't1',
+                        sample: { local_timestamp: new Date(start + seconds * 1000).toISOString().replace('Z', '') }
+                    };
+                });
+            storage.addExperiment('ms2', { status: 'finished', end_time: end_time }, function(error, id) {
+                assert.ifError(error);
+                samples.forEach(function(item) {
+                    item.experiment = id;
+                });
+                storage.addSamples(samples, function(error) {
+                    assert.ifError(error);
+                    regression.analyse(storage, 'ms2', id, { end_time: end_time }, settings, function(error, fields) {
+                        assert.ifError(error);
+                        assert.deepEqual(fields.indicators, { t1: { runtime: 100, power: null, energy: null } });
+                        assert.equal(fields.regression.regressions, 1);
+                        assert.equal(fields.regression.tasks.t1.runtime.median, 26);
+                        assert.equal(fields.regression.tasks.t1.runtime.status, 'regression');
+                        assert.equal(fields.regression.baseline.length, 5);
+                        storage.getExperiment('ms2', id, function(error, experiment) {
+                            assert.ifError(error);
+                            assert.deepEqual(experiment.regression, fields.regression);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,99 @@
+var assert = require('assert');
+var runtime = require('../lib/runtime');
+var workflow = require('../lib/workflow');
+var storage_backends = require('../lib/storage');
+
+/* measured runtime data of a task running from start to end (seconds) */
+function measured(start, end) {
+    var base = Date.UTC(2016, 4, 10, 17);
+    return {
+        start: new Date(base + start * 1000).toISOString(),
+        end: new Date(base + end * 1000).toISOString()
+    };
+}
+
+describe('runtime', function() {
+    describe('critical_path', function() {
+        /* T1 feeds T2 and T3, which both feed T4 */
+        var graph = workflow.graph({
+            tasks: [
+                { name: 'T1', next: [ 'T2', 'T3' ] },
+                { name: 'T2', next: 'T4' },
+                { name: 'T3', next: 'T4' },
+                { name: 'T4' }
+            ]
+        });
+
+        it('finds the longest chain and the slack of the other tasks', function() {
+            var result = runtime.critical_path(graph, {
+                T1: measured(0, 10),
+                T2: measured(12, 42),
+                T3: measured(10, 20),
+                T4: measured(45, 50)
+            });
+            assert.deepEqual(result.critical_path, [ 'T1', 'T2', 'T4' ]);
+            assert.equal(result.length, 45);
+            assert.equal(result.wait, 5);
+            var tasks = {};
+            result.tasks.forEach(function(task) {
+                tasks[task.task] = task;
+            });
+            assert.deepEqual(tasks.T3, {
+                task: 'T3',
+                measured: true,
+                runtime: 10,
+                earliest_start: 10,
+                latest_start: 30,
+                slack: 20,
+                wait: 0,
+                critical: false
+            });
+            assert.equal(tasks.T2.wait, 2);
+            assert.equal(tasks.T4.wait, 3);
+            assert.equal(tasks.T1.wait, null);
+        });
+
+        it('counts tasks without samples with a runtime of zero', function() {
+            var result = runtime.critical_path(graph, { T1: measured(0, 10), T3: measured(10, 20) });
+            assert.deepEqual(result.critical_path, [ 'T1', 'T3', 'T4' ]);
+            assert.equal(result.length, 20);
+            assert.equal(result.tasks[1].measured, false);
+            assert.equal(result.tasks[1].slack, 10);
+        });
+    });
+
+    describe('get_task_runtime', function() {
+        var storage;
+
+        before(function(done) {
+            storage = storage_backends.create('memory');
+            storage.addSamples([ '17:00:05.000', '17:00:00.500', '17:01:00.000' ].map(function(time, i) {
+                return {
+                    workflow: 'ms2',
+                    task: 't1',
+                    experiment: 'e1',
+                    sample: { local_timestamp: '2016-05-10T' + time, host: 'node0' + i }
+                };
+            }), done);
+        });
+
+        it('measures from the first to the last sample', function(done) {
+            runtime.get_task_runtime(storage, 'ms2', 't1', 'e1', function(error, data) {
+                assert.ifError(error);
+                assert.equal(data.start, '2016-05-10T17:00:00.500');
+                assert.equal(data.end, '2016-05-10T17:01:00.000');
+                assert.equal(data.host, 'node02');
+                assert.equal(data.runtime, 59.5);
+                done();
+            });
+        });
+
+        it('returns a runtime of zero without samples', function(done) {
+            runtime.get_task_runtime(storage, 'ms2', 't2', 'e1', function(error, data) {
+                assert.ifError(error);
+                assert.deepEqual(data, { runtime: 0 });
+                done();
+            });
+        });
+    });
+});
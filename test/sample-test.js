@@ -0,0 +1,79 @@
+var assert = require('assert');
+var sample = require('../lib/sample');
+
+describe('sample', function() {
+    describe('validate', function() {
+        it('accepts samples of names, timestamps and numeric metrics', function() {
+            assert.deepEqual(sample.validate({
+                WorkflowID: 'ms2',
+                ExperimentID: 'AVUWnydqGMPeuCn4l-cj',
+                TaskID: 't2.1',
+                local_timestamp: '2016-02-15T12:43:48.749',
+                host: 'node01',
+                'GPU1:power': '168.519',
+                'GPU0:power': 152.427
+            }), []);
+            assert.deepEqual(sample.validate({ WorkflowID: 'ms2', ExperimentID: 1, local_timestamp: 1455540408524 }), []);
+        });
+
+        it('lists the problems of a sample', function() {
+            assert.deepEqual(sample.validate([]), [ "The sample must be a JSON object." ]);
+            assert.deepEqual(sample.validate({ TaskID: '', host: 1, local_timestamp: '15.02.2016', power: 'n/a' }), [
+                "The field 'WorkflowID' is missing.",
+                "The field 'ExperimentID' is missing.",
+                "The field 'TaskID' must be a non-empty string.",
+                "The field 'host' must be a string.",
+                "The field 'local_timestamp' must be milliseconds since the epoch or a time like " +
+                    "2016-02-15T12:43:48.749, got \"15.02.2016\".",
+                "The metric 'power' must be numeric, got \"n/a\"."
+            ]);
+        });
+
+        it('rejects invalid IDs', function() {
+            assert.deepEqual(sample.validate({ WorkflowID: '__proto__', ExperimentID: 'e1' }), [
+                "The workflow ID '__proto__' is reserved."
+            ]);
+            assert.equal(sample.validate({ WorkflowID: 'ms2', ExperimentID: 'e1', TaskID: 'task one' }).length, 1);
+        });
+    });
+
+    describe('check_id', function() {
+        it('rejects reserved IDs in any case', function() {
+            assert.equal(sample.check_id('experiment', 'Constructor'), "The experiment ID 'Constructor' is reserved.");
+            assert.equal(sample.check_id('task', 'prototype'), "The task ID 'prototype' is reserved.");
+        });
+
+        it('checks workflow and task IDs against index names', function() {
+            [ 'a b', 'a/b', 'a*', 'a?', 'a"b', 'a<b', 'a|b', 'a,b', 'a#b', 'a:b', 'a\\b' ].forEach(function(id) {
+                assert.notEqual(sample.check_id('workflow', id), null, id);
+            });
+            assert.notEqual(sample.check_id('task', new Array(102).join('a')), null);
+            assert.equal(sample.check_id('task', new Array(101).join('a')), null);
+            assert.equal(sample.check_id('workflow', 'ms2-v1.0_final'), null);
+            assert.equal(sample.check_id('experiment', 'a b'), null);
+        });
+
+        it('returns the first problem of an item', function() {
+            assert.equal(sample.check_ids({ workflow: 'ms2', task: 'a b', experiment: 'constructor' }),
+                "The task ID 'a b' must not contain whitespace or any of \\ / * ? \" < > | , # :.");
+            assert.equal(sample.check_ids({ workflow: 'ms2', experiment: 'e1' }), null);
+        });
+    });
+
+    describe('parse_metrics', function() {
+        it('converts metrics holding numbers to numbers', function() {
+            assert.deepEqual(sample.parse_metrics({ TaskID: '12', host: '3', power: '1.5e2', note: 'n/a', count: 4 }),
+                { TaskID: '12', host: '3', power: 150, note: 'n/a', count: 4 });
+        });
+    });
+
+    describe('to_number', function() {
+        it('accepts finite numbers and strings holding one', function() {
+            assert.equal(sample.to_number(' 42 '), 42);
+            assert.equal(sample.to_number(-1.5), -1.5);
+            [ '', ' ', 'abc', Infinity, NaN, null, true, [ 1 ] ].forEach(function(value) {
+                assert.equal(sample.to_number(value), null, String(value));
+            });
+        });
+    });
+});
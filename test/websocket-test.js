@@ -0,0 +1,258 @@
+var assert = require('assert');
+var http = require('http');
+var net = require('net');
+var crypto = require('crypto');
+var express = require('express');
+var websocket = require('../lib/websocket');
+
+/* a client frame, masked unless mask is false */
+function frame(opcode, payload, options) {
+    options = options || {};
+    payload = Buffer.from(payload || '');
+    var fin = options.fin === false ? 0 : 0x80,
+        mask = options.mask === false ? 0 : 0x80,
+        header;
+    if (payload.length < 126) {
+        header = Buffer.from([ fin | opcode, mask | payload.length ]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = fin | opcode;
+        header[1] = mask | 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    if (!mask) {
+        return Buffer.concat([ header, payload ]);
+    }
+    var key = crypto.randomBytes(4),
+        masked = Buffer.alloc(payload.length);
+    for (var i = 0; i < payload.length; ++i) {
+        masked[i] = payload[i] ^ key[i % 4];
+    }
+    return Buffer.concat([ header, key, masked ]);
+}
+
+function close_payload(code) {
+    var payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    return payload;
+}
+
+/* reads the unmasked server frames of data as { opcode, payload } */
+function read_frames(data) {
+    var frames = [];
+    for (var pos = 0; pos + 2 <= data.length;) {
+        var length = data[pos + 1] & 0x7f,
+            start = pos + 2;
+        if (length === 126) {
+            length = data.readUInt16BE(pos + 2);
+            start += 2;
+        }
+        if (start + length > data.length) {
+            break;
+        }
+        frames.push({ opcode: data[pos] & 0x0f, payload: data.subarray(start, start + length) });
+        pos = start + length;
+    }
+    return frames;
+}
+
+describe('websocket', function() {
+    var server, port, connections;
+
+    before(function(done) {
+        var app = express();
+        app.get('/stream', function(req, res) {
+            websocket.accept(req, res, function(connection) {
+                connections.push(connection);
+                connection.send('hello');
+            });
+        });
+        server = http.createServer(app);
+        websocket.attach(server, app);
+        server.listen(0, '127.0.0.1', function() {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    beforeEach(function() {
+        connections = [];
+    });
+
+    /*
+     * Connects with the given headers and calls back with the response head
+     * and the socket; data collects the bytes after the head.
+     */
+    function connect(headers, callback) {
+        var socket = net.connect(port, '127.0.0.1'),
+            received = Buffer.alloc(0),
+            head = null;
+        socket.data = Buffer.alloc(0);
+        socket.on('data', function(chunk) {
+            if (head !== null) {
+                socket.data = Buffer.concat([ socket.data, chunk ]);
+                socket.emit('frames');
+                return;
+            }
+            received = Buffer.concat([ received, chunk ]);
+            var end = received.indexOf('\r\n\r\n');
+            if (end !== -1) {
+                head = received.subarray(0, end).toString();
+                socket.data = received.subarray(end + 4);
+                callback(head, socket);
+                socket.emit('frames');
+            }
+        });
+        socket.write('GET /stream HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n' +
+            Object.keys(headers).map(function(name) {
+                return name + ': ' + headers[name] + '\r\n';
+            }).join('') + '\r\n');
+    }
+
+    function open(callback) {
+        connect({
+            'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13'
+        }, callback);
+    }
+
+    /* calls back once the server frames satisfy the predicate */
+    function wait_for(socket, predicate, callback) {
+        function check() {
+            var frames = read_frames(socket.data);
+            if (predicate(frames)) {
+                socket.removeListener('frames', check);
+                callback(frames);
+            }
+        }
+        socket.on('frames', check);
+        check();
+    }
+
+    function close_code(frames) {
+        var close = frames.filter(function(frame) {
+            return frame.opcode === 0x8;
+        })[0];
+        return close ? close.payload.readUInt16BE(0) : null;
+    }
+
+    it('answers malformed handshakes with 400', function(done) {
+        var socket = net.connect(port, '127.0.0.1'),
+            response = '';
+        socket.on('data', function(chunk) {
+            response += chunk;
+        });
+        socket.on('end', function() {
+            assert(/^HTTP\/1\.1 400/.test(response));
+            assert(/Sec-WebSocket-Version: 13/i.test(response));
+            assert(/"error":"Unsupported WebSocket handshake\."/.test(response));
+            socket.destroy();
+            done();
+        });
+        socket.write('GET /stream HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n');
+    });
+
+    it('completes the handshake and sends text messages', function(done) {
+        open(function(head, socket) {
+            assert(/^HTTP\/1\.1 101/.test(head));
+            wait_for(socket, function(frames) {
+                return frames.length > 0;
+            }, function(frames) {
+                assert.equal(frames[0].opcode, 0x1);
+                assert.equal(frames[0].payload.toString(), 'hello');
+                socket.destroy();
+                done();
+            });
+        });
+    });
+
+    it('ignores masked and fragmented messages and answers pings', function(done) {
+        open(function(head, socket) {
+            socket.write(Buffer.concat([
+                frame(0x1, 'whole'),
+                frame(0x1, 'frag', { fin: false }),
+                frame(0x9, 'between'),
+                frame(0x0, 'mented', { fin: false }),
+                frame(0x0, '!'),
+                frame(0x2, Buffer.alloc(200)),
+                frame(0x9, 'after')
+            ]));
+            wait_for(socket, function(frames) {
+                return frames.length >= 3;
+            }, function(frames) {
+                assert.deepEqual(frames.slice(1).map(function(frame) {
+                    return frame.opcode + ' ' + frame.payload;
+                }), [ '10 between', '10 after' ]);
+                assert.equal(connections[0].closed, false);
+                socket.destroy();
+                done();
+            });
+        });
+    });
+
+    it('closes the connection on unmasked frames', function(done) {
+        open(function(head, socket) {
+            socket.write(frame(0x1, 'plain', { mask: false }));
+            wait_for(socket, close_code, function(frames) {
+                assert.equal(close_code(frames), 1002);
+                socket.destroy();
+                done();
+            });
+        });
+    });
+
+    it('closes the connection on oversized frames', function(done) {
+        open(function(head, socket) {
+            socket.write(frame(0x2, Buffer.alloc(65535), { fin: false }));
+            socket.write(frame(0x0, Buffer.alloc(10)));
+            wait_for(socket, close_code, function(frames) {
+                assert.equal(close_code(frames), 1009);
+                socket.destroy();
+                done();
+            });
+        });
+    });
+
+    it('answers the close frames of clients', function(done) {
+        open(function(head, socket) {
+            wait_for(socket, function(frames) {
+                return frames.length > 0;
+            }, function() {
+                connections[0].on('close', function() {
+                    wait_for(socket, close_code, function(frames) {
+                        assert.equal(close_code(frames), 1000);
+                        socket.destroy();
+                        done();
+                    });
+                });
+                socket.write(frame(0x8, close_payload(1000)));
+            });
+        });
+    });
+
+    it('sends the close code of the server', function(done) {
+        open(function(head, socket) {
+            wait_for(socket, function(frames) {
+                return frames.length > 0;
+            }, function() {
+                var closed = false;
+                connections[0].on('close', function() {
+                    closed = true;
+                });
+                connections[0].close(1008);
+                connections[0].send('dropped');
+                wait_for(socket, close_code, function(frames) {
+                    assert(closed);
+                    assert.equal(close_code(frames), 1008);
+                    assert.equal(frames.length, 2);
+                    socket.destroy();
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,166 @@
+var assert = require('assert');
+var workflow = require('../lib/workflow');
+var storage_backends = require('../lib/storage');
+
+function messages(definition) {
+    return workflow.validate(definition).map(function(problem) {
+        return problem.message;
+    });
+}
+
+describe('workflow', function() {
+    describe('graph', function() {
+        it('orders the tasks by their dependencies', function() {
+            var graph = workflow.graph({
+                tasks: [
+                    { name: 'T3', previous: [ 't1', 'T2' ] },
+                    { name: 'T1', next: 'T2' },
+                    { name: 'T2', previous: 'T1' },
+                    { name: 'T4' }
+                ]
+            });
+            assert.deepEqual(graph.order, [ 'T1', 'T4', 'T2', 'T3' ]);
+            assert.deepEqual(graph.entry, [ 'T1', 'T4' ]);
+            assert.deepEqual(graph.exit, [ 'T4', 'T3' ]);
+            assert.deepEqual(graph.edges, [
+                { from: 'T1', to: 'T3' },
+                { from: 'T2', to: 'T3' },
+                { from: 'T1', to: 'T2' }
+            ]);
+            assert.deepEqual(graph.nodes[0].previous, [ 'T1', 'T2' ]);
+        });
+
+        it('returns null for invalid workflows', function() {
+            assert.equal(workflow.graph({ tasks: [ { name: 'T1', next: 'T9' } ] }), null);
+        });
+    });
+
+    describe('validate', function() {
+        it('accepts workflows without tasks', function() {
+            assert.deepEqual(workflow.validate({}), []);
+            assert.deepEqual(workflow.validate({ tasks: [] }), []);
+        });
+
+        it('reports malformed workflows and tasks', function() {
+            assert.deepEqual(messages([]), [ "The workflow must be a JSON object." ]);
+            assert.deepEqual(messages({ tasks: {} }), [ "'tasks' must be a list of tasks." ]);
+            assert.deepEqual(messages({ tasks: [ 'T1', { exec: 'a.out' } ] }), [
+                "Task 0 must be a JSON object.",
+                "Task 1 has no name."
+            ]);
+        });
+
+        it('reports duplicate and invalid task names', function() {
+            assert.deepEqual(messages({ tasks: [ { name: 'T1' }, { name: 't1' } ] }), [
+                "Task name 't1' is used more than once."
+            ]);
+            assert.deepEqual(messages({ tasks: [ { name: 'constructor' }, { name: 'task one' } ] }), [
+                "The task ID 'constructor' is reserved.",
+                "The task ID 'task one' must not contain whitespace or any of \\ / * ? \" < > | , # :."
+            ]);
+        });
+
+        it('reports unknown references and cycles', function() {
+            assert.deepEqual(messages({
+                tasks: [
+                    { name: 'T1', previous: 'T3' },
+                    { name: 'T2', previous: 'T1' },
+                    { name: 'T3', previous: 'T2', next: [ 'T9' ] },
+                    { name: 'T4', previous: [ '' ] }
+                ]
+            }), [
+                "Unknown task 'T9'.",
+                "'previous' must be a task name or a list of task names.",
+                "Tasks form a cycle: T1 -> T2 -> T3 -> T1."
+            ]);
+        });
+
+        it('reports malformed core ranges', function() {
+            var problems = workflow.validate({ tasks: [ { name: 'T1', cores_nr: '3-1' } ] });
+            assert.equal(problems.length, 1);
+            assert.equal(problems[0].task, 'T1');
+            assert.equal(problems[0].field, 'cores_nr');
+        });
+    });
+
+    describe('parse_cores', function() {
+        it('parses core numbers and ranges', function() {
+            assert.deepEqual(workflow.parse_cores(2), [ [ 2, 2 ] ]);
+            assert.deepEqual(workflow.parse_cores('0-3, 8 - 11,16'), [ [ 0, 3 ], [ 8, 11 ], [ 16, 16 ] ]);
+        });
+
+        it('rejects malformed ranges', function() {
+            [ -1, 1.5, '', '1-', 'a', '3-1', '1,,2', null ].forEach(function(cores_nr) {
+                assert.equal(workflow.parse_cores(cores_nr), null, JSON.stringify(cores_nr));
+            });
+        });
+    });
+
+    describe('parse_version', function() {
+        it('parses positive integers', function() {
+            assert.equal(workflow.parse_version(undefined), undefined);
+            assert.equal(workflow.parse_version('3'), 3);
+            assert.equal(workflow.parse_version('0'), null);
+            assert.equal(workflow.parse_version('1.5'), null);
+        });
+    });
+
+    describe('load_for_experiment', function() {
+        var storage, experiments = {};
+
+        before(function(done) {
+            storage = storage_backends.create('memory');
+            storage.putWorkflow('ms2', { tasks: [ { name: 'T1' } ] }, function(error) {
+                if (error) {
+                    return done(error);
+                }
+                storage.putWorkflow('ms2', { tasks: [ { name: 'T2' } ] }, function(error) {
+                    if (error) {
+                        return done(error);
+                    }
+                    storage.addExperiment('ms2', { workflow_version: 1 }, function(error, id) {
+                        experiments.versioned = id;
+                        storage.addExperiment('ms2', {}, function(error, id) {
+                            experiments.unversioned = id;
+                            done(error);
+                        });
+                    });
+                });
+            });
+        });
+
+        it('loads the version the experiment ran with', function(done) {
+            workflow.load_for_experiment(storage, 'ms2', experiments.versioned, function(error, found, experiment) {
+                assert.ifError(error);
+                assert.equal(found.tasks[0].name, 'T1');
+                assert.equal(experiment.workflow_version, 1);
+                done();
+            });
+        });
+
+        it('falls back to the latest version', function(done) {
+            workflow.load_for_experiment(storage, 'ms2', experiments.unversioned, function(error, found) {
+                assert.ifError(error);
+                assert.equal(found.tasks[0].name, 'T2');
+                workflow.load_for_experiment(storage, 'ms2', 'unknown', function(error, found, experiment) {
+                    assert.ifError(error);
+                    assert.equal(found.tasks[0].name, 'T2');
+                    assert.equal(experiment, null);
+                    done();
+                });
+            });
+        });
+
+        it('loads the given version', function(done) {
+            workflow.load(storage, 'ms2', 1, function(error, found) {
+                assert.ifError(error);
+                assert.equal(found.tasks[0].name, 'T1');
+                workflow.load(storage, 'ms2', 3, function(error, found) {
+                    assert.ifError(error);
+                    assert.equal(found, null);
+                    done();
+                });
+            });
+        });
+    });
+});